@@ -0,0 +1,1817 @@
+// mcf-helpers.js
+// Pure helpers behind the contribution calculation and the MCF reports: channels, paths,
+// attribution models, conversion checks, exports and settings validation. No HubSpot calls
+// and no file access, so server.js and test-mcf.js run the same code.
+
+const crypto = require("crypto");
+
+// ---- Sources and channels ----
+const CHANNEL_LABELS = {
+  ORGANIC_SEARCH: "Organic Search",
+  PAID_SEARCH: "Paid Search",
+  EMAIL_MARKETING: "Email Marketing",
+  SOCIAL_MEDIA: "Organic Social",
+  REFERRALS: "Referrals",
+  OTHER_CAMPAIGNS: "Other Campaigns",
+  DIRECT_TRAFFIC: "Direct Traffic",
+  OFFLINE: "Offline Sources",
+  PAID_SOCIAL: "Paid Social",
+  AI_REFERRALS: "AI Referrals",
+};
+
+const DEFAULT_TIME_DECAY_HALF_LIFE_DAYS = 7; // UA default
+
+// All possible hs_latest_source values in HubSpot (matches native property options exactly)
+const ALL_SOURCES = [
+  { value: "ORGANIC_SEARCH", label: "Organic Search" },
+  { value: "PAID_SEARCH", label: "Paid Search" },
+  { value: "EMAIL_MARKETING", label: "Email Marketing" },
+  { value: "SOCIAL_MEDIA", label: "Organic Social" },
+  { value: "REFERRALS", label: "Referrals" },
+  { value: "OTHER_CAMPAIGNS", label: "Other Campaigns" },
+  { value: "DIRECT_TRAFFIC", label: "Direct Traffic" },
+  { value: "OFFLINE", label: "Offline Sources" },
+  { value: "PAID_SOCIAL", label: "Paid Social" },
+  { value: "AI_REFERRALS", label: "AI Referrals" },
+];
+
+// ---- Contribution modes ----
+const CONTRIBUTION_MODES = [
+  { value: "count", label: "Source changes (each entry counts once)" },
+  { value: "time_weighted", label: "Time-weighted (how long each source was held)" },
+  { value: "recency_decay", label: "Recency-decayed (recent sources count more)" },
+];
+const DEFAULT_CONTRIBUTION_MODE = "count";
+const DEFAULT_CONTRIBUTION_HALF_LIFE_DAYS = 90;
+
+/**
+ * Validate contribution settings from a request body ({ contributionMode, cutoffDate, halfLifeDays }).
+ * Returns { settings: { mode, cutoffDate, halfLifeDays } } or { error }. cutoffDate may be null (up to now).
+ */
+function validateContributionSettings(input) {
+  const mode = input?.contributionMode || DEFAULT_CONTRIBUTION_MODE;
+  if (!CONTRIBUTION_MODES.some((m) => m.value === mode)) {
+    return { error: `Invalid contribution mode: ${mode}` };
+  }
+  let cutoffDate = null;
+  if (input?.cutoffDate != null && input.cutoffDate !== "") {
+    const d = new Date(input.cutoffDate);
+    if (isNaN(d.getTime())) return { error: "cutoffDate must be a valid date." };
+    cutoffDate = d.toISOString();
+  }
+  const halfLifeDays = input?.halfLifeDays == null || input.halfLifeDays === ""
+    ? DEFAULT_CONTRIBUTION_HALF_LIFE_DAYS
+    : Number(input.halfLifeDays);
+  if (!Number.isFinite(halfLifeDays) || halfLifeDays <= 0) {
+    return { error: "halfLifeDays must be a positive number." };
+  }
+  return { settings: { mode, cutoffDate, halfLifeDays } };
+}
+
+// ---- Channel share properties ----
+const SHARE_PROPERTY_PREFIX = "mh_share_";
+const DOMINANT_SOURCE_PROPERTY = "mh_dominant_source";
+
+function sharePropertyName(source) {
+  return `${SHARE_PROPERTY_PREFIX}${String(source).toLowerCase()}`;
+}
+
+function isChannelShareProperty(name) {
+  return String(name || "").startsWith(SHARE_PROPERTY_PREFIX) || name === DOMINANT_SOURCE_PROPERTY;
+}
+
+/**
+ * Share properties to delete on the next sync after a settings change ({ enabled, sources }
+ * before and after): the pending ones plus those of sources removed while the mode stays on,
+ * minus any that are configured again.
+ */
+function shareDeletionsAfterChange(previous, next, pending = []) {
+  const wanted = new Set(next.enabled ? next.sources.map(sharePropertyName) : []);
+  const removed = previous.enabled && next.enabled
+    ? previous.sources.filter((s) => !next.sources.includes(s)).map(sharePropertyName)
+    : [];
+  return [...new Set([...pending, ...removed])].filter((name) => !wanted.has(name));
+}
+
+/**
+ * Validate channel share settings from a request body ({ channelShareProperties, channelShareSources }).
+ * Returns { settings: { enabled, sources } } or { error }. Sources must be native hs_latest_source values.
+ */
+function validateChannelShareSettings(input) {
+  const enabled = input?.channelShareProperties === true;
+  const sources = input?.channelShareSources == null
+    ? ALL_SOURCES.map((s) => s.value)
+    : input.channelShareSources;
+  if (!Array.isArray(sources)) return { error: "channelShareSources must be an array." };
+  const validValues = new Set(ALL_SOURCES.map((s) => s.value));
+  const invalid = sources.filter((s) => !validValues.has(s));
+  if (invalid.length > 0) return { error: `Invalid share sources: ${invalid.join(", ")}` };
+  if (enabled && sources.length === 0) return { error: "Choose at least one source for share properties." };
+  // Keep ALL_SOURCES order so property display order is stable
+  return { settings: { enabled, sources: ALL_SOURCES.map((s) => s.value).filter((v) => sources.includes(v)) } };
+}
+
+/** Property definitions for the configured share sources plus mh_dominant_source. */
+function channelSharePropertyDefinitions(shareSources) {
+  const labels = new Map(ALL_SOURCES.map((s) => [s.value, s.label]));
+  return [
+    ...shareSources.map((source, i) => ({
+      name: sharePropertyName(source),
+      label: `Source Share: ${labels.get(source) || source}`,
+      description: `Share of hs_latest_source history held by ${labels.get(source) || source}, weighted like marketing_contribution_percentage.`,
+      groupName: "contactinformation",
+      type: "number",
+      fieldType: "number",
+      numberDisplayHint: "percentage",
+      hidden: false,
+      formField: false,
+      displayOrder: i,
+    })),
+    {
+      name: DOMINANT_SOURCE_PROPERTY,
+      label: "Dominant Source",
+      description: "Source with the largest share of hs_latest_source history, weighted like marketing_contribution_percentage.",
+      groupName: "contactinformation",
+      type: "enumeration",
+      fieldType: "select",
+      options: ALL_SOURCES.map((s, i) => ({ label: s.label, value: s.value, displayOrder: i, hidden: false })),
+      hidden: false,
+      formField: false,
+      displayOrder: shareSources.length,
+    },
+  ];
+}
+
+// ---- Channel groupings ----
+const MAX_CHANNEL_GROUPS = 50;
+const CHANNEL_GROUP_FALLBACK_KEY = "OTHER";
+
+function channelGroupKey(label) {
+  return String(label || "").toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Validate a channel grouping from a request body.
+ * Returns { grouping } (without updatedAt) or { error }.
+ */
+function validateChannelGrouping(input) {
+  const rawGroups = input?.groups ?? [];
+  if (!Array.isArray(rawGroups)) return { error: "groups must be an array" };
+  if (rawGroups.length > MAX_CHANNEL_GROUPS) return { error: `At most ${MAX_CHANNEL_GROUPS} channel groups are allowed.` };
+
+  const validSources = new Set(ALL_SOURCES.map((s) => s.value));
+  const groups = [];
+  const keys = new Set();
+  for (const [i, raw] of rawGroups.entries()) {
+    const label = String(raw?.label || "").trim();
+    const key = channelGroupKey(label);
+    if (!key) return { error: `Group ${i + 1}: a name is required.` };
+    if (keys.has(key)) return { error: `Group ${i + 1}: "${label}" is used by another group.` };
+    if (key === CHANNEL_GROUP_FALLBACK_KEY) return { error: `Group ${i + 1}: "${label}" is reserved for the fallback group.` };
+    const sources = Array.isArray(raw?.sources) ? raw.sources.map(String) : [];
+    const invalid = sources.filter((s) => !validSources.has(s));
+    if (invalid.length > 0) return { error: `Group ${i + 1}: invalid sources: ${invalid.join(", ")}` };
+    const data1 = (Array.isArray(raw?.data1) ? raw.data1 : String(raw?.data1 || "").split(","))
+      .map((v) => String(v).trim().toLowerCase())
+      .filter(Boolean);
+    if (sources.length === 0 && data1.length === 0) {
+      return { error: `Group ${i + 1}: choose at least one source or data 1 value.` };
+    }
+    keys.add(key);
+    groups.push({ key, label, sources: [...new Set(sources)], data1: [...new Set(data1)] });
+  }
+
+  const fallbackLabel = String(input?.fallbackLabel || "").trim() || null;
+  return { grouping: { groups, fallbackLabel } };
+}
+
+/** Whether a data_1 value matches a rule value: the same text, or the domain / one of its subdomains. */
+function matchesData1(data1, pattern) {
+  const value = String(data1 || "").trim().toLowerCase();
+  if (!value) return false;
+  if (value === pattern) return true;
+  const host = value.replace(/^[a-z][a-z0-9+.-]*:\/\//, "").split(/[/?#]/)[0].replace(/:\d+$/, "");
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+/** Channel (group key, or the HubSpot source when nothing matches) for one touchpoint. */
+function classifyChannel(source, data1, grouping) {
+  const src = String(source || "").trim().toUpperCase();
+  for (const group of grouping?.groups || []) {
+    if (group.sources.length > 0 && !group.sources.includes(src)) continue;
+    if (group.data1.length > 0 && !group.data1.some((p) => matchesData1(data1, p))) continue;
+    return group.key;
+  }
+  return grouping?.fallbackLabel ? CHANNEL_GROUP_FALLBACK_KEY : src;
+}
+
+/** Whether any rule looks at hs_latest_source_data_1 (so its history must be read). */
+function groupingUsesData1(grouping) {
+  return (grouping?.groups || []).some((g) => g.data1.length > 0);
+}
+
+/** Channel labels with the portal's group labels added. */
+function channelGroupLabels(grouping) {
+  const labels = { ...CHANNEL_LABELS };
+  for (const g of grouping?.groups || []) labels[g.key] = g.label;
+  if (grouping?.fallbackLabel) labels[CHANNEL_GROUP_FALLBACK_KEY] = grouping.fallbackLabel;
+  return labels;
+}
+
+/**
+ * hs_latest_source history with each entry's group key attached ({ value, timestamp, group }).
+ * With data_1 rules the entries are paired with data_1 (see pairSourceDetails); a data_1-only
+ * change becomes its own entry only when it moves the touchpoint into a different group.
+ */
+function groupedSourceHistory(sourceHistory, data1History, grouping) {
+  if (!groupingUsesData1(grouping)) {
+    return (sourceHistory || []).map((e) => ({
+      ...e,
+      group: classifyChannel(e.value, "", grouping),
+    }));
+  }
+  const entries = [];
+  for (const p of pairSourceDetails(sourceHistory, data1History, [])) {
+    const group = classifyChannel(p.source, p.data1, grouping);
+    if (!p.sourceChanged && entries.length > 0 && entries[entries.length - 1].group === group) continue;
+    entries.push({ value: p.source, timestamp: p.timestamp, group });
+  }
+  return entries;
+}
+
+// ---- Marketing contribution ----
+/**
+ * Compute marketing contribution % based on source history entries.
+ * Includes the very first value (not just changes).
+ * @param {Array} historyEntries - property history entries (optionally with a channel `group`)
+ * @param {Set} marketingSources - set of source values (or channel group keys) considered "marketing"
+ */
+function computeMarketingContribution(historyEntries, marketingSources) {
+  const entries = [...(historyEntries || [])].sort((a, b) => {
+    return Number(a?.timestamp || 0) - Number(b?.timestamp || 0);
+  });
+
+  if (entries.length === 0) {
+    return { percent: 0, totalChanges: 0, marketingChanges: 0 };
+  }
+
+  let totalChanges = 0;
+  let marketingChanges = 0;
+
+  // Start from index 0 to include the very first traffic source value
+  for (let i = 0; i < entries.length; i++) {
+    const newValue = String(entries[i]?.value ?? "").trim();
+    if (!newValue) continue; // skip empty values
+    totalChanges++;
+    // Entries from groupedSourceHistory also count when their channel group is selected
+    const group = entries[i]?.group;
+    if (marketingSources.has(newValue) || (group && marketingSources.has(group))) marketingChanges++;
+  }
+
+  const percent = totalChanges > 0 ? marketingChanges / totalChanges : 0;
+  return { percent, totalChanges, marketingChanges };
+}
+
+/**
+ * Time-weighted marketing contribution: each entry counts for the time it stayed the latest
+ * source, until the next entry or endTimestamp (now, or the portal's cutoff date). Entries
+ * after endTimestamp are ignored. If no time has passed (every entry at endTimestamp),
+ * the entries are counted instead.
+ * @returns {{ percent, totalChanges, marketingChanges, totalMs, marketingMs }}
+ */
+function computeTimeWeightedContribution(historyEntries, marketingSources, endTimestamp) {
+  const entries = (historyEntries || [])
+    .map((e) => ({ ...e, ts: parseHistoryTimestamp(e?.timestamp), value: String(e?.value ?? "").trim() }))
+    .filter((e) => e.value && e.ts > 0 && e.ts <= endTimestamp)
+    .sort((a, b) => a.ts - b.ts);
+
+  let totalMs = 0;
+  let marketingMs = 0;
+  let marketingChanges = 0;
+  entries.forEach((e, i) => {
+    const held = (i + 1 < entries.length ? entries[i + 1].ts : endTimestamp) - e.ts;
+    const isMarketing = marketingSources.has(e.value) || Boolean(e.group && marketingSources.has(e.group));
+    totalMs += held;
+    if (isMarketing) {
+      marketingMs += held;
+      marketingChanges++;
+    }
+  });
+
+  const totalChanges = entries.length;
+  const percent = totalMs > 0
+    ? marketingMs / totalMs
+    : totalChanges > 0 ? marketingChanges / totalChanges : 0;
+  return { percent, totalChanges, marketingChanges, totalMs, marketingMs };
+}
+
+/**
+ * Recency-decayed marketing contribution: an entry's weight is 0.5^(age / half-life), its age
+ * measured from when it became the latest source to nowTimestamp, so older entries count for less.
+ * @returns {{ percent, totalChanges, marketingChanges, totalWeight, marketingWeight }}
+ */
+function computeDecayedContribution(historyEntries, marketingSources, halfLifeDays, nowTimestamp) {
+  const halfLifeMs = halfLifeDays * 24 * 60 * 60 * 1000;
+  let totalWeight = 0;
+  let marketingWeight = 0;
+  let totalChanges = 0;
+  let marketingChanges = 0;
+  for (const e of historyEntries || []) {
+    const value = String(e?.value ?? "").trim();
+    const ts = parseHistoryTimestamp(e?.timestamp);
+    if (!value || ts <= 0 || ts > nowTimestamp) continue;
+    const weight = Math.pow(0.5, (nowTimestamp - ts) / halfLifeMs);
+    totalChanges++;
+    totalWeight += weight;
+    if (marketingSources.has(value) || Boolean(e.group && marketingSources.has(e.group))) {
+      marketingChanges++;
+      marketingWeight += weight;
+    }
+  }
+  const percent = totalWeight > 0 ? marketingWeight / totalWeight : 0;
+  return { percent, totalChanges, marketingChanges, totalWeight, marketingWeight };
+}
+
+/** Marketing contribution under the portal's contribution mode (see getContributionSettings). */
+function computeContribution(historyEntries, marketingSources, settings, now = Date.now()) {
+  if (settings?.mode === "recency_decay") {
+    return computeDecayedContribution(
+      historyEntries, marketingSources, settings.halfLifeDays || DEFAULT_CONTRIBUTION_HALF_LIFE_DAYS, now
+    );
+  }
+  if (settings?.mode === "time_weighted") {
+    const cutoff = settings.cutoffDate ? new Date(settings.cutoffDate).getTime() : now;
+    return computeTimeWeightedContribution(historyEntries, marketingSources, Math.min(cutoff, now));
+  }
+  return computeMarketingContribution(historyEntries, marketingSources);
+}
+
+/**
+ * Each native source's share of the history under the portal's contribution mode (the same
+ * weighting as computeContribution, one source at a time), plus the dominant source: the one
+ * with the largest share, earliest in ALL_SOURCES on ties, null without history.
+ * Channel groups are ignored here; shares are always per hs_latest_source value.
+ * @returns {{ shares: Object<string, number>, dominantSource: string|null }}
+ */
+function computeChannelShares(historyEntries, settings, now = Date.now()) {
+  const entries = (historyEntries || []).map((e) => ({ value: e?.value, timestamp: e?.timestamp }));
+  const shares = {};
+  let dominantSource = null;
+  for (const { value: source } of ALL_SOURCES) {
+    const { percent, totalChanges } = computeContribution(entries, new Set([source]), settings, now);
+    shares[source] = totalChanges === 0 ? 0 : percent;
+    if (shares[source] > 0 && (!dominantSource || shares[source] > shares[dominantSource])) {
+      dominantSource = source;
+    }
+  }
+  return { shares, dominantSource };
+}
+
+/**
+ * Contact property values for the channel share properties: mh_share_<source> for each configured
+ * source (rounded like marketing_contribution_percentage) and mh_dominant_source ("" clears it).
+ */
+function channelSharePropertyValues(historyEntries, shareSources, settings, now = Date.now()) {
+  const { shares, dominantSource } = computeChannelShares(historyEntries, settings, now);
+  const properties = {};
+  for (const source of shareSources) {
+    properties[sharePropertyName(source)] = parseFloat((shares[source] || 0).toFixed(4));
+  }
+  properties[DOMINANT_SOURCE_PROPERTY] = dominantSource || "";
+  return properties;
+}
+
+// ---- Conversion paths ----
+/** Parse timestamp from HubSpot (ISO string or ms number) to milliseconds. */
+function parseHistoryTimestamp(val) {
+  if (val == null || val === "") return 0;
+  if (typeof val === "number" && !isNaN(val)) return val;
+  const d = new Date(val);
+  return isNaN(d.getTime()) ? 0 : d.getTime();
+}
+
+// Path construction options (per run, recorded in the cached result)
+//   lookbackDays:    only touchpoints within N days before the conversion (null = all history)
+//   collapseRepeats: merge consecutive duplicate sources (A > A > B → A > B)
+//   maxPathLength:   keep at most N touchpoints (null = unlimited)
+//   truncate:        which end is cut when over maxPathLength:
+//                    "head" → "… > A > B" (keeps the touches closest to conversion), "tail" → "A > B > …"
+//   ignoreDirect:    drop DIRECT_TRAFFIC when the journey has any other touchpoint
+//   drillDown:       add hs_latest_source_data_1/data_2 to each touchpoint ("PAID_SEARCH:google / brand_campaign")
+const DEFAULT_PATH_OPTIONS = {
+  lookbackDays: null,
+  collapseRepeats: true,
+  maxPathLength: null,
+  truncate: "head",
+  ignoreDirect: false,
+  drillDown: false,
+  channelGroups: false, // the run attaches the portal's grouping as options.grouping
+};
+const PATH_TRUNCATION_MARKER = "…";
+
+// Source drill-down: HubSpot writes hs_latest_source and its data_1/data_2 details in the
+// same update, but the history timestamps can differ by a few ms, so entries this close
+// together are treated as one touchpoint.
+const SOURCE_DRILL_DOWN_PROPERTIES = ["hs_latest_source_data_1", "hs_latest_source_data_2"];
+const SOURCE_DRILL_DOWN_TOLERANCE_MS = 60 * 1000;
+
+/** Top-level source of a (possibly drilled-down) channel: "PAID_SEARCH:google / x" → "PAID_SEARCH". */
+function channelSource(channel) {
+  const idx = channel.indexOf(":");
+  return idx === -1 ? channel : channel.slice(0, idx);
+}
+
+/** Display label for a channel: "PAID_SEARCH:google / x" → "Paid Search: google / x". */
+function channelLabel(channel, labels = CHANNEL_LABELS) {
+  const source = channelSource(channel);
+  const label = labels[source] || source;
+  return source === channel ? label : `${label}: ${channel.slice(source.length + 1)}`;
+}
+
+/** Upper-case the source part of a channel value, leaving drill-down details as entered. */
+function normalizeChannel(value) {
+  const raw = String(value || "").trim();
+  const idx = raw.indexOf(":");
+  return idx === -1 ? raw.toUpperCase() : raw.slice(0, idx).toUpperCase() + raw.slice(idx);
+}
+
+/**
+ * Merge hs_latest_source history with its data_1 / data_2 histories into one drill-down
+ * history ([{ value: "PAID_SEARCH:google / brand_campaign", timestamp }]).
+ * Entries within SOURCE_DRILL_DOWN_TOLERANCE_MS are one update. A source change without
+ * details clears them; a details-only update (same source, new campaign) is a new entry.
+ */
+function buildDrillDownHistory(sourceHistory, data1History, data2History) {
+  return pairSourceDetails(sourceHistory, data1History, data2History).map((p) => {
+    const detail = [p.data1, p.data2].filter(Boolean).join(" / ");
+    return { value: detail ? `${p.source}:${detail}` : p.source, timestamp: p.timestamp };
+  });
+}
+
+/**
+ * Pair hs_latest_source history with its data_1 / data_2 histories:
+ * [{ source, data1, data2, timestamp, sourceChanged }], one per cluster of updates.
+ * A source change resets the details; a details-only change keeps the source (sourceChanged false).
+ */
+function pairSourceDetails(sourceHistory, data1History, data2History) {
+  const entries = [];
+  const add = (history, field) => {
+    for (const e of history || []) {
+      const timestamp = parseHistoryTimestamp(e.timestamp);
+      if (timestamp > 0) entries.push({ field, value: String(e.value || "").trim(), timestamp });
+    }
+  };
+  add(sourceHistory, "source");
+  add(data1History, "data1");
+  add(data2History, "data2");
+  entries.sort((a, b) => a.timestamp - b.timestamp);
+
+  const paired = [];
+  const current = { source: "", data1: "", data2: "" };
+  let i = 0;
+  while (i < entries.length) {
+    const clusterStart = entries[i].timestamp;
+    const update = {};
+    let timestamp = clusterStart;
+    while (i < entries.length && entries[i].timestamp - clusterStart <= SOURCE_DRILL_DOWN_TOLERANCE_MS) {
+      update[entries[i].field] = entries[i].value;
+      timestamp = entries[i].timestamp;
+      i++;
+    }
+    if (update.source !== undefined) {
+      current.source = update.source;
+      current.data1 = update.data1 || "";
+      current.data2 = update.data2 || "";
+    } else {
+      if (update.data1 !== undefined) current.data1 = update.data1;
+      if (update.data2 !== undefined) current.data2 = update.data2;
+    }
+    if (!current.source) continue;
+    paired.push({ ...current, timestamp, sourceChanged: update.source !== undefined });
+  }
+  return paired;
+}
+
+/**
+ * The history to build paths from: hs_latest_source, or its drill-down merge.
+ * With options.channelGroups each source is replaced by its channel group (see classifyChannel).
+ */
+function sourceHistoryForPath(propertiesWithHistory, options = DEFAULT_PATH_OPTIONS) {
+  const h = propertiesWithHistory || {};
+  const grouping = options.channelGroups ? options.grouping : null;
+  const data1History = h[SOURCE_DRILL_DOWN_PROPERTIES[0]];
+  if (!options.drillDown) {
+    if (!grouping) return h.hs_latest_source || [];
+    return groupedSourceHistory(h.hs_latest_source, data1History, grouping)
+      .map((e) => ({ value: e.group, timestamp: e.timestamp }));
+  }
+  if (!grouping) return buildDrillDownHistory(h.hs_latest_source, data1History, h[SOURCE_DRILL_DOWN_PROPERTIES[1]]);
+  // Grouped drill-down: the group replaces the source, the details stay
+  return pairSourceDetails(h.hs_latest_source, data1History, h[SOURCE_DRILL_DOWN_PROPERTIES[1]]).map((p) => {
+    const channel = classifyChannel(p.source, p.data1, grouping);
+    const detail = [p.data1, p.data2].filter(Boolean).join(" / ");
+    return { value: detail ? `${channel}:${detail}` : channel, timestamp: p.timestamp };
+  });
+}
+
+/**
+ * Build the ordered touchpoints leading to a conversion from hs_latest_source history
+ * (or the drill-down history from buildDrillDownHistory).
+ * Includes every entry before the conversion timestamp, limited by options.lookbackDays.
+ * Optionally drops DIRECT_TRAFFIC when other sources exist, then (by default) collapses
+ * consecutive duplicate sources; a collapsed touchpoint keeps the timestamp of its most
+ * recent entry (closest to the conversion). Does not apply maxPathLength.
+ * HubSpot returns timestamps as ISO strings; must parse before comparing.
+ * Returns [{ channel, timestamp }] (empty array when nothing precedes the conversion).
+ */
+function buildConversionTouchpoints(sourceHistory, conversionTimestamp, options = DEFAULT_PATH_OPTIONS) {
+  const convTs = typeof conversionTimestamp === "number" ? conversionTimestamp : parseHistoryTimestamp(conversionTimestamp);
+  const minTs = options.lookbackDays ? convTs - options.lookbackDays * 24 * 60 * 60 * 1000 : 0;
+  let entries = (sourceHistory || [])
+    .map((e) => ({
+      channel: normalizeChannel(e.value),
+      timestamp: parseHistoryTimestamp(e.timestamp),
+    }))
+    .filter((e) => e.channel && e.timestamp > 0 && e.timestamp >= minTs && e.timestamp <= convTs)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (options.ignoreDirect && entries.some((e) => channelSource(e.channel) !== "DIRECT_TRAFFIC")) {
+    entries = entries.filter((e) => channelSource(e.channel) !== "DIRECT_TRAFFIC");
+  }
+
+  const collapse = options.collapseRepeats !== false;
+  const touchpoints = [];
+  for (const e of entries) {
+    const last = touchpoints[touchpoints.length - 1];
+    if (collapse && last && last.channel === e.channel) {
+      last.timestamp = e.timestamp;
+      continue;
+    }
+    touchpoints.push({ channel: e.channel, timestamp: e.timestamp });
+  }
+
+  return touchpoints;
+}
+
+/**
+ * Apply options.maxPathLength. Returns { touchpoints, truncated } where truncated is
+ * the end that was cut ("head" / "tail") or null.
+ */
+function truncateTouchpoints(touchpoints, options = DEFAULT_PATH_OPTIONS) {
+  const max = options.maxPathLength;
+  if (!max || touchpoints.length <= max) return { touchpoints, truncated: null };
+  return options.truncate === "tail"
+    ? { touchpoints: touchpoints.slice(0, max), truncated: "tail" }
+    : { touchpoints: touchpoints.slice(-max), truncated: "head" };
+}
+
+/** Path array for (truncated) touchpoints, with the truncation marker on the cut end. */
+function touchpointsToPath(touchpoints, truncated) {
+  if (touchpoints.length === 0) return ["UNKNOWN"];
+  const path = touchpoints.map((t) => t.channel);
+  if (truncated === "head") return [PATH_TRUNCATION_MARKER, ...path];
+  if (truncated === "tail") return [...path, PATH_TRUNCATION_MARKER];
+  return path;
+}
+
+/**
+ * Build a conversion path from hs_latest_source history.
+ * This captures the journey leading to conversion (see buildConversionTouchpoints).
+ */
+function buildConversionPath(sourceHistory, conversionTimestamp, options = DEFAULT_PATH_OPTIONS) {
+  const { touchpoints, truncated } = truncateTouchpoints(
+    buildConversionTouchpoints(sourceHistory, conversionTimestamp, options),
+    options
+  );
+  return touchpointsToPath(touchpoints, truncated);
+}
+
+/** Channels in a path, without the truncation marker. */
+function pathChannels(path) {
+  return path.filter((step) => step !== PATH_TRUNCATION_MARKER);
+}
+
+/** Create a stable string key for a path array. */
+function pathToKey(pathArray) {
+  return pathArray.join(">");
+}
+
+// ---- Time lag + path length reports (UA-style buckets) ----
+// Both use the journey before truncation (maxPathLength only shortens the displayed path).
+// A bucket with min = null collects conversions without any touchpoint.
+const TIME_LAG_BUCKETS = [
+  ...Array.from({ length: 12 }, (_, d) => ({ label: `${d} day${d === 1 ? "" : "s"}`, min: d, max: d })),
+  { label: "12–30 days", min: 12, max: 30 },
+  { label: "31–60 days", min: 31, max: 60 },
+  { label: "61–90 days", min: 61, max: 90 },
+  { label: "91+ days", min: 91, max: Infinity },
+  { label: "Unknown", min: null, max: null },
+];
+
+const PATH_LENGTH_BUCKETS = [
+  ...Array.from({ length: 11 }, (_, i) => ({ label: String(i + 1), min: i + 1, max: i + 1 })),
+  { label: "12+", min: 12, max: Infinity },
+  { label: "Unknown", min: null, max: null },
+];
+
+function createBucketReport(buckets) {
+  return buckets.map((b) => ({ label: b.label, conversions: 0, value: 0 }));
+}
+
+/** Add weighted conversions/value to the bucket containing `measure` (null → unknown bucket). */
+function addToBucketReport(report, buckets, measure, conversions, value) {
+  const idx = buckets.findIndex((b) =>
+    measure == null ? b.min === null : b.min !== null && measure >= b.min && measure <= b.max
+  );
+  if (idx === -1) return;
+  report[idx].conversions += conversions;
+  report[idx].value += value;
+}
+
+/** Round like the path table and add each bucket's share of all conversions. */
+function finalizeBucketReport(report, totalConversions) {
+  return report.map((b) => ({
+    label: b.label,
+    conversions: Math.round(b.conversions * 10000) / 10000,
+    sharePct: totalConversions > 0 ? Math.round((b.conversions / totalConversions) * 10000) / 100 : 0,
+    conversionValue: Math.round(b.value * 100) / 100,
+  }));
+}
+
+/**
+ * Whole days from the first touchpoint in the lookback window to the conversion (null without touchpoints).
+ * Repeats are not collapsed here, since a collapsed touchpoint keeps its latest timestamp.
+ */
+function timeLagDays(sourceHistory, conversionTimestamp, options = DEFAULT_PATH_OPTIONS) {
+  const convTs = typeof conversionTimestamp === "number" ? conversionTimestamp : parseHistoryTimestamp(conversionTimestamp);
+  const [first] = buildConversionTouchpoints(sourceHistory, convTs, { ...options, collapseRepeats: false });
+  if (!first) return null;
+  return Math.floor((convTs - first.timestamp) / (24 * 60 * 60 * 1000));
+}
+
+// ---- Channel transitions ----
+// Channel-to-channel flow built from a result's aggregated paths, shaped for Sankey
+// rendering: every journey runs ENTRY → step 1 → … → step n → CONVERSION.
+// Nodes are per step ("2:ORGANIC_SEARCH"), so the graph has no cycles even when a
+// path revisits a channel; `transitions` sums the same edges by channel pair.
+const TRANSITION_ENTRY = "ENTRY";
+const TRANSITION_CONVERSION = "CONVERSION";
+
+/**
+ * @param {Array} paths - result.paths ([{ path, conversions, conversionValue }])
+ * @returns {{ nodes, links, transitions }} links/transitions carry { conversions, value }
+ */
+function buildChannelTransitions(paths) {
+  const nodes = {};
+  const links = {};
+  const transitions = {};
+  const addNode = (id, channel, step) => {
+    if (!nodes[id]) nodes[id] = { id, channel, step };
+  };
+  const addEdge = (edges, key, fields, conversions, value) => {
+    if (!edges[key]) edges[key] = { ...fields, conversions: 0, value: 0 };
+    edges[key].conversions += conversions;
+    edges[key].value += value;
+  };
+
+  let maxStep = 0;
+  for (const p of paths || []) {
+    const channels = pathChannels(p.path || []);
+    if (channels.length === 0 || !(p.conversions > 0)) continue;
+    maxStep = Math.max(maxStep, channels.length);
+    const states = [TRANSITION_ENTRY, ...channels, TRANSITION_CONVERSION];
+    const ids = states.map((state, step) =>
+      step === 0 || step === states.length - 1 ? state : `${step}:${state}`
+    );
+    for (let i = 0; i < states.length - 1; i++) {
+      addNode(ids[i], states[i], i);
+      addEdge(links, `${ids[i]}>${ids[i + 1]}`, { source: ids[i], target: ids[i + 1] }, p.conversions, p.conversionValue || 0);
+      addEdge(transitions, `${states[i]}>${states[i + 1]}`, { from: states[i], to: states[i + 1] }, p.conversions, p.conversionValue || 0);
+    }
+  }
+  if (Object.keys(nodes).length > 0) addNode(TRANSITION_CONVERSION, TRANSITION_CONVERSION, maxStep + 1);
+
+  const round = (e) => ({
+    ...e,
+    conversions: Math.round(e.conversions * 10000) / 10000,
+    value: Math.round(e.value * 100) / 100,
+  });
+  const byConversions = (a, b) => b.conversions - a.conversions || b.value - a.value;
+  return {
+    nodes: Object.values(nodes).sort((a, b) => a.step - b.step || a.id.localeCompare(b.id)),
+    links: Object.values(links).map(round).sort(byConversions),
+    transitions: Object.values(transitions).map(round).sort(byConversions),
+  };
+}
+
+// ---- Export cells ----
+/** Readable path: "Paid Search > Organic Search" (the truncation marker is kept as-is). */
+function pathLabel(path, labels = CHANNEL_LABELS) {
+  return (path || []).map((step) => (step === PATH_TRUNCATION_MARKER ? step : channelLabel(step, labels))).join(" > ");
+}
+
+/** One CSV cell. Text that a spreadsheet would run as a formula is prefixed with '. */
+function csvCell(value) {
+  if (value == null) return "";
+  if (typeof value === "number") return String(value);
+  let s = String(value);
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(cells) {
+  return cells.map(csvCell).join(",") + "\r\n";
+}
+
+// ---- Attribution models ----
+/**
+ * Compute per-touchpoint credit weights (summing to 1) for one conversion path.
+ * @param {Array} touchpoints - [{ channel, timestamp }] in chronological order
+ * @param {number} conversionTimestamp - conversion time in ms (used by time_decay)
+ * @param {string} model - one of ATTRIBUTION_MODEL_OPTIONS values
+ * @param {Object} options - { halfLifeDays } for time_decay
+ */
+function computeAttributionWeights(touchpoints, conversionTimestamp, model, options = {}) {
+  const n = touchpoints.length;
+  if (n === 0) return [];
+  if (n === 1) return [1];
+
+  switch (model) {
+    case "first_touch":
+      return touchpoints.map((_, i) => (i === 0 ? 1 : 0));
+    case "last_touch":
+      return touchpoints.map((_, i) => (i === n - 1 ? 1 : 0));
+    case "linear":
+      return touchpoints.map(() => 1 / n);
+    case "time_decay": {
+      // Credit halves for every halfLifeDays between the touchpoint and the conversion
+      const halfLifeMs = (options.halfLifeDays || DEFAULT_TIME_DECAY_HALF_LIFE_DAYS) * 24 * 60 * 60 * 1000;
+      const raw = touchpoints.map((t) => {
+        const ageMs = Math.max(0, conversionTimestamp - (t.timestamp || conversionTimestamp));
+        return Math.pow(2, -ageMs / halfLifeMs);
+      });
+      const sum = raw.reduce((s, w) => s + w, 0);
+      return sum > 0 ? raw.map((w) => w / sum) : touchpoints.map(() => 1 / n);
+    }
+    case "position_based": {
+      // 40% first, 40% last, 20% spread over the middle (50/50 when there is no middle)
+      if (n === 2) return [0.5, 0.5];
+      const middle = 0.2 / (n - 2);
+      return touchpoints.map((_, i) => (i === 0 || i === n - 1 ? 0.4 : middle));
+    }
+    default:
+      throw new Error(`Unknown attribution model: ${model}`);
+  }
+}
+
+/**
+ * Add one conversion's credit to the per-channel totals.
+ * Touchpoint-less conversions credit UNKNOWN in full. When conv is given, its value in the
+ * original currency is split the same way into each channel's valueByCurrency.
+ */
+function addChannelCredit(channelCredits, touchpoints, weights, conversions, value, conv) {
+  const steps = touchpoints.length > 0 ? touchpoints : [{ channel: "UNKNOWN" }];
+  const stepWeights = touchpoints.length > 0 ? weights : [1];
+  steps.forEach((t, i) => {
+    if (!channelCredits[t.channel]) {
+      channelCredits[t.channel] = { channel: t.channel, conversions: 0, value: 0, valueByCurrency: {} };
+    }
+    channelCredits[t.channel].conversions += conversions * stepWeights[i];
+    channelCredits[t.channel].value += value * stepWeights[i];
+    if (conv) addCurrencyBreakdown(channelCredits[t.channel].valueByCurrency, conv, conversions * stepWeights[i]);
+  });
+}
+
+/** Rank per-channel credit totals, rounding like the path table. */
+function rankChannelCredits(channelCredits, totalConversions) {
+  return Object.values(channelCredits)
+    .sort((a, b) => b.conversions - a.conversions || b.value - a.value)
+    .map((c) => ({
+      channel: c.channel,
+      conversions: Math.round(c.conversions * 10000) / 10000,
+      sharePct: totalConversions > 0 ? Math.round((c.conversions / totalConversions) * 10000) / 100 : 0,
+      conversionValue: Math.round(c.value * 100) / 100,
+      valueByCurrency: roundCurrencyBreakdown(c.valueByCurrency || {}),
+    }));
+}
+
+// Assisted conversions (UA "Assisted Conversions" report). Per conversion, a channel is:
+//   last interaction  → the final touchpoint
+//   first interaction → the first touchpoint
+//   assisting         → present anywhere before the final touchpoint (counted once per conversion;
+//                       a channel can assist and be the last interaction of the same conversion)
+function addAssistedConversions(assisted, touchpoints, conversions, value) {
+  const steps = touchpoints.length > 0 ? touchpoints.map((t) => t.channel) : ["UNKNOWN"];
+  const row = (channel) => {
+    if (!assisted[channel]) {
+      assisted[channel] = {
+        channel,
+        lastConversions: 0, lastValue: 0,
+        assistedConversions: 0, assistedValue: 0,
+        firstConversions: 0, firstValue: 0,
+      };
+    }
+    return assisted[channel];
+  };
+  const last = row(steps[steps.length - 1]);
+  last.lastConversions += conversions;
+  last.lastValue += value;
+  const first = row(steps[0]);
+  first.firstConversions += conversions;
+  first.firstValue += value;
+  for (const channel of new Set(steps.slice(0, -1))) {
+    const r = row(channel);
+    r.assistedConversions += conversions;
+    r.assistedValue += value;
+  }
+}
+
+/** Round assisted-conversion rows and add the assisted/last ratio (null when never last). */
+function rankAssistedConversions(assisted) {
+  const r4 = (v) => Math.round(v * 10000) / 10000;
+  const r2 = (v) => Math.round(v * 100) / 100;
+  return Object.values(assisted)
+    .sort((a, b) => b.lastConversions - a.lastConversions || b.assistedConversions - a.assistedConversions)
+    .map((a) => ({
+      channel: a.channel,
+      lastConversions: r4(a.lastConversions),
+      lastValue: r2(a.lastValue),
+      assistedConversions: r4(a.assistedConversions),
+      assistedValue: r2(a.assistedValue),
+      firstConversions: r4(a.firstConversions),
+      firstValue: r2(a.firstValue),
+      assistedLastRatio: a.lastConversions > 0 ? r2(a.assistedConversions / a.lastConversions) : null,
+    }));
+}
+
+// ---- Data-driven: Markov chain removal effect ----
+const MARKOV_START = "START";
+const MARKOV_CONVERSION = "CONVERSION";
+const MARKOV_NULL = "NULL";
+
+/**
+ * Build first-order transition counts + probabilities from aggregated paths.
+ * @param {Array} pathStats - [{ path, conversions, nulls }] (weights may be fractional)
+ */
+function buildMarkovTransitions(pathStats) {
+  const counts = {};
+  const add = (from, to, weight) => {
+    if (!(weight > 0)) return;
+    if (!counts[from]) counts[from] = {};
+    counts[from][to] = (counts[from][to] || 0) + weight;
+  };
+
+  for (const { path, conversions = 0, nulls = 0 } of pathStats) {
+    const journeys = conversions + nulls;
+    if (journeys <= 0 || path.length === 0) continue;
+    const states = [MARKOV_START, ...path];
+    for (let i = 0; i < states.length - 1; i++) add(states[i], states[i + 1], journeys);
+    add(states[states.length - 1], MARKOV_CONVERSION, conversions);
+    add(states[states.length - 1], MARKOV_NULL, nulls);
+  }
+
+  const probabilities = {};
+  for (const [from, row] of Object.entries(counts)) {
+    const total = Object.values(row).reduce((s, w) => s + w, 0);
+    probabilities[from] = {};
+    for (const [to, w] of Object.entries(row)) probabilities[from][to] = w / total;
+  }
+
+  return { counts, probabilities };
+}
+
+/**
+ * Probability of reaching CONVERSION from START.
+ * When removedChannel is set, every transition into it is treated as NULL.
+ * Iterates to convergence since paths may revisit channels (A > B > A).
+ */
+function markovConversionProbability(probabilities, removedChannel) {
+  const value = {};
+  const states = Object.keys(probabilities).filter((s) => s !== removedChannel);
+
+  for (let iter = 0; iter < 1000; iter++) {
+    let delta = 0;
+    for (const s of states) {
+      let v = 0;
+      for (const [to, p] of Object.entries(probabilities[s])) {
+        if (to === MARKOV_CONVERSION) v += p;
+        else if (to !== MARKOV_NULL && to !== removedChannel) v += p * (value[to] || 0);
+      }
+      delta = Math.max(delta, Math.abs(v - (value[s] || 0)));
+      value[s] = v;
+    }
+    if (delta < 1e-12) break;
+  }
+
+  return value[MARKOV_START] || 0;
+}
+
+/**
+ * Markov removal-effect attribution.
+ * Returns { conversionProbability, removalEffects, shares, transitions }
+ * where shares are the removal effects normalised to sum to 1.
+ */
+function computeMarkovAttribution(pathStats) {
+  const transitions = buildMarkovTransitions(pathStats);
+  const base = markovConversionProbability(transitions.probabilities, null);
+
+  const channels = [...new Set(pathStats.flatMap((p) => p.path))];
+  const removalEffects = {};
+  for (const channel of channels) {
+    const without = markovConversionProbability(transitions.probabilities, channel);
+    removalEffects[channel] = base > 0 ? Math.max(0, 1 - without / base) : 0;
+  }
+
+  const totalEffect = Object.values(removalEffects).reduce((s, e) => s + e, 0);
+  const shares = {};
+  for (const channel of channels) {
+    shares[channel] = totalEffect > 0 ? removalEffects[channel] / totalEffect : 0;
+  }
+
+  return { conversionProbability: base, removalEffects, shares, transitions };
+}
+
+/**
+ * Markov path stats from a result's converting paths plus sampled non-converting journeys.
+ * Each sampled journey counts as nullWeight non-converting journeys (population ÷ sample, see
+ * nonConvertingSampleScale), so NULL transitions don't depend on the sample size.
+ * Truncation markers are not channels, so they are left out of the chain.
+ * @returns {Array} [{ path, conversions, nulls }] for computeMarkovAttribution
+ */
+function buildMarkovPathStats(paths, journeys, nullWeight = 1) {
+  const pathStats = {};
+  const stat = (rawPath) => {
+    const path = pathChannels(rawPath);
+    const key = pathToKey(path);
+    if (!pathStats[key]) pathStats[key] = { path, conversions: 0, nulls: 0 };
+    return pathStats[key];
+  };
+  for (const p of paths || []) stat(p.path).conversions += p.conversions;
+  for (const j of journeys || []) stat(j.path).nulls += nullWeight;
+  return Object.values(pathStats);
+}
+
+// ---- Cooperative game: Shapley value ----
+// Each distinct channel set in the aggregated paths is a coalition that earned its
+// conversions/value. v(S) = everything earned by coalitions contained in S.
+/**
+ * Original-currency breakdown per channel under Shapley. Each coalition is a unanimity game,
+ * whose Shapley value splits its payoff equally between its channels, so a path's
+ * valueByCurrency is shared equally by its distinct channels.
+ */
+function shapleyCurrencyBreakdown(pathCounts) {
+  const breakdown = {};
+  for (const p of Object.values(pathCounts)) {
+    const channels = [...new Set(pathChannels(p.path))];
+    for (const channel of channels) {
+      if (!breakdown[channel]) breakdown[channel] = {};
+      for (const [currency, value] of Object.entries(p.valueByCurrency || {})) {
+        breakdown[channel][currency] = (breakdown[channel][currency] || 0) + value / channels.length;
+      }
+    }
+  }
+  return breakdown;
+}
+
+/** Group aggregated paths into coalitions: [{ channels, conversions, value }]. */
+function buildShapleyCoalitions(pathCounts) {
+  const coalitions = {};
+  for (const p of Object.values(pathCounts)) {
+    const channels = [...new Set(pathChannels(p.path))].sort();
+    const key = channels.join("+");
+    if (!coalitions[key]) coalitions[key] = { channels, conversions: 0, value: 0 };
+    coalitions[key].conversions += p.conversions;
+    coalitions[key].value += p.totalValue || 0;
+  }
+  return Object.values(coalitions);
+}
+
+/**
+ * Shapley value per channel for conversions and value. v(S) sums the payoffs of the
+ * coalitions contained in S, a sum of unanimity games, so each channel's Shapley value is
+ * exactly the sum of payoff / |coalition| over the coalitions it belongs to.
+ * Returns { channels: { [channel]: { conversions, value } } }.
+ */
+function computeShapleyAttribution(coalitions) {
+  const result = {};
+  for (const c of coalitions) {
+    for (const ch of c.channels) {
+      if (!result[ch]) result[ch] = { conversions: 0, value: 0 };
+      result[ch].conversions += c.conversions / c.channels.length;
+      result[ch].value += c.value / c.channels.length;
+    }
+  }
+  return { channels: result };
+}
+
+// ---- First-ever conversions ----
+/** Earliest parsed timestamp among history entries matching a predicate (null if none). */
+function earliestHistoryTimestamp(history, predicate, valueIsDate) {
+  let earliest = null;
+  for (const e of history || []) {
+    if (predicate && !predicate(e)) continue;
+    const ts = (valueIsDate && parseHistoryTimestamp(e.value)) || parseHistoryTimestamp(e.timestamp);
+    if (ts > 0 && (earliest === null || ts < earliest)) earliest = ts;
+  }
+  return earliest;
+}
+
+const CUSTOM_DEFINITION_CANDIDATE_MAX = 10000; // contacts with another value checked per run
+
+/**
+ * Candidate searches for a custom definition: [{ filterGroups, maxResults }].
+ * property_value: contacts currently at the target value, modified since period start
+ *   (any change inside the period bumps lastmodifieddate past the start), plus up to
+ *   CUSTOM_DEFINITION_CANDIDATE_MAX contacts now at another value modified since period
+ *   start and created by its end — they may have reached the value in the period and moved
+ *   on, which only the history shows.
+ * date_set: contacts whose date is on/after period start (a later change may have moved
+ *   it past the period end).
+ */
+function customDefinitionSearches(definition, start, end) {
+  if (definition.kind === "property_value") {
+    const modified = { propertyName: "lastmodifieddate", operator: "GTE", value: String(start.getTime()) };
+    return [
+      {
+        filterGroups: [{
+          filters: [{ propertyName: definition.property, operator: "EQ", value: String(definition.value) }, modified],
+        }],
+      },
+      {
+        filterGroups: [{
+          filters: [
+            { propertyName: definition.property, operator: "NEQ", value: String(definition.value) },
+            modified,
+            { propertyName: "createdate", operator: "LTE", value: String(end.getTime()) },
+          ],
+        }],
+        maxResults: CUSTOM_DEFINITION_CANDIDATE_MAX,
+      },
+    ];
+  }
+  return [{
+    filterGroups: [{
+      filters: [{ propertyName: definition.property, operator: "GTE", value: String(start.getTime()) }],
+    }],
+  }];
+}
+
+/** First-ever moment a contact met a custom definition, from the property history (null if never). */
+function customDefinitionTimestamp(definition, history) {
+  if (definition.kind === "property_value") {
+    const target = String(definition.value ?? "").trim().toLowerCase();
+    return earliestHistoryTimestamp(history, (e) => String(e.value ?? "").trim().toLowerCase() === target);
+  }
+  return earliestHistoryTimestamp(history, (e) => String(e.value ?? "").trim() !== "", true);
+}
+
+function meetingTimestamp(m) {
+  return new Date(
+    m.properties?.hs_meeting_start_time ||
+    m.properties?.hs_timestamp ||
+    m.properties?.hs_createdate ||
+    m.createdAt
+  ).getTime();
+}
+
+/** Event ids per company through its contacts: { [companyId]: [eventId] } (duplicates removed). */
+function companyEventsViaContacts(companyIds, companyContacts, contactEvents) {
+  const companyEvents = {};
+  for (const companyId of companyIds) {
+    const ids = (companyContacts[companyId] || []).flatMap((cId) => contactEvents[String(cId)] || []);
+    companyEvents[companyId] = [...new Set(ids.map((id) => String(id)))];
+  }
+  return companyEvents;
+}
+
+/**
+ * Keep each company whose earliest meeting (or deal) — companyEvents: { [companyId]: [eventId] },
+ * its own deals or its contacts' meetings — falls in the period. Deals count only when
+ * closed-won; ties go to the lower object id. Returns { [companyId]: { event, ts } }.
+ */
+function firstCompanyEvents(companyEvents, events, isDeal, start, end) {
+  const eventById = {};
+  for (const e of events) {
+    if (isDeal && String(e.properties?.hs_is_closed_won) !== "true") continue;
+    const ts = isDeal ? new Date(e.properties?.closedate).getTime() : meetingTimestamp(e);
+    if (!isNaN(ts)) eventById[String(e.id)] = { event: e, ts };
+  }
+
+  const firstByCompany = {};
+  for (const [companyId, eventIds] of Object.entries(companyEvents)) {
+    let first = null;
+    for (const eId of eventIds) {
+      const candidate = eventById[String(eId)];
+      if (!candidate) continue;
+      if (!first || candidate.ts < first.ts || (candidate.ts === first.ts && String(eId) < String(first.event.id))) {
+        first = candidate;
+      }
+    }
+    if (first && first.ts >= start.getTime() && first.ts <= end.getTime()) firstByCompany[companyId] = first;
+  }
+  return firstByCompany;
+}
+
+// ---- History cache ----
+/**
+ * IDs that must be (re-)read from HubSpot: not cached, cached without one of the
+ * requested properties, or modified since they were cached.
+ * modifiedById holds the current lastmodifieddate per contact (missing = unknown → re-read).
+ */
+function contactsNeedingFetch(cachedContacts, ids, modifiedById, properties, historyProperties) {
+  return ids.filter((id) => {
+    const entry = cachedContacts[id];
+    if (!entry) return true;
+    if (!modifiedById[id] || entry.lastmodifieddate !== modifiedById[id]) return true;
+    if (properties.some((p) => !(p in (entry.properties || {})))) return true;
+    return historyProperties.some((p) => !(p in (entry.propertiesWithHistory || {})));
+  });
+}
+
+/** Conversion identity for merging: one per company, deal/event object or contact. */
+function conversionCacheKey(conv) {
+  if (conv.companyId) return `company:${conv.companyId}`;
+  if (conv.contactId) return `contact:${conv.contactId}`;
+  return `object:${conv.objectId}`;
+}
+
+/** Ranges (ms) covered by a cache entry; entries written before ranges were kept have one start/end. */
+function cachedConversionRanges(entry) {
+  if (Array.isArray(entry?.ranges)) return entry.ranges;
+  return entry && entry.start != null ? [{ start: entry.start, end: entry.end, syncedAt: entry.syncedAt }] : [];
+}
+
+/** Sorted { start, end } ranges with overlapping and adjacent ones joined. */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const r of [...ranges].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end + 1) last.end = Math.max(last.end, r.end);
+    else merged.push({ start: r.start, end: r.end });
+  }
+  return merged;
+}
+
+/**
+ * Ranges [{ start, end }] (ms) still to be searched for a window, given a cache entry.
+ * Nothing usable cached → the whole window, replacing the entry. Otherwise the parts of
+ * the window outside every cached range, so a year-ago comparison window keeps its own
+ * range next to the current one.
+ */
+function planConversionFetch(entry, start, end, signature) {
+  if (!entry || entry.signature !== signature) {
+    return { ranges: [{ start, end }], replace: true };
+  }
+  const ranges = [];
+  let from = start;
+  for (const r of mergeRanges(cachedConversionRanges(entry))) {
+    if (r.end < from) continue;
+    if (r.start > end) break;
+    if (r.start > from) ranges.push({ start: from, end: r.start });
+    from = Math.max(from, r.end);
+  }
+  if (from < end) ranges.push({ start: from, end });
+  return { ranges, replace: false };
+}
+
+/**
+ * Whole UTC days (clipped to the range) around timestamps that must be searched again
+ * because the objects behind them were edited since the range was synced.
+ */
+function recheckRanges(timestamps, range) {
+  const DAY = 24 * 60 * 60 * 1000;
+  const days = [];
+  for (const ts of timestamps) {
+    if (!Number.isFinite(ts)) continue;
+    const dayStart = Math.floor(ts / DAY) * DAY;
+    const start = Math.max(dayStart, range.start);
+    const end = Math.min(dayStart + DAY - 1, range.end);
+    if (start <= end) days.push({ start, end });
+  }
+  return mergeRanges(days);
+}
+
+/**
+ * Cached ranges after a sync of `synced` ({ start, end, syncedAt }): older ranges keep
+ * only their parts outside it, so each part remembers when it was last checked.
+ */
+function withSyncedRange(ranges, synced) {
+  const kept = [];
+  for (const r of ranges) {
+    if (r.end < synced.start || r.start > synced.end) kept.push(r);
+    else {
+      if (r.start < synced.start) kept.push({ ...r, end: synced.start - 1 });
+      if (r.end > synced.end) kept.push({ ...r, start: synced.end + 1 });
+    }
+  }
+  return [...kept, synced].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Cached conversions minus those inside re-searched ranges, plus the fresh ones.
+ * Fresh conversions win on the same key (e.g. a deal whose amount changed).
+ */
+function mergeCachedConversions(cached, fetched, ranges) {
+  const inRanges = (ts) => ranges.some((r) => ts >= r.start && ts <= r.end);
+  const byKey = new Map();
+  for (const conv of cached) {
+    if (!inRanges(Number(conv.conversionTimestamp))) byKey.set(conversionCacheKey(conv), conv);
+  }
+  for (const conv of fetched) byKey.set(conversionCacheKey(conv), conv);
+  return [...byKey.values()].sort((a, b) => Number(a.conversionTimestamp) - Number(b.conversionTimestamp));
+}
+
+// ---- Segment filters ----
+const SEGMENT_PROPERTY_OPERATORS = ["eq", "neq", "contains", "gt", "lt", "has_property", "not_has_property"];
+
+/**
+ * Validate a segment filter from a request body.
+ * Returns { segment } (null when no condition is set) or { error }.
+ */
+function parseSegmentFilter(input) {
+  if (input == null) return { segment: null };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "segment must be an object." };
+
+  const segment = {};
+  for (const key of ["lifecycleStage", "ownerId", "listId"]) {
+    const value = input[key] == null ? "" : String(input[key]).trim();
+    if (value) segment[key] = value;
+  }
+  if (segment.listId && !/^\d+$/.test(segment.listId)) return { error: "listId must be a numeric HubSpot list ID." };
+
+  const properties = input.properties || [];
+  if (!Array.isArray(properties)) return { error: "segment.properties must be an array." };
+  const propertyFilters = [];
+  for (const f of properties) {
+    const property = String(f?.property || "").trim();
+    const operator = f?.operator || "eq";
+    if (!/^[a-z0-9_]+$/i.test(property)) return { error: `Invalid segment property: ${property || "(empty)"}` };
+    if (!SEGMENT_PROPERTY_OPERATORS.includes(operator)) return { error: `Invalid segment operator: ${operator}` };
+    const needsValue = operator !== "has_property" && operator !== "not_has_property";
+    const value = f.value == null ? "" : String(f.value);
+    if (needsValue && value === "") return { error: `Segment filter on ${property} needs a value.` };
+    if ((operator === "gt" || operator === "lt") && !Number.isFinite(Number(value))) {
+      return { error: `Segment filter on ${property} needs a numeric value for "${operator}".` };
+    }
+    propertyFilters.push(needsValue ? { property, operator, value } : { property, operator });
+  }
+  if (propertyFilters.length > 0) segment.properties = propertyFilters;
+
+  return { segment: Object.keys(segment).length > 0 ? segment : null };
+}
+
+/** True when a contact property value passes one segment property filter. */
+function matchesSegmentProperty(rawValue, filter) {
+  const value = rawValue == null ? "" : String(rawValue);
+  switch (filter.operator) {
+    case "has_property":
+      return value !== "";
+    case "not_has_property":
+      return value === "";
+    case "eq":
+      return value.toLowerCase() === filter.value.toLowerCase();
+    case "neq":
+      return value.toLowerCase() !== filter.value.toLowerCase();
+    case "contains":
+      return value.toLowerCase().includes(filter.value.toLowerCase());
+    case "gt":
+      return value !== "" && Number(value) > Number(filter.value);
+    case "lt":
+      return value !== "" && Number(value) < Number(filter.value);
+    default:
+      return false;
+  }
+}
+
+/** True when a contact's properties match the segment (list membership is checked separately). */
+function contactMatchesSegment(properties, segment) {
+  const props = properties || {};
+  if (segment.lifecycleStage && String(props.lifecyclestage || "").toLowerCase() !== segment.lifecycleStage.toLowerCase()) {
+    return false;
+  }
+  if (segment.ownerId && String(props.hubspot_owner_id || "") !== segment.ownerId) return false;
+  return (segment.properties || []).every((f) => matchesSegmentProperty(props[f.property], f));
+}
+
+// ---- Non-converting sampling and conversion rates ----
+/** Deterministic PRNG (mulberry32) so samples are reproducible. */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * `count` equal hs_object_id ranges between minId and maxId, each with a random id to start
+ * reading from ({ start, end, from }).
+ */
+function sampleIdStrata(minId, maxId, count, random) {
+  const width = (maxId - minId + 1) / count;
+  const strata = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.ceil(minId + i * width);
+    const end = i === count - 1 ? maxId : Math.ceil(minId + (i + 1) * width) - 1;
+    if (start > end) continue;
+    strata.push({ start, end, from: start + Math.floor(random() * (end - start + 1)) });
+  }
+  return strata;
+}
+
+/** Ids in the order of a hash of seed + id: a reproducible shuffle for the same seed. */
+function hashOrder(ids, seed) {
+  const key = (id) => crypto.createHash("sha1").update(`${seed}:${id}`).digest("hex");
+  return ids
+    .map((id) => ({ id, key: key(id) }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map((e) => e.id);
+}
+
+/**
+ * Journeys, conversions and conversion rate per path and per channel, from the converting
+ * paths of a result plus sampled non-converting journeys (each standing for `scale` contacts).
+ * A channel's journeys are those that touched it at least once. Journeys without any traffic
+ * source history (UNKNOWN) are left out, since only converters can have them.
+ */
+function computePathConversionRates(paths, journeys, scale = 1) {
+  const rows = {};
+  const row = (path) => {
+    const key = pathToKey(path);
+    if (!rows[key]) rows[key] = { path, pathKey: key, conversions: 0, sampledNonConverting: 0 };
+    return rows[key];
+  };
+  for (const p of paths || []) row(p.path).conversions += p.conversions;
+  for (const j of journeys || []) row(j.path).sampledNonConverting += 1;
+
+  const round = (n) => Math.round(n * 10000) / 10000;
+  const ratePct = (conversions, total) => (total > 0 ? Math.round((conversions / total) * 10000) / 100 : 0);
+  const channels = {};
+  const pathRows = [];
+  for (const r of Object.values(rows)) {
+    if (r.pathKey === "UNKNOWN") continue;
+    const nonConverting = r.sampledNonConverting * scale;
+    const total = r.conversions + nonConverting;
+    for (const channel of new Set(pathChannels(r.path))) {
+      if (!channels[channel]) channels[channel] = { channel, conversions: 0, journeys: 0 };
+      channels[channel].conversions += r.conversions;
+      channels[channel].journeys += total;
+    }
+    pathRows.push({
+      path: r.path,
+      pathKey: r.pathKey,
+      journeys: round(total),
+      conversions: round(r.conversions),
+      nonConverting: round(nonConverting),
+      sampledNonConverting: r.sampledNonConverting,
+      conversionRatePct: ratePct(r.conversions, total),
+    });
+  }
+
+  const byVolume = (a, b) => b.journeys - a.journeys || b.conversionRatePct - a.conversionRatePct;
+  return {
+    paths: pathRows.sort(byVolume),
+    channels: Object.values(channels)
+      .map((c) => ({
+        channel: c.channel,
+        journeys: round(c.journeys),
+        conversions: round(c.conversions),
+        conversionRatePct: ratePct(c.conversions, c.journeys),
+      }))
+      .sort(byVolume),
+  };
+}
+
+/**
+ * Weight of one sampled non-converting contact: the estimated number of non-converting contacts
+ * active in the window (search total minus converters, at least the sample) ÷ the sample.
+ */
+function nonConvertingSampleScale(population, converters, sampledContacts) {
+  const nonConvertingContacts = Math.max(population - converters, sampledContacts);
+  const scale = sampledContacts > 0 ? nonConvertingContacts / sampledContacts : 0;
+  return { nonConvertingContacts, scale };
+}
+
+// ---- Company and deal rollup ----
+const ROLLUP_OBJECT_TYPES = ["companies", "deals"];
+
+// Optional scopes (app-hsmeta.json) each rollup object type needs; types without them are skipped
+const ROLLUP_SCOPES = {
+  companies: ["crm.objects.companies.write", "crm.schemas.companies.write"],
+  deals: ["crm.objects.deals.write", "crm.schemas.deals.write"],
+};
+
+/** Required scopes that are not in the granted list. */
+function missingScopes(granted, required) {
+  const have = new Set(granted || []);
+  return required.filter((scope) => !have.has(scope));
+}
+
+/**
+ * Roll contact contributions up to associated records.
+ * contactResults: { contactId: { percent, totalChanges } } (from processContact);
+ * associations: { contactId: [recordId, ...] } (from batchGetAssociations).
+ * Contacts without source history are left out; a record with none of them gets percent null.
+ * @returns {Object<string, { percent: number|null, contacts: number, touchpoints: number }>}
+ */
+function rollupContribution(contactResults, associations, mode) {
+  const sums = {};
+  for (const [contactId, recordIds] of Object.entries(associations || {})) {
+    const result = contactResults[contactId];
+    if (!result) continue;
+    for (const recordId of new Set(recordIds)) {
+      if (!sums[recordId]) sums[recordId] = { weighted: 0, weight: 0, contacts: 0, touchpoints: 0 };
+      if (!result.totalChanges) continue;
+      const weight = mode === "touchpoint_weighted" ? result.totalChanges : 1;
+      const s = sums[recordId];
+      s.weighted += result.percent * weight;
+      s.weight += weight;
+      s.contacts++;
+      s.touchpoints += result.totalChanges;
+    }
+  }
+
+  const rollups = {};
+  for (const [recordId, s] of Object.entries(sums)) {
+    rollups[recordId] = {
+      percent: s.weight > 0 ? s.weighted / s.weight : null,
+      contacts: s.contacts,
+      touchpoints: s.touchpoints,
+    };
+  }
+  return rollups;
+}
+
+/** Status message suffix for a rollup summary from writeContributionRollups. */
+function rollupSummaryMessage(rollup) {
+  if (!rollup) return "";
+  if (rollup.error) return ` Company/deal rollup failed: ${rollup.error}`;
+  const skipped = rollup.missingScopes?.length
+    ? ` Skipped ${ROLLUP_OBJECT_TYPES.filter((t) => !rollup[t]).join(" and ")}: reinstall the app to grant ${rollup.missingScopes.join(", ")}.`
+    : "";
+  if (!rollup.companies && !rollup.deals) return skipped;
+  const parts = ROLLUP_OBJECT_TYPES.filter((t) => rollup[t]).map((t) => `${rollup[t].updated || 0} ${t}`);
+  return ` Rolled up to ${parts.join(" and ")}.${skipped}`;
+}
+
+// ---- Property definitions ----
+/**
+ * Whether an existing property differs from its definition in type, field type, number
+ * display hint or (for enumerations) option values.
+ */
+function propertyNeedsUpdate(existing, definition) {
+  const optionValues = (o) => (o || []).map((opt) => opt.value).join(",");
+  return (
+    existing?.type !== definition.type ||
+    existing?.fieldType !== definition.fieldType ||
+    Boolean(definition.numberDisplayHint && existing?.numberDisplayHint !== definition.numberDisplayHint) ||
+    Boolean(definition.options && optionValues(existing?.options) !== optionValues(definition.options))
+  );
+}
+
+// ---- Journey write-back ----
+/**
+ * Batch update inputs ([{ id, properties }]) for a result's eligible contacts.
+ * One input per contact (first entry wins); missing values are written empty to clear old ones.
+ */
+function buildJourneyPropertyUpdates(eligibleContacts, conversionLabel, labels = CHANNEL_LABELS) {
+  const seen = new Set();
+  const inputs = [];
+  for (const c of eligibleContacts || []) {
+    if (!c.contactId || seen.has(String(c.contactId))) continue;
+    seen.add(String(c.contactId));
+    inputs.push({
+      id: String(c.contactId),
+      properties: {
+        mcf_first_touch_channel: c.firstTouch ? channelLabel(c.firstTouch, labels) : "",
+        mcf_last_touch_channel: c.lastTouch ? channelLabel(c.lastTouch, labels) : "",
+        mcf_conversion_path: c.touchpoints > 0 ? pathLabel(String(c.pathKey || "").split(">"), labels) : "",
+        mcf_touchpoint_count: Number.isFinite(c.touchpoints) ? c.touchpoints : "",
+        mcf_days_to_conversion: Number.isFinite(c.daysToConversion) ? c.daysToConversion : "",
+        mcf_journey_conversion: conversionLabel,
+      },
+    });
+  }
+  return inputs;
+}
+
+// ---- Custom conversion definitions ----
+const CONVERSION_DEFINITION_KINDS = ["property_value", "date_set"];
+
+/**
+ * Validate a conversion definition from a request body.
+ * Returns { definition } (without id/timestamps) or { error }.
+ */
+function validateConversionDefinition(body) {
+  const { label, kind, property, value } = body || {};
+  if (!label || typeof label !== "string" || !label.trim()) {
+    return { error: "label is required" };
+  }
+  if (!CONVERSION_DEFINITION_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${CONVERSION_DEFINITION_KINDS.join(", ")}` };
+  }
+  if (!property || !/^[a-z0-9_]+$/i.test(String(property))) {
+    return { error: "property must be a contact property internal name" };
+  }
+  if (kind === "property_value" && (value == null || String(value).trim() === "")) {
+    return { error: "value is required for property_value definitions" };
+  }
+  return {
+    definition: {
+      label: label.trim(),
+      kind,
+      property: String(property),
+      ...(kind === "property_value" ? { value: String(value).trim() } : {}),
+    },
+  };
+}
+
+// ---- Currency normalization ----
+/** Validate one exchange rate; returns { rate } or { error }. */
+function validateExchangeRate(input) {
+  const currency = String(input?.currency || "").trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) return { error: `Invalid currency code: ${input?.currency || "(empty)"}` };
+  const rate = Number(input.rate);
+  if (!Number.isFinite(rate) || rate <= 0) return { error: `Rate for ${currency} must be a positive number.` };
+  let effectiveDate = null;
+  if (input.effectiveDate != null && String(input.effectiveDate).trim() !== "") {
+    const d = new Date(String(input.effectiveDate).trim());
+    if (Number.isNaN(d.getTime())) return { error: `Invalid date for ${currency}: ${input.effectiveDate}` };
+    effectiveDate = d.toISOString().slice(0, 10);
+  }
+  return { rate: { currency, rate, effectiveDate } };
+}
+
+/**
+ * Validate currency settings from a request body (reportingCurrency + rates).
+ * Duplicate currency/date pairs keep the last entry. Returns { settings } or { error }.
+ */
+function validateCurrencySettings(input) {
+  const raw = input || {};
+  let reportingCurrency = null;
+  if (raw.reportingCurrency != null && String(raw.reportingCurrency).trim() !== "") {
+    reportingCurrency = String(raw.reportingCurrency).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(reportingCurrency)) return { error: `Invalid reporting currency: ${raw.reportingCurrency}` };
+  }
+  if (raw.rates != null && !Array.isArray(raw.rates)) return { error: "rates must be an array." };
+
+  const byKey = new Map();
+  for (const r of raw.rates || []) {
+    const validated = validateExchangeRate(r);
+    if (validated.error) return { error: validated.error };
+    byKey.set(`${validated.rate.currency}|${validated.rate.effectiveDate || ""}`, validated.rate);
+  }
+  const rates = [...byKey.values()].sort(
+    (a, b) => a.currency.localeCompare(b.currency) || (a.effectiveDate || "").localeCompare(b.effectiveDate || "")
+  );
+  return { settings: { reportingCurrency, rates } };
+}
+
+/**
+ * Parse an exchange-rate CSV: "currency,rate[,effectiveDate]" per line.
+ * A header row (first cell "currency") and blank lines are skipped. Returns { rates } or { error }.
+ */
+function parseExchangeRateCsv(text) {
+  const rates = [];
+  const lines = String(text || "").split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const cells = line.split(/[,;\t]/).map((c) => c.trim().replace(/^"|"$/g, ""));
+    if (i === 0 && cells[0].toLowerCase() === "currency") continue;
+    const validated = validateExchangeRate({ currency: cells[0], rate: cells[1], effectiveDate: cells[2] });
+    if (validated.error) return { error: `Line ${i + 1}: ${validated.error}` };
+    rates.push(validated.rate);
+  }
+  if (rates.length === 0) return { error: "No exchange rates found in the CSV." };
+  return { rates };
+}
+
+/** Exchange rate from `currency` into the reporting currency at a timestamp (null when none applies). */
+function findExchangeRate(settings, currency, timestamp) {
+  if (!currency || currency === settings.reportingCurrency) return 1;
+  const day = new Date(Number(timestamp) || Date.now()).toISOString().slice(0, 10);
+  let dated = null;
+  let undated = null;
+  for (const r of settings.rates) {
+    if (r.currency !== currency) continue;
+    if (!r.effectiveDate) undated = r;
+    else if (r.effectiveDate <= day && (!dated || r.effectiveDate > dated.effectiveDate)) dated = r;
+  }
+  return (dated || undated)?.rate ?? null;
+}
+
+/**
+ * Convert conversion values into the reporting currency. Each conversion keeps
+ * originalValue / originalCurrency. Conversions without an applicable rate are marked
+ * unconverted and count 0 towards the normalized value, so totals never mix currencies;
+ * their currency is listed in missingRates. Without a reporting currency nothing changes.
+ */
+function normalizeConversionCurrencies(conversions, settings) {
+  if (!settings?.reportingCurrency) return { conversions, missingRates: [] };
+  const missing = new Set();
+  const normalized = conversions.map((conv) => {
+    const originalValue = conv.conversionValue || 0;
+    const originalCurrency = conv.currency || null;
+    const rate = findExchangeRate(settings, originalCurrency, conv.conversionTimestamp);
+    if (rate == null) {
+      missing.add(originalCurrency);
+      return {
+        ...conv,
+        originalValue,
+        originalCurrency,
+        conversionValue: 0,
+        currency: settings.reportingCurrency,
+        unconverted: true,
+      };
+    }
+    return {
+      ...conv,
+      originalValue,
+      originalCurrency,
+      conversionValue: originalValue * rate,
+      currency: settings.reportingCurrency,
+    };
+  });
+  return { conversions: normalized, missingRates: [...missing].sort() };
+}
+
+/** Add a conversion's value in its original currency (before normalization) to a breakdown. */
+function addCurrencyBreakdown(breakdown, conv, weight) {
+  const currency = conv.originalCurrency !== undefined ? conv.originalCurrency : conv.currency;
+  if (!currency) return;
+  const value = conv.originalValue !== undefined ? conv.originalValue : conv.conversionValue || 0;
+  breakdown[currency] = (breakdown[currency] || 0) + value * weight;
+}
+
+/** Original-currency totals of the conversions left unconverted by normalizeConversionCurrencies. */
+function unconvertedCurrencyTotals(conversions) {
+  const totals = {};
+  for (const conv of conversions) if (conv.unconverted) addCurrencyBreakdown(totals, conv, 1);
+  return roundCurrencyBreakdown(totals);
+}
+
+/** Round every amount in a currency breakdown. */
+function roundCurrencyBreakdown(breakdown) {
+  return Object.fromEntries(Object.entries(breakdown).map(([cur, v]) => [cur, Math.round(v * 100) / 100]));
+}
+
+// ---- Period-over-period comparison ----
+/** Rounded absolute and percent change (percent is null when the previous value is 0). */
+function periodChange(current, previous) {
+  return {
+    change: Math.round((current - previous) * 10000) / 10000,
+    changePct: previous > 0 ? Math.round(((current - previous) / previous) * 10000) / 100 : null,
+  };
+}
+
+/**
+ * Compare two MCF results (current vs previous window) path by path and channel by channel.
+ * Rows cover the union of both periods, so paths/channels that disappeared are listed too.
+ */
+function buildMcfComparison(current, previous) {
+  const compareRows = (currentRows, previousRows, keyOf, describe) => {
+    const rows = {};
+    const blank = { conversions: 0, sharePct: 0 };
+    for (const [period, list] of [["current", currentRows], ["previous", previousRows]]) {
+      for (const r of list) {
+        const key = keyOf(r);
+        if (!rows[key]) rows[key] = { ...describe(r), current: blank, previous: blank };
+        rows[key][period] = { conversions: r.conversions, sharePct: r.sharePct };
+      }
+    }
+    return Object.values(rows)
+      .map((r) => ({ ...r, ...periodChange(r.current.conversions, r.previous.conversions) }))
+      .sort((a, b) => b.current.conversions - a.current.conversions || b.previous.conversions - a.previous.conversions);
+  };
+
+  return {
+    startDate: previous.startDate,
+    endDate: previous.endDate,
+    totalConversions: previous.totalConversions,
+    ...periodChange(current.totalConversions, previous.totalConversions),
+    paths: compareRows(
+      current.paths, previous.paths,
+      (p) => p.pathKey || pathToKey(p.path),
+      (p) => ({ path: p.path, pathKey: p.pathKey || pathToKey(p.path) })
+    ),
+    channels: compareRows(
+      current.attribution?.channels || [], previous.attribution?.channels || [],
+      (c) => c.channel,
+      (c) => ({ channel: c.channel })
+    ),
+  };
+}
+
+// ---- Revenue attribution ----
+/** "2026-03" for a timestamp (UTC). */
+function monthKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+/**
+ * Attribute deal revenue to channels.
+ * @param {Array} deals - [{ dealId, conversionTimestamp, conversionValue, currency, contactIds }]
+ * @param {Object} historyByContact - contactId → hs_latest_source history
+ * @param {Set} marketingSources - the portal's marketing sources (flags each channel)
+ * Deals without contacts, or contacts without touchpoints before the close date, credit UNKNOWN.
+ */
+function attributeDealRevenue(deals, historyByContact, model, options, marketingSources) {
+  const channelCredits = {};
+  const months = {};
+  let totalRevenue = 0;
+
+  for (const deal of deals) {
+    const value = deal.conversionValue || 0;
+    totalRevenue += value;
+    const month = monthKey(deal.conversionTimestamp);
+    if (!months[month]) months[month] = { month, deals: 0, revenue: 0, channels: {} };
+    months[month].deals += 1;
+    months[month].revenue += value;
+
+    const contactIds = [...new Set((deal.contactIds || []).map(String))];
+    const units = contactIds.length > 0 ? contactIds : [null];
+    const dealCredits = {};
+    for (const contactId of units) {
+      const touchpoints = contactId
+        ? buildConversionTouchpoints(historyByContact[contactId] || [], deal.conversionTimestamp)
+        : [];
+      const weights = computeAttributionWeights(touchpoints, deal.conversionTimestamp, model, options);
+      addChannelCredit(dealCredits, touchpoints, weights, 1 / units.length, value / units.length);
+    }
+
+    for (const credit of Object.values(dealCredits)) {
+      if (!channelCredits[credit.channel]) channelCredits[credit.channel] = { channel: credit.channel, deals: 0, value: 0 };
+      channelCredits[credit.channel].deals += credit.conversions;
+      channelCredits[credit.channel].value += credit.value;
+      months[month].channels[credit.channel] = (months[month].channels[credit.channel] || 0) + credit.value;
+    }
+  }
+
+  const money = (n) => Math.round(n * 100) / 100;
+  const channels = Object.values(channelCredits)
+    .sort((a, b) => b.value - a.value || b.deals - a.deals)
+    .map((c) => ({
+      channel: c.channel,
+      marketing: marketingSources.has(c.channel),
+      deals: Math.round(c.deals * 10000) / 10000,
+      revenue: money(c.value),
+      sharePct: totalRevenue > 0 ? Math.round((c.value / totalRevenue) * 10000) / 100 : 0,
+    }));
+  const marketingRevenue = Object.values(channelCredits)
+    .filter((c) => marketingSources.has(c.channel))
+    .reduce((sum, c) => sum + c.value, 0);
+
+  return {
+    totalDeals: deals.length,
+    totalRevenue: money(totalRevenue),
+    marketingRevenue: money(marketingRevenue),
+    marketingSharePct: totalRevenue > 0 ? Math.round((marketingRevenue / totalRevenue) * 10000) / 100 : 0,
+    channels,
+    months: Object.values(months)
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map((m) => ({
+        month: m.month,
+        deals: m.deals,
+        revenue: money(m.revenue),
+        channels: Object.fromEntries(Object.entries(m.channels).map(([channel, v]) => [channel, money(v)])),
+      })),
+  };
+}
+
+module.exports = {
+  CHANNEL_LABELS, DEFAULT_TIME_DECAY_HALF_LIFE_DAYS, ALL_SOURCES, CONTRIBUTION_MODES,
+  DEFAULT_CONTRIBUTION_MODE, DEFAULT_CONTRIBUTION_HALF_LIFE_DAYS, validateContributionSettings,
+  SHARE_PROPERTY_PREFIX, DOMINANT_SOURCE_PROPERTY, sharePropertyName, isChannelShareProperty,
+  shareDeletionsAfterChange, validateChannelShareSettings, channelSharePropertyDefinitions,
+  MAX_CHANNEL_GROUPS, CHANNEL_GROUP_FALLBACK_KEY, channelGroupKey, validateChannelGrouping,
+  matchesData1, classifyChannel, groupingUsesData1, channelGroupLabels, groupedSourceHistory,
+  computeMarketingContribution, computeTimeWeightedContribution, computeDecayedContribution,
+  computeContribution, computeChannelShares, channelSharePropertyValues, parseHistoryTimestamp,
+  DEFAULT_PATH_OPTIONS, PATH_TRUNCATION_MARKER, SOURCE_DRILL_DOWN_PROPERTIES,
+  SOURCE_DRILL_DOWN_TOLERANCE_MS, channelSource, channelLabel, normalizeChannel,
+  buildDrillDownHistory, pairSourceDetails, sourceHistoryForPath, buildConversionTouchpoints,
+  truncateTouchpoints, touchpointsToPath, buildConversionPath, pathChannels, pathToKey,
+  TIME_LAG_BUCKETS, PATH_LENGTH_BUCKETS, createBucketReport, addToBucketReport,
+  finalizeBucketReport, timeLagDays, TRANSITION_ENTRY, TRANSITION_CONVERSION,
+  buildChannelTransitions, pathLabel, csvCell, csvLine, computeAttributionWeights,
+  addChannelCredit, rankChannelCredits, addAssistedConversions, rankAssistedConversions,
+  MARKOV_START, MARKOV_CONVERSION, MARKOV_NULL, buildMarkovTransitions,
+  markovConversionProbability, computeMarkovAttribution, buildMarkovPathStats,
+  shapleyCurrencyBreakdown, buildShapleyCoalitions, computeShapleyAttribution,
+  earliestHistoryTimestamp, CUSTOM_DEFINITION_CANDIDATE_MAX, customDefinitionSearches,
+  customDefinitionTimestamp, meetingTimestamp, companyEventsViaContacts, firstCompanyEvents,
+  contactsNeedingFetch, conversionCacheKey, cachedConversionRanges, mergeRanges,
+  planConversionFetch, recheckRanges, withSyncedRange, mergeCachedConversions,
+  SEGMENT_PROPERTY_OPERATORS, parseSegmentFilter, matchesSegmentProperty, contactMatchesSegment,
+  seededRandom, sampleIdStrata, hashOrder, computePathConversionRates, nonConvertingSampleScale,
+  ROLLUP_OBJECT_TYPES, ROLLUP_SCOPES, missingScopes, rollupContribution, rollupSummaryMessage,
+  propertyNeedsUpdate, buildJourneyPropertyUpdates, CONVERSION_DEFINITION_KINDS,
+  validateConversionDefinition, validateExchangeRate, validateCurrencySettings,
+  parseExchangeRateCsv, findExchangeRate, normalizeConversionCurrencies, addCurrencyBreakdown,
+  unconvertedCurrencyTotals, roundCurrencyBreakdown, periodChange, buildMcfComparison, monthKey,
+  attributeDealRevenue,
+};
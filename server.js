@@ -5,6 +5,33 @@ const BACKEND_VERSION = "1.1.9";
 
 const express = require("express");
 const fs = require("fs");
+const crypto = require("crypto");
+const { buildXlsx } = require("./xlsx-export");
+const {
+  CHANNEL_LABELS, DEFAULT_TIME_DECAY_HALF_LIFE_DAYS, ALL_SOURCES, CONTRIBUTION_MODES,
+  DEFAULT_CONTRIBUTION_MODE, DEFAULT_CONTRIBUTION_HALF_LIFE_DAYS, validateContributionSettings,
+  isChannelShareProperty, shareDeletionsAfterChange, validateChannelShareSettings,
+  channelSharePropertyDefinitions, CHANNEL_GROUP_FALLBACK_KEY, validateChannelGrouping,
+  groupingUsesData1, channelGroupLabels, groupedSourceHistory, computeContribution,
+  channelSharePropertyValues, parseHistoryTimestamp, DEFAULT_PATH_OPTIONS,
+  SOURCE_DRILL_DOWN_PROPERTIES, channelLabel, sourceHistoryForPath, buildConversionTouchpoints,
+  truncateTouchpoints, touchpointsToPath, buildConversionPath, pathChannels, pathToKey,
+  TIME_LAG_BUCKETS, PATH_LENGTH_BUCKETS, createBucketReport, addToBucketReport,
+  finalizeBucketReport, timeLagDays, TRANSITION_ENTRY, TRANSITION_CONVERSION,
+  buildChannelTransitions, pathLabel, csvLine, computeAttributionWeights, addChannelCredit,
+  rankChannelCredits, addAssistedConversions, rankAssistedConversions, MARKOV_START,
+  MARKOV_CONVERSION, MARKOV_NULL, computeMarkovAttribution, buildMarkovPathStats,
+  shapleyCurrencyBreakdown, buildShapleyCoalitions, computeShapleyAttribution,
+  earliestHistoryTimestamp, CUSTOM_DEFINITION_CANDIDATE_MAX, customDefinitionSearches,
+  customDefinitionTimestamp, companyEventsViaContacts, firstCompanyEvents, contactsNeedingFetch,
+  cachedConversionRanges, mergeRanges, planConversionFetch, recheckRanges, withSyncedRange,
+  mergeCachedConversions, parseSegmentFilter, contactMatchesSegment, seededRandom, sampleIdStrata,
+  hashOrder, computePathConversionRates, nonConvertingSampleScale, ROLLUP_OBJECT_TYPES,
+  ROLLUP_SCOPES, missingScopes, rollupContribution, rollupSummaryMessage, propertyNeedsUpdate,
+  buildJourneyPropertyUpdates, validateConversionDefinition, validateCurrencySettings,
+  parseExchangeRateCsv, normalizeConversionCurrencies, addCurrencyBreakdown,
+  unconvertedCurrencyTotals, roundCurrencyBreakdown, buildMcfComparison, attributeDealRevenue,
+} = require("./mcf-helpers");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,38 +47,41 @@ const BATCH_LIMIT = 300; // contacts per batch call
 
 // ---- MCF (Multi-Channel Funnel) Constants ----
 const MCF_RESULTS_PATH = process.env.MCF_RESULTS_PATH || "./data/mcf-results.json";
+const MCF_CACHE_DIR = process.env.MCF_CACHE_DIR || "./data/mcf-cache"; // per-portal history cache
+
+// HubSpot default lifecycle stages (custom stage IDs are also accepted)
+const LIFECYCLE_STAGE_OPTIONS = [
+  { value: "subscriber", label: "Subscriber" },
+  { value: "lead", label: "Lead" },
+  { value: "marketingqualifiedlead", label: "Marketing Qualified Lead" },
+  { value: "salesqualifiedlead", label: "Sales Qualified Lead" },
+  { value: "opportunity", label: "Opportunity" },
+  { value: "customer", label: "Customer" },
+  { value: "evangelist", label: "Evangelist" },
+];
 
-const CHANNEL_LABELS = {
-  ORGANIC_SEARCH: "Organic Search",
-  PAID_SEARCH: "Paid Search",
-  EMAIL_MARKETING: "Email Marketing",
-  SOCIAL_MEDIA: "Organic Social",
-  REFERRALS: "Referrals",
-  OTHER_CAMPAIGNS: "Other Campaigns",
-  DIRECT_TRAFFIC: "Direct Traffic",
-  OFFLINE: "Offline Sources",
-  PAID_SOCIAL: "Paid Social",
-  AI_REFERRALS: "AI Referrals",
-};
-
-// MCF: First-ever meeting only
+// MCF: First-ever conversion types
+// Lifecycle stage types are "lifecycle_stage:<stage>" so each stage is cached separately.
 const CONVERSION_TYPE_OPTIONS = [
   { value: "meeting_booked", label: "First-ever meeting" },
+  { value: "deal_won", label: "First closed-won deal" },
+  { value: "form_submission", label: "First-ever form submission" },
+  ...LIFECYCLE_STAGE_OPTIONS.map((s) => ({
+    value: `lifecycle_stage:${s.value}`,
+    label: `First became ${s.label}`,
+  })),
 ];
 
-// All possible hs_latest_source values in HubSpot (matches native property options exactly)
-const ALL_SOURCES = [
-  { value: "ORGANIC_SEARCH", label: "Organic Search" },
-  { value: "PAID_SEARCH", label: "Paid Search" },
-  { value: "EMAIL_MARKETING", label: "Email Marketing" },
-  { value: "SOCIAL_MEDIA", label: "Organic Social" },
-  { value: "REFERRALS", label: "Referrals" },
-  { value: "OTHER_CAMPAIGNS", label: "Other Campaigns" },
-  { value: "DIRECT_TRAFFIC", label: "Direct Traffic" },
-  { value: "OFFLINE", label: "Offline Sources" },
-  { value: "PAID_SOCIAL", label: "Paid Social" },
-  { value: "AI_REFERRALS", label: "AI Referrals" },
+// MCF: Rule-based attribution models (per-channel credit)
+const ATTRIBUTION_MODEL_OPTIONS = [
+  { value: "last_touch", label: "Last touch" },
+  { value: "first_touch", label: "First touch" },
+  { value: "linear", label: "Linear" },
+  { value: "time_decay", label: "Time decay" },
+  { value: "position_based", label: "Position-based (40/20/40)" },
+  { value: "shapley", label: "Shapley value" },
 ];
+const DEFAULT_ATTRIBUTION_MODEL = "last_touch";
 
 // Default marketing sources (used if portal hasn't configured their own)
 const DEFAULT_MARKETING_SOURCES = [
@@ -89,6 +119,82 @@ function getMarketingSources(portalId) {
   return new Set(DEFAULT_MARKETING_SOURCES);
 }
 
+// ---- Contribution mode (per portal, stored in portal config) ----
+//   count:         every hs_latest_source entry counts once (computeMarketingContribution)
+//   time_weighted: each entry counts for as long as it stayed the latest source, up to now
+//                  or up to contributionCutoffDate (computeTimeWeightedContribution)
+//   recency_decay: each entry's weight halves every contributionHalfLifeDays of age
+//                  (computeDecayedContribution)
+
+function getContributionSettings(portalId) {
+  const portalConfig = loadPortalConfig()[String(portalId)] || {};
+  return {
+    mode: portalConfig.contributionMode || DEFAULT_CONTRIBUTION_MODE,
+    cutoffDate: portalConfig.contributionCutoffDate || null,
+    halfLifeDays: portalConfig.contributionHalfLifeDays || DEFAULT_CONTRIBUTION_HALF_LIFE_DAYS,
+  };
+}
+
+// ---- Company and deal rollup (per portal, stored in portal config as contributionRollup) ----
+// Opt-in: it needs the optional company/deal write scopes (see ROLLUP_SCOPES).
+//   off:                 contacts only
+//   average:             mean percentage of the associated contacts with source history
+//   touchpoint_weighted: the same, each contact weighted by its number of history entries
+const CONTRIBUTION_ROLLUP_MODES = [
+  { value: "off", label: "Contacts only" },
+  { value: "average", label: "Average of associated contacts" },
+  { value: "touchpoint_weighted", label: "Weighted by each contact's touchpoints" },
+];
+const DEFAULT_CONTRIBUTION_ROLLUP = "off";
+
+function getContributionRollupMode(portalId) {
+  return loadPortalConfig()[String(portalId)]?.contributionRollup || DEFAULT_CONTRIBUTION_ROLLUP;
+}
+
+// ---- Channel share properties (optional, per portal, stored in portal config) ----
+// When channelShareProperties is on, every processed contact also gets one number property per
+// configured source (mh_share_<source>, its share of the history under the contribution mode)
+// and mh_dominant_source. ensurePropertyExists creates the set. Turning the mode off keeps the
+// properties and their values; only the share properties of sources removed while the mode
+// stays on are deleted, on the next sync (channelSharePropertiesToDelete, see shareDeletionsAfterChange).
+
+function getChannelShareSettings(portalId) {
+  const portalConfig = loadPortalConfig()[String(portalId)] || {};
+  const sources = Array.isArray(portalConfig.channelShareSources)
+    ? portalConfig.channelShareSources
+    : ALL_SOURCES.map((s) => s.value);
+  return {
+    enabled: portalConfig.channelShareProperties === true,
+    sources,
+    pendingDeletions: Array.isArray(portalConfig.channelSharePropertiesToDelete) ? portalConfig.channelSharePropertiesToDelete : [],
+    syncedSignature: portalConfig.channelSharePropertiesSynced ?? null,
+  };
+}
+
+// ---- Channel groupings (per portal, stored in portal config) ----
+// { groups: [{ key, label, sources: ["PAID_SEARCH", ...], data1: ["partner.com", ...] }], fallbackLabel, updatedAt }
+// Rules are checked in order and the first match wins. A rule matches when the source is one of
+// its sources (any source when empty) and hs_latest_source_data_1 matches one of its data1
+// values (any value when empty). Unmatched touchpoints keep their HubSpot source, or go to the
+// fallback group when fallbackLabel is set.
+
+function getChannelGrouping(portalId) {
+  const config = loadPortalConfig();
+  const grouping = config[String(portalId)]?.channelGrouping;
+  return {
+    groups: Array.isArray(grouping?.groups) ? grouping.groups : [],
+    fallbackLabel: grouping?.fallbackLabel || null,
+    updatedAt: grouping?.updatedAt || null,
+  };
+}
+
+/** Channel groups as selectable options ({ value: key, label }), fallback group last. */
+function channelGroupOptions(grouping) {
+  const options = grouping.groups.map((g) => ({ value: g.key, label: g.label }));
+  if (grouping.fallbackLabel) options.push({ value: CHANNEL_GROUP_FALLBACK_KEY, label: grouping.fallbackLabel });
+  return options;
+}
+
 // ---- Helpers ----
 function escapeHtml(str) {
   return String(str)
@@ -145,21 +251,36 @@ function removePortalData(portalId) {
   try {
     if (mcfJobStatus[key]) delete mcfJobStatus[key];
   } catch (_) { /* ignore */ }
+  try {
+    if (revenueJobStatus[key]) delete revenueJobStatus[key];
+  } catch (_) { /* ignore */ }
+  try {
+    if (markovJobStatus[key]) delete markovJobStatus[key];
+  } catch (_) { /* ignore */ }
+  try {
+    if (channelSharePropertySync[key]) delete channelSharePropertySync[key];
+  } catch (_) { /* ignore */ }
 
   // Remove persisted MCF cache entries for this portal
   try {
-    const results = loadMcfResults();
-    let changed = false;
-    for (const cacheKey of Object.keys(results)) {
-      if (cacheKey.startsWith(`${key}:`)) {
-        delete results[cacheKey];
-        changed = true;
+    updateMcfResults((results) => {
+      let changed = false;
+      for (const cacheKey of Object.keys(results)) {
+        if (cacheKey.startsWith(`${key}:`)) {
+          delete results[cacheKey];
+          changed = true;
+        }
       }
-    }
-    if (changed) saveMcfResults(results);
+      return changed;
+    });
   } catch (e) {
     console.warn(`Failed to remove MCF cache for portal ${key}:`, e.message);
   }
+  try {
+    removeMcfCache(key);
+  } catch (e) {
+    console.warn(`Failed to remove MCF history cache for portal ${key}:`, e.message);
+  }
 }
 
 /**
@@ -258,36 +379,6 @@ async function hubspotApi(portalId, url, options = {}) {
   return data;
 }
 
-/**
- * Compute marketing contribution % based on source history entries.
- * Includes the very first value (not just changes).
- * @param {Array} historyEntries - property history entries
- * @param {Set} marketingSources - set of source values considered "marketing"
- */
-function computeMarketingContribution(historyEntries, marketingSources) {
-  const entries = [...(historyEntries || [])].sort((a, b) => {
-    return Number(a?.timestamp || 0) - Number(b?.timestamp || 0);
-  });
-
-  if (entries.length === 0) {
-    return { percent: 0, totalChanges: 0, marketingChanges: 0 };
-  }
-
-  let totalChanges = 0;
-  let marketingChanges = 0;
-
-  // Start from index 0 to include the very first traffic source value
-  for (let i = 0; i < entries.length; i++) {
-    const newValue = String(entries[i]?.value ?? "").trim();
-    if (!newValue) continue; // skip empty values
-    totalChanges++;
-    if (marketingSources.has(newValue)) marketingChanges++;
-  }
-
-  const percent = totalChanges > 0 ? marketingChanges / totalChanges : 0;
-  return { percent, totalChanges, marketingChanges };
-}
-
 // ================================================================
 // MCF HELPERS
 // ================================================================
@@ -302,7 +393,28 @@ function loadMcfResults() {
 }
 
 function saveMcfResults(data) {
-  fs.writeFileSync(MCF_RESULTS_PATH, JSON.stringify(data, null, 2), "utf8");
+  writeFileAtomic(MCF_RESULTS_PATH, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Read-modify-write of the persisted results in one synchronous step, so jobs finishing
+ * around the same time never save over each other's entries. mutate returns false to skip the save.
+ */
+function updateMcfResults(mutate) {
+  const results = loadMcfResults();
+  if (mutate(results) !== false) saveMcfResults(results);
+}
+
+/** Write via a temp file + rename, so a crash mid-write never leaves truncated JSON behind. */
+function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents, "utf8");
+  fs.renameSync(tmp, file);
+}
+
+/** Key of a persisted MCF result; contact- and company-level results are kept apart. */
+function mcfResultKey(portalId, conversionType, level = "contact") {
+  return `${portalId}:${conversionType}:${level}`;
 }
 
 /** Rate-limited HubSpot API call with exponential backoff retries. */
@@ -326,50 +438,140 @@ function msDelay(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-/** Parse timestamp from HubSpot (ISO string or ms number) to milliseconds. */
-function parseHistoryTimestamp(val) {
-  if (val == null || val === "") return 0;
-  if (typeof val === "number" && !isNaN(val)) return val;
-  const d = new Date(val);
-  return isNaN(d.getTime()) ? 0 : d.getTime();
+/**
+ * Validate path construction options from a request body (missing keys use defaults).
+ * Returns { options } or { error }.
+ */
+function parsePathOptions(input) {
+  const raw = input || {};
+  const options = { ...DEFAULT_PATH_OPTIONS };
+
+  if (raw.lookbackDays != null && raw.lookbackDays !== "") {
+    const days = Number(raw.lookbackDays);
+    if (!Number.isFinite(days) || days <= 0) return { error: "lookbackDays must be a positive number of days." };
+    options.lookbackDays = days;
+  }
+  if (raw.collapseRepeats != null) options.collapseRepeats = Boolean(raw.collapseRepeats);
+  if (raw.maxPathLength != null && raw.maxPathLength !== "" && Number(raw.maxPathLength) !== 0) {
+    const max = Number(raw.maxPathLength);
+    if (!Number.isInteger(max) || max < 1) return { error: "maxPathLength must be a positive whole number." };
+    options.maxPathLength = max;
+  }
+  if (raw.truncate != null) {
+    if (raw.truncate !== "head" && raw.truncate !== "tail") return { error: 'truncate must be "head" or "tail".' };
+    options.truncate = raw.truncate;
+  }
+  if (raw.ignoreDirect != null) options.ignoreDirect = Boolean(raw.ignoreDirect);
+  if (raw.drillDown != null) options.drillDown = Boolean(raw.drillDown);
+  if (raw.channelGroups != null) options.channelGroups = Boolean(raw.channelGroups);
+
+  return { options };
+}
+
+/** Contact properties whose history the path builder needs for these options. */
+function pathHistoryProperties(options = DEFAULT_PATH_OPTIONS) {
+  if (options.drillDown) return ["hs_latest_source", ...SOURCE_DRILL_DOWN_PROPERTIES];
+  if (options.channelGroups && groupingUsesData1(options.grouping)) return ["hs_latest_source", SOURCE_DRILL_DOWN_PROPERTIES[0]];
+  return ["hs_latest_source"];
+}
+
+// ================================================================
+// MCF EXPORT (CSV / XLSX)
+// Ranked paths and eligible contacts (or companies) of a result as spreadsheet
+// rows with readable channel labels. XLSX workbooks are built by xlsx-export.js.
+// ================================================================
+
+function isoTimestamp(ts) {
+  const n = Number(ts);
+  return Number.isFinite(n) && n > 0 ? new Date(n).toISOString() : "";
 }
 
 /**
- * Build a conversion path from hs_latest_source history.
- * Includes ALL entries before the conversion timestamp (no lookback limit).
- * This captures the full journey leading to conversion.
- * Collapses consecutive duplicate sources.
- * HubSpot returns timestamps as ISO strings; must parse before comparing.
+ * Sheets of an MCF result: [{ name, columns, rows }]. Path rows carry the first and last
+ * conversion timestamps of their eligible contacts; eligible rows carry their path's share.
  */
-function buildConversionPath(sourceHistory, conversionTimestamp) {
-  const convTs = typeof conversionTimestamp === "number" ? conversionTimestamp : parseHistoryTimestamp(conversionTimestamp);
-  const entries = (sourceHistory || [])
-    .filter((e) => {
-      const ts = parseHistoryTimestamp(e.timestamp);
-      return ts > 0 && ts <= convTs;
-    })
-    .sort((a, b) => parseHistoryTimestamp(a.timestamp) - parseHistoryTimestamp(b.timestamp));
-
-  if (entries.length === 0) return ["UNKNOWN"];
-
-  const rawPath = entries
-    .map((e) => String(e.value || "").trim().toUpperCase())
-    .filter(Boolean);
-
-  // Collapse consecutive duplicates
-  const collapsed = [];
-  for (const step of rawPath) {
-    if (collapsed.length === 0 || collapsed[collapsed.length - 1] !== step) {
-      collapsed.push(step);
-    }
+function buildMcfExportSheets(result) {
+  const paths = result.paths || [];
+  const isCompany = result.level === "company";
+  const labels = result.channelLabels || CHANNEL_LABELS;
+  const eligible = (isCompany ? result.eligibleCompanies : result.eligibleContacts) || [];
+  const pathByKey = Object.fromEntries(paths.map((p) => [p.pathKey || pathToKey(p.path), p]));
+
+  const timestampsByKey = {};
+  for (const e of eligible) {
+    const ts = Number(e.conversionTimestamp);
+    if (!Number.isFinite(ts) || ts <= 0) continue;
+    const range = timestampsByKey[e.pathKey] || (timestampsByKey[e.pathKey] = { first: ts, last: ts });
+    range.first = Math.min(range.first, ts);
+    range.last = Math.max(range.last, ts);
   }
 
-  return collapsed.length > 0 ? collapsed : ["UNKNOWN"];
+  const pathsSheet = {
+    name: "Paths",
+    columns: ["Rank", "Path", "Path key", "Touchpoints", "Conversions", "Share %", "Conversion value", "Currencies", "First conversion", "Last conversion"],
+    rows: paths.map((p, i) => {
+      const key = p.pathKey || pathToKey(p.path);
+      return [
+        i + 1,
+        pathLabel(p.path, labels),
+        key,
+        pathChannels(p.path || []).length,
+        p.conversions,
+        p.sharePct,
+        p.conversionValue,
+        (p.currencies || []).join(", "),
+        isoTimestamp(timestampsByKey[key]?.first),
+        isoTimestamp(timestampsByKey[key]?.last),
+      ];
+    }),
+  };
+
+  const eligibleSheet = isCompany
+    ? {
+        name: "Eligible companies",
+        columns: ["Company ID", "Name", "Domain", "Contacts", "Path", "Path key", "Path share %", "Conversion timestamp"],
+        rows: eligible.map((c) => [
+          c.companyId, c.name, c.domain, c.contactCount,
+          pathLabel(pathByKey[c.pathKey]?.path || String(c.pathKey || "").split(">"), labels),
+          c.pathKey, pathByKey[c.pathKey]?.sharePct ?? "", isoTimestamp(c.conversionTimestamp),
+        ]),
+      }
+    : {
+        name: "Eligible contacts",
+        columns: ["Contact ID", "Email", "First name", "Last name", "Path", "Path key", "Path share %", "Conversion timestamp"],
+        rows: eligible.map((c) => [
+          c.contactId, c.email, c.firstname, c.lastname,
+          pathLabel(pathByKey[c.pathKey]?.path || String(c.pathKey || "").split(">"), labels),
+          c.pathKey, pathByKey[c.pathKey]?.sharePct ?? "", isoTimestamp(c.conversionTimestamp),
+        ]),
+      };
+
+  return [pathsSheet, eligibleSheet];
 }
 
-/** Create a stable string key for a path array. */
-function pathToKey(pathArray) {
-  return pathArray.join(">");
+// ================================================================
+// MCF ATTRIBUTION MODELS
+// Rule-based models split each conversion across the touchpoints in its path.
+// ================================================================
+
+/**
+ * Validate the attribution model + options from a request body.
+ * Returns { model, options } or { error }.
+ */
+function parseAttributionModel(model, halfLifeDays) {
+  const selected = model || DEFAULT_ATTRIBUTION_MODEL;
+  if (!ATTRIBUTION_MODEL_OPTIONS.some((m) => m.value === selected)) {
+    return { error: `Invalid attribution model: ${selected}` };
+  }
+  const options = {};
+  if (selected === "time_decay") {
+    const hl = halfLifeDays == null || halfLifeDays === "" ? DEFAULT_TIME_DECAY_HALF_LIFE_DAYS : Number(halfLifeDays);
+    if (!Number.isFinite(hl) || hl <= 0) {
+      return { error: "halfLifeDays must be a positive number." };
+    }
+    options.halfLifeDays = hl;
+  }
+  return { model: selected, options };
 }
 
 // ================================================================
@@ -380,9 +582,9 @@ function pathToKey(pathArray) {
 
 /**
  * Paginated CRM search. Returns all matching objects.
- * Automatically paginates through all results.
+ * Automatically paginates through all results, or stops once maxResults are collected.
  */
-async function searchObjects(portalId, objectType, filterGroups, properties, limit) {
+async function searchObjects(portalId, objectType, filterGroups, properties, limit, maxResults) {
   const results = [];
   let after = undefined;
   const pageSize = Math.min(limit || 100, 100);
@@ -400,10 +602,21 @@ async function searchObjects(portalId, objectType, filterGroups, properties, lim
     results.push(...(data.results || []));
     after = data.paging?.next?.after;
     if (!after || (data.results || []).length === 0) break;
+    if (maxResults && results.length >= maxResults) break;
     await msDelay(100);
   }
 
-  return results;
+  return maxResults ? results.slice(0, maxResults) : results;
+}
+
+/** Number of objects matching the filter groups (the search total, from a single request). */
+async function countObjects(portalId, objectType, filterGroups) {
+  const data = await hubspotApiWithRetry(
+    portalId,
+    `https://api.hubapi.com/crm/v3/objects/${objectType}/search`,
+    { method: "POST", body: JSON.stringify({ filterGroups, properties: [], limit: 1 }) }
+  );
+  return Number(data?.total) || 0;
 }
 
 /**
@@ -453,6 +666,51 @@ async function batchReadObjects(portalId, objectType, ids, properties, propertie
   return results;
 }
 
+/**
+ * Batch update CRM objects. Uses /crm/v3/objects/{type}/batch/update.
+ * inputs: [{ id, properties }]. Sends 100 per call; a failed batch is retried one object at a time.
+ * Returns { updated, failed }.
+ */
+async function batchUpdateObjects(portalId, objectType, inputs) {
+  let updated = 0;
+  let failed = 0;
+  const batchSize = 100;
+
+  for (let i = 0; i < inputs.length; i += batchSize) {
+    const batch = inputs.slice(i, i + batchSize);
+    try {
+      await hubspotApiWithRetry(
+        portalId,
+        `https://api.hubapi.com/crm/v3/objects/${objectType}/batch/update`,
+        {
+          method: "POST",
+          body: JSON.stringify({ inputs: batch.map((b) => ({ id: String(b.id), properties: b.properties })) }),
+        }
+      );
+      updated += batch.length;
+    } catch (e) {
+      console.warn(`batchUpdateObjects(${objectType}) batch at ${i} failed:`, e.message);
+      // Fallback: update individually so one bad record doesn't sink the batch
+      for (const b of batch) {
+        try {
+          await hubspotApiWithRetry(
+            portalId,
+            `https://api.hubapi.com/crm/v3/objects/${objectType}/${b.id}`,
+            { method: "PATCH", body: JSON.stringify({ properties: b.properties }) }
+          );
+          updated++;
+        } catch (_) {
+          failed++;
+        }
+      }
+    }
+
+    if (i + batchSize < inputs.length) await msDelay(150);
+  }
+
+  return { updated, failed };
+}
+
 /**
  * Batch get associations using CRM v4 batch API.
  * Returns a map: { fromId → [toId, ...] } (all IDs as strings).
@@ -629,178 +887,1242 @@ async function findMeetingBookedConversions(portalId, start, end, jobStatus) {
   return conversions;
 }
 
-/**
- * Ensure the marketing_contribution_percentage property exists.
- * Property must be type "number" with numberDisplayHint "percentage" (not "formatted_number").
- */
-async function ensurePropertyExists(portalId) {
-  const propertyDefinition = {
-    name: PROPERTY_NAME,
-    label: "Marketing Contribution Percentage",
-    description:
-      "Percentage of hs_latest_source history changes attributed to marketing sources.",
-    groupName: "contactinformation",
-    type: "number",
-    fieldType: "number",
-    numberDisplayHint: "percentage",
-    hidden: false,
-    formField: false,
-    displayOrder: -1,
-  };
+// ---- DEAL WON (first-ever closed-won deal) ----
+// 1. Search deals that closed-won in the reporting period
+// 2. Batch-get associated contacts for those deals
+// 3. For each contact, batch-read ALL their deals to find their earliest won deal
+// 4. A deal qualifies for the contacts whose first-ever won deal it is;
+//    it is a deal-level event (associatedContactIds) carrying amount + currency
+/** Closed-won deals whose close date falls in the window (dealname, amount, currency, closedate). */
+async function searchClosedWonDeals(portalId, start, end) {
+  const dealProps = ["dealname", "amount", "deal_currency_code", "closedate", "hs_is_closed_won"];
+  return searchObjects(
+    portalId,
+    "deals",
+    [{
+      filters: [
+        { propertyName: "hs_is_closed_won", operator: "EQ", value: "true" },
+        {
+          propertyName: "closedate",
+          operator: "BETWEEN",
+          value: String(start.getTime()),
+          highValue: String(end.getTime()),
+        },
+      ],
+    }],
+    dealProps
+  );
+}
 
-  const patchToNumberAndPercentage = () =>
-    hubspotApi(
-      portalId,
-      `https://api.hubapi.com/crm/v3/properties/contacts/${PROPERTY_NAME}`,
-      {
-        method: "PATCH",
-        body: JSON.stringify({
-          label: propertyDefinition.label,
-          description: propertyDefinition.description,
-          groupName: propertyDefinition.groupName,
-          type: "number",
-          fieldType: "number",
-          numberDisplayHint: "percentage",
-          hidden: propertyDefinition.hidden,
-          formField: propertyDefinition.formField,
-          displayOrder: propertyDefinition.displayOrder,
-        }),
-      }
-    );
+async function findDealWonConversions(portalId, start, end, jobStatus) {
+  jobStatus.message = "Step 1/3: Searching for closed-won deals in reporting period...";
 
-  try {
-    const existing = await hubspotApi(
-      portalId,
-      `https://api.hubapi.com/crm/v3/properties/contacts/${PROPERTY_NAME}`,
-      { method: "GET" }
-    );
+  const deals = await searchClosedWonDeals(portalId, start, end);
 
-    // Ensure number type + percentage display (not formatted_number).
-    const hasFormattedNumber =
-      existing?.numberDisplayHint === "formatted_number" ||
-      (existing?.type === "number" && !existing?.numberDisplayHint);
-    const needsUpdate =
-      existing?.type !== "number" ||
-      existing?.fieldType !== "number" ||
-      existing?.numberDisplayHint !== "percentage" ||
-      hasFormattedNumber;
-
-    if (needsUpdate) {
-      await patchToNumberAndPercentage();
-      return "updated";
-    }
+  if (deals.length === 0) {
+    jobStatus.message = "No closed-won deals found in reporting period.";
+    return [];
+  }
 
-    return false; // already exists with number + percentage settings
-  } catch (e) {
-    if (e?.status !== 404) throw e;
+  jobStatus.message = `Step 2/3: Found ${deals.length} closed-won deals. Getting associated contacts (batch)...`;
+
+  const dealIds = deals.map((d) => String(d.id));
+  const dealAssocs = await batchGetAssociations(portalId, "deals", dealIds, "contacts");
+
+  const uniqueContacts = [...new Set(Object.values(dealAssocs).flat().map((id) => String(id)))];
+  if (uniqueContacts.length === 0) {
+    jobStatus.message = "No contacts associated with closed-won deals in period.";
+    return [];
   }
 
-  await hubspotApi(
-    portalId,
-    "https://api.hubapi.com/crm/v3/properties/contacts",
-    {
-      method: "POST",
-      body: JSON.stringify(propertyDefinition),
+  jobStatus.message = `Step 3/3: Verifying first-ever won deal for ${uniqueContacts.length} contacts...`;
+
+  // Earliest won deal per contact, across ALL of the contact's deals
+  const contactAssocs = await batchGetAssociations(portalId, "contacts", uniqueContacts, "deals");
+  const allDealIds = [...new Set(Object.values(contactAssocs).flat().map((id) => String(id)))];
+  const allDeals = await batchReadObjects(portalId, "deals", allDealIds, ["closedate", "hs_is_closed_won"]);
+
+  const wonCloseTs = {};
+  for (const d of allDeals) {
+    if (String(d.properties?.hs_is_closed_won) !== "true") continue;
+    const ts = new Date(d.properties?.closedate).getTime();
+    if (!isNaN(ts)) wonCloseTs[String(d.id)] = ts;
+  }
+
+  const firstWonByContact = {};
+  for (const cId of uniqueContacts) {
+    let first = null;
+    for (const dId of contactAssocs[cId] || []) {
+      const ts = wonCloseTs[String(dId)];
+      if (ts === undefined) continue;
+      if (!first || ts < first.ts || (ts === first.ts && String(dId) < first.dealId)) {
+        first = { dealId: String(dId), ts };
+      }
     }
-  );
-  // PATCH immediately after create to ensure numberDisplayHint "percentage" is applied
-  // (some HubSpot APIs default to "formatted_number" on create).
-  await patchToNumberAndPercentage();
-  return true; // created
+    if (first) firstWonByContact[cId] = first.dealId;
+  }
+
+  const conversions = [];
+  for (const d of deals) {
+    const dealId = String(d.id);
+    const firstEverContacts = (dealAssocs[dealId] || [])
+      .map((id) => String(id))
+      .filter((cId) => firstWonByContact[cId] === dealId);
+    if (firstEverContacts.length === 0) continue;
+
+    const amount = parseFloat(d.properties?.amount);
+    conversions.push({
+      objectType: "deal_won",
+      objectId: dealId,
+      objectName: d.properties?.dealname || null,
+      associatedContactIds: firstEverContacts,
+      conversionTimestamp: new Date(d.properties?.closedate).getTime(),
+      conversionValue: Number.isFinite(amount) ? amount : 0,
+      currency: d.properties?.deal_currency_code || null,
+    });
+  }
+
+  jobStatus.converting = conversions.length;
+  jobStatus.message = `Found ${conversions.length} deals that are a contact's first-ever closed-won deal.`;
+  return conversions;
 }
 
-/**
- * Process a single contact: fetch history, compute %, update property.
- * Uses the portal's configured marketing sources.
- */
-async function processContact(portalId, contactId) {
-  const marketingSources = getMarketingSources(portalId);
+// ---- FORM SUBMISSION (first-ever) ----
+// 1. Search contacts whose recent_conversion_date is on/after period start
+//    (a later submission may have moved it past the period end)
+// 2. Batch-read recent_conversion_date history
+// 3. The earliest value in that history is the contact's first-ever submission;
+//    qualifies if it falls inside the period
+async function findFormSubmissionConversions(portalId, start, end, jobStatus) {
+  jobStatus.message = "Step 1/2: Searching for contacts with form submissions since period start...";
 
-  const data = await hubspotApi(
+  const candidates = await searchObjects(
     portalId,
-    `https://api.hubapi.com/crm/v3/objects/contacts/${contactId}?propertiesWithHistory=${SOURCE_PROPERTY}`,
-    { method: "GET" }
+    "contacts",
+    [{
+      filters: [{
+        propertyName: "recent_conversion_date",
+        operator: "GTE",
+        value: String(start.getTime()),
+      }],
+    }],
+    ["recent_conversion_date"]
   );
 
-  const history =
-    data?.propertiesWithHistory?.[SOURCE_PROPERTY] || [];
+  if (candidates.length === 0) {
+    jobStatus.message = "No form submissions found in reporting period.";
+    return [];
+  }
 
-  const { percent, totalChanges } = computeMarketingContribution(history, marketingSources);
-  const value = totalChanges === 0 ? 0 : parseFloat(percent.toFixed(4));
+  jobStatus.message = `Step 2/2: Verifying first-ever form submission for ${candidates.length} contacts...`;
 
-  await hubspotApi(
-    portalId,
-    `https://api.hubapi.com/crm/v3/objects/contacts/${contactId}`,
-    {
-      method: "PATCH",
-      body: JSON.stringify({
-        properties: { [PROPERTY_NAME]: value },
-      }),
-    }
+  const contacts = await batchReadObjects(
+    portalId, "contacts", candidates.map((c) => String(c.id)),
+    ["recent_conversion_date"],
+    ["recent_conversion_date"]
   );
 
-  return { contactId, percent: value, totalChanges };
+  const conversions = [];
+  for (const c of contacts) {
+    const history = c.propertiesWithHistory?.recent_conversion_date || [];
+    const firstTs = earliestHistoryTimestamp(history, (e) => e.value, true);
+    if (firstTs !== null && firstTs >= start.getTime() && firstTs <= end.getTime()) {
+      conversions.push({
+        objectType: "form_submission",
+        contactId: String(c.id),
+        conversionTimestamp: firstTs,
+        conversionValue: 0,
+        currency: null,
+      });
+    }
+  }
+
+  jobStatus.converting = conversions.length;
+  jobStatus.message = `Found ${conversions.length} contacts with first-ever form submission in period.`;
+  return conversions;
 }
 
-// ---- Routes ----
+// ---- LIFECYCLE STAGE (first-ever entry into a stage) ----
+// 1. Search contacts whose hs_v2_date_entered_<stage> is on/after period start
+// 2. Batch-read lifecyclestage history
+// 3. The earliest history entry with value = stage is the first-ever entry
+//    (falls back to hs_v2_date_entered_<stage> when history doesn't reach back);
+//    qualifies if it falls inside the period
+async function findLifecycleStageConversions(portalId, stage, start, end, jobStatus) {
+  const enteredProp = `hs_v2_date_entered_${stage}`;
+  const stageLabel = LIFECYCLE_STAGE_OPTIONS.find((o) => o.value === stage)?.label || stage;
+  jobStatus.message = `Step 1/2: Searching for contacts that entered "${stageLabel}" since period start...`;
+
+  const candidates = await searchObjects(
+    portalId,
+    "contacts",
+    [{
+      filters: [{
+        propertyName: enteredProp,
+        operator: "GTE",
+        value: String(start.getTime()),
+      }],
+    }],
+    [enteredProp]
+  );
 
-// Health check
-app.get("/", (_req, res) => {
-  res.send("Server is running ✅");
-});
+  if (candidates.length === 0) {
+    jobStatus.message = `No contacts entered "${stageLabel}" in reporting period.`;
+    return [];
+  }
 
-// Version check (verify deployed code after updates)
-app.get("/api/version", (_req, res) => {
-  res.json({ version: BACKEND_VERSION });
-});
+  jobStatus.message = `Step 2/2: Verifying first-ever "${stageLabel}" entry for ${candidates.length} contacts...`;
 
-// Install route: redirects to HubSpot OAuth consent
-app.get("/install", (_req, res) => {
-  const clientId = process.env.HUBSPOT_CLIENT_ID;
-  const redirectUri = process.env.HUBSPOT_REDIRECT_URI;
-  const scopes = process.env.HUBSPOT_SCOPES || "oauth";
+  const contacts = await batchReadObjects(
+    portalId, "contacts", candidates.map((c) => String(c.id)),
+    ["lifecyclestage", enteredProp],
+    ["lifecyclestage"]
+  );
 
-  if (!clientId || !redirectUri) {
-    return res
-      .status(500)
-      .send("Missing HUBSPOT_CLIENT_ID or HUBSPOT_REDIRECT_URI env var");
+  const conversions = [];
+  for (const c of contacts) {
+    const history = c.propertiesWithHistory?.lifecyclestage || [];
+    const firstTs =
+      earliestHistoryTimestamp(history, (e) => String(e.value || "").toLowerCase() === stage.toLowerCase()) ??
+      (parseHistoryTimestamp(c.properties?.[enteredProp]) || null);
+    if (firstTs !== null && firstTs >= start.getTime() && firstTs <= end.getTime()) {
+      conversions.push({
+        objectType: `lifecycle_stage:${stage}`,
+        contactId: String(c.id),
+        conversionTimestamp: firstTs,
+        conversionValue: 0,
+        currency: null,
+      });
+    }
   }
 
-  const params = new URLSearchParams({
-    client_id: clientId,
-    redirect_uri: redirectUri,
-    scope: scopes,
-    state: "test-" + Date.now(),
-  });
+  jobStatus.converting = conversions.length;
+  jobStatus.message = `Found ${conversions.length} contacts that first became "${stageLabel}" in period.`;
+  return conversions;
+}
 
-  const authUrl = `https://app.hubspot.com/oauth/authorize?${params.toString()}`;
-  return res.redirect(authUrl);
-});
+// ---- CUSTOM DEFINITION (per-portal, see getConversionDefinitions) ----
+// 1. Search contacts by the property itself (customDefinitionSearches), not every
+//    contact that has it, so the candidates stay small and under the search cap
+// 2. Batch-read the property history
+// 3. property_value: earliest entry where the value equals the target value
+//    date_set:       earliest date the property was set to
+//    Qualifies if that first-ever moment falls inside the period
+
+async function findCustomDefinitionConversions(portalId, definition, start, end, jobStatus) {
+  const { property } = definition;
+  jobStatus.message = `Step 1/2: Searching for contacts matching "${definition.label}" since period start...`;
+
+  const candidateIds = new Set();
+  let capped = false;
+  for (const search of customDefinitionSearches(definition, start, end)) {
+    const found = await searchObjects(portalId, "contacts", search.filterGroups, [property], 100, search.maxResults);
+    for (const c of found) candidateIds.add(String(c.id));
+    if (search.maxResults && found.length >= search.maxResults) capped = true;
+  }
+  if (capped) {
+    console.warn(`Custom definition ${definition.id}: only the first ${CUSTOM_DEFINITION_CANDIDATE_MAX} contacts with another "${property}" value were checked`);
+  }
+  const candidates = [...candidateIds];
 
-// Callback route: HubSpot redirects here with ?code=...
-app.get("/oauth/callback", async (req, res) => {
-  const code = req.query.code;
-  if (!code) return res.status(400).send("Missing code");
+  if (candidates.length === 0) {
+    jobStatus.message = `No contacts matching "${definition.label}" in reporting period.`;
+    return [];
+  }
 
-  const clientId = process.env.HUBSPOT_CLIENT_ID;
-  const clientSecret = process.env.HUBSPOT_CLIENT_SECRET;
-  const redirectUri = process.env.HUBSPOT_REDIRECT_URI;
+  jobStatus.message = `Step 2/2: Verifying first-ever "${definition.label}" for ${candidates.length} contacts...`;
 
-  if (!clientId || !clientSecret || !redirectUri) {
-    return res
-      .status(500)
-      .send(
-        "Missing HUBSPOT_CLIENT_ID / HUBSPOT_CLIENT_SECRET / HUBSPOT_REDIRECT_URI"
-      );
+  const contacts = await batchReadObjects(portalId, "contacts", candidates, [property], [property]);
+
+  const conversions = [];
+  for (const c of contacts) {
+    const firstTs = customDefinitionTimestamp(definition, c.propertiesWithHistory?.[property] || []);
+    if (firstTs !== null && firstTs >= start.getTime() && firstTs <= end.getTime()) {
+      conversions.push({
+        objectType: `custom:${definition.id}`,
+        contactId: String(c.id),
+        conversionTimestamp: firstTs,
+        conversionValue: 0,
+        currency: null,
+      });
+    }
   }
 
-  // Exchange code -> tokens
-  const body = new URLSearchParams({
-    grant_type: "authorization_code",
-    client_id: clientId,
-    client_secret: clientSecret,
-    redirect_uri: redirectUri,
-    code: String(code),
+  jobStatus.converting = conversions.length;
+  jobStatus.message = `Found ${conversions.length} contacts with first-ever "${definition.label}" in period.` +
+    (capped ? ` Only the first ${CUSTOM_DEFINITION_CANDIDATE_MAX} contacts that have since changed "${property}" were checked.` : "");
+  return conversions;
+}
+
+// ================================================================
+// COMPANY-LEVEL (ACCOUNT-BASED) CONVERSIONS
+// The conversion is the company's first-ever meeting across ALL of its contacts, or its
+// first-ever closed-won deal among the deals associated with the company itself. Paths merge
+// the hs_latest_source histories of every associated contact into one timeline.
+// ================================================================
+const COMPANY_CONVERSION_TYPES = ["meeting_booked", "deal_won"];
+
+/**
+ * Find companies whose first-ever meeting (or closed-won deal) falls in the period.
+ * Meetings are the company's contacts' meetings; deals are read from the company's own deal
+ * associations, so deals without a contact count and other companies' contacts' deals don't.
+ * Returns [{ companyId, companyName, companyDomain, objectId, objectName, associatedContactIds,
+ *            conversionTimestamp, conversionValue, currency }].
+ */
+async function findCompanyConversions(portalId, conversionType, start, end, jobStatus) {
+  const isDeal = conversionType === "deal_won";
+  const objectType = isDeal ? "deals" : "meetings";
+  const readProps = isDeal
+    ? ["dealname", "amount", "deal_currency_code", "closedate", "hs_is_closed_won"]
+    : ["hs_createdate", "hs_meeting_start_time", "hs_timestamp"];
+  const label = isDeal ? "closed-won deal" : "meeting";
+
+  jobStatus.message = `Step 1/4: Searching for ${label}s in reporting period...`;
+  const periodFilters = isDeal
+    ? [
+        { propertyName: "hs_is_closed_won", operator: "EQ", value: "true" },
+        { propertyName: "closedate", operator: "BETWEEN", value: String(start.getTime()), highValue: String(end.getTime()) },
+      ]
+    : [{ propertyName: "hs_createdate", operator: "BETWEEN", value: String(start.getTime()), highValue: String(end.getTime()) }];
+  const periodEvents = await searchObjects(portalId, objectType, [{ filters: periodFilters }], readProps);
+  if (periodEvents.length === 0) {
+    jobStatus.message = `No ${label}s found in reporting period.`;
+    return [];
+  }
+
+  const periodEventIds = periodEvents.map((e) => String(e.id));
+  let companyIds;
+  if (isDeal) {
+    jobStatus.message = `Step 2/4: Found ${periodEvents.length} ${label}s. Getting their companies (batch)...`;
+    const dealCompanies = await batchGetAssociations(portalId, "deals", periodEventIds, "companies");
+    companyIds = [...new Set(Object.values(dealCompanies).flat().map((id) => String(id)))];
+  } else {
+    jobStatus.message = `Step 2/4: Found ${periodEvents.length} ${label}s. Getting contacts and their companies (batch)...`;
+    const eventContacts = await batchGetAssociations(portalId, objectType, periodEventIds, "contacts");
+    const periodContactIds = [...new Set(Object.values(eventContacts).flat().map((id) => String(id)))];
+    const contactCompanies = await batchGetAssociations(portalId, "contacts", periodContactIds, "companies");
+    companyIds = [...new Set(Object.values(contactCompanies).flat().map((id) => String(id)))];
+  }
+  if (companyIds.length === 0) {
+    jobStatus.message = `No companies associated with ${label}s in period.`;
+    return [];
+  }
+
+  jobStatus.message = `Step 3/4: Verifying first-ever ${label} for ${companyIds.length} companies...`;
+  // Every contact of each company (for the paths), and the company's deals or its contacts' meetings
+  const companyContacts = await batchGetAssociations(portalId, "companies", companyIds, "contacts");
+  let companyEvents;
+  if (isDeal) {
+    const companyDeals = await batchGetAssociations(portalId, "companies", companyIds, "deals");
+    companyEvents = Object.fromEntries(companyIds.map((id) => [id, (companyDeals[id] || []).map((d) => String(d))]));
+  } else {
+    const allContactIds = [...new Set(Object.values(companyContacts).flat().map((id) => String(id)))];
+    const contactEvents = await batchGetAssociations(portalId, "contacts", allContactIds, objectType);
+    companyEvents = companyEventsViaContacts(companyIds, companyContacts, contactEvents);
+  }
+  const allEventIds = [...new Set(Object.values(companyEvents).flat())];
+  const allEvents = await batchReadObjects(portalId, objectType, allEventIds, readProps);
+  const firstByCompany = firstCompanyEvents(companyEvents, allEvents, isDeal, start, end);
+
+  const qualifyingIds = Object.keys(firstByCompany);
+  jobStatus.message = `Step 4/4: Reading ${qualifyingIds.length} qualifying companies...`;
+  const companies = await batchReadObjects(portalId, "companies", qualifyingIds, ["name", "domain"]);
+  const companyById = Object.fromEntries(companies.map((c) => [String(c.id), c]));
+
+  const conversions = qualifyingIds.map((companyId) => {
+    const { event, ts } = firstByCompany[companyId];
+    const amount = parseFloat(event.properties?.amount);
+    return {
+      objectType: conversionType,
+      companyId,
+      companyName: companyById[companyId]?.properties?.name || null,
+      companyDomain: companyById[companyId]?.properties?.domain || null,
+      objectId: String(event.id),
+      objectName: isDeal ? event.properties?.dealname || null : null,
+      associatedContactIds: (companyContacts[companyId] || []).map((id) => String(id)),
+      conversionTimestamp: ts,
+      conversionValue: isDeal && Number.isFinite(amount) ? amount : 0,
+      currency: isDeal ? event.properties?.deal_currency_code || null : null,
+    };
+  });
+
+  jobStatus.converting = conversions.length;
+  jobStatus.message = `Found ${conversions.length} companies with first-ever ${label} in period.`;
+  return conversions;
+}
+
+// ================================================================
+// MCF HISTORY CACHE
+// Conversions and contact source histories persisted per portal in
+// MCF_CACHE_DIR/<portalId>.json, so long windows are served mostly from disk:
+//   contacts:    { [contactId]: { lastmodifieddate, properties, propertiesWithHistory, fetchedAt } }
+//   conversions: { ["<level>:<conversionType>"]: { signature, ranges: [{ start, end, syncedAt }], conversions } }
+// A cached contact is re-read only when its lastmodifieddate has moved on. Cached conversions
+// cover one or more disjoint ranges; only the uncovered parts of a window are searched, plus
+// the days of conversions whose objects were edited since their range was synced.
+// Jobs read the cache, call HubSpot and then write their changes back through
+// updateMcfCache, which re-reads the file first, so concurrent jobs keep each other's entries.
+// ================================================================
+const CONVERSION_RECHECK_MAX = 10000; // more edited objects than this → search the whole window again
+
+function mcfCachePath(portalId) {
+  return `${MCF_CACHE_DIR}/${String(portalId).replace(/[^\w-]/g, "")}.json`;
+}
+
+function loadMcfCache(portalId) {
+  try {
+    const file = mcfCachePath(portalId);
+    if (fs.existsSync(file)) {
+      const cache = JSON.parse(fs.readFileSync(file, "utf8"));
+      return { contacts: cache.contacts || {}, conversions: cache.conversions || {} };
+    }
+  } catch (e) {
+    console.warn(`MCF: unreadable history cache for portal ${portalId}:`, e.message);
+  }
+  return { contacts: {}, conversions: {} };
+}
+
+function saveMcfCache(portalId, cache) {
+  fs.mkdirSync(MCF_CACHE_DIR, { recursive: true });
+  writeFileAtomic(mcfCachePath(portalId), JSON.stringify(cache));
+}
+
+/** Apply changes to the freshest copy of a portal's cache and save it (synchronously). */
+function updateMcfCache(portalId, mutate) {
+  const cache = loadMcfCache(portalId);
+  mutate(cache);
+  saveMcfCache(portalId, cache);
+}
+
+function removeMcfCache(portalId) {
+  const file = mcfCachePath(portalId);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+/**
+ * Batch-read contacts with property history through the portal's cache.
+ * Cached contacts cost a light lastmodifieddate read; only new or changed ones are
+ * read with history. Returns { contacts, fromCache, fetched } — contacts in the
+ * batchReadObjects shape ({ id, properties, propertiesWithHistory }).
+ */
+async function readContactsWithHistoryCached(portalId, ids, properties, historyProperties, jobStatus) {
+  const uniqueIds = [...new Set((ids || []).map((id) => String(id)))];
+  if (uniqueIds.length === 0) return { contacts: [], fromCache: 0, fetched: 0 };
+
+  const cache = loadMcfCache(portalId);
+  const cachedIds = uniqueIds.filter((id) => cache.contacts[id]);
+  const modifiedById = {};
+  if (cachedIds.length > 0) {
+    if (jobStatus) jobStatus.message = `Checking ${cachedIds.length} cached contacts for changes...`;
+    const current = await batchReadObjects(portalId, "contacts", cachedIds, ["lastmodifieddate"]);
+    for (const c of current) modifiedById[String(c.id)] = c.properties?.lastmodifieddate || null;
+  }
+
+  const toFetch = contactsNeedingFetch(cache.contacts, uniqueIds, modifiedById, properties, historyProperties);
+  if (toFetch.length > 0) {
+    if (jobStatus) jobStatus.message = `Reading history for ${toFetch.length} new or changed contacts...`;
+    const fetched = await batchReadObjects(
+      portalId, "contacts", toFetch,
+      [...new Set([...properties, "lastmodifieddate"])],
+      historyProperties
+    );
+    const fetchedAt = new Date().toISOString();
+    const entries = {};
+    for (const c of fetched) {
+      // Absent values are stored as null so the property counts as cached
+      const entry = { lastmodifieddate: c.properties?.lastmodifieddate || null, properties: {}, propertiesWithHistory: {}, fetchedAt };
+      for (const p of properties) entry.properties[p] = c.properties?.[p] ?? null;
+      for (const p of historyProperties) entry.propertiesWithHistory[p] = c.propertiesWithHistory?.[p] || [];
+      entries[String(c.id)] = entry;
+    }
+    const store = (contacts) => {
+      for (const id of toFetch) delete contacts[id]; // deleted contacts drop out
+      Object.assign(contacts, entries);
+    };
+    store(cache.contacts);
+    updateMcfCache(portalId, (fresh) => store(fresh.contacts));
+  }
+
+  const contacts = uniqueIds
+    .filter((id) => cache.contacts[id])
+    .map((id) => ({
+      id,
+      properties: cache.contacts[id].properties,
+      propertiesWithHistory: cache.contacts[id].propertiesWithHistory,
+    }));
+  return { contacts, fromCache: uniqueIds.length - toFetch.length, fetched: toFetch.length };
+}
+
+/** Cache signature of a conversion type: custom definitions invalidate the cache when edited. */
+function conversionCacheSignature(portalId, conversionType) {
+  const definition = findCustomConversionDefinition(portalId, conversionType);
+  return definition
+    ? JSON.stringify({ kind: definition.kind, property: definition.property, value: definition.value ?? null })
+    : "";
+}
+
+/**
+ * How cached conversions of a type are re-checked for edits since the last sync: the
+ * object each cached conversion came from (read back by id) and, where the event date is
+ * a plain property, a search for objects edited since then whose date falls in the cached
+ * ranges (late or back-dated conversions).
+ */
+function conversionRecheckSpec(portalId, conversionType, level) {
+  const contacts = { objectType: "contacts", modifiedProperty: "lastmodifieddate", idOf: (c) => c.contactId };
+  if (conversionType === "deal_won") {
+    const deals = { objectType: "deals", modifiedProperty: "hs_lastmodifieddate" };
+    return {
+      cached: { ...deals, idOf: (c) => c.objectId },
+      search: { ...deals, dateProperty: "closedate", filters: [{ propertyName: "hs_is_closed_won", operator: "EQ", value: "true" }] },
+    };
+  }
+  if (conversionType === "meeting_booked") {
+    const meetings = { objectType: "meetings", modifiedProperty: "hs_lastmodifieddate" };
+    return {
+      cached: level === "company" ? { ...meetings, idOf: (c) => c.objectId } : contacts,
+      search: { ...meetings, dateProperty: "hs_createdate", filters: [] },
+    };
+  }
+  const definition = findCustomConversionDefinition(portalId, conversionType);
+  return {
+    cached: contacts,
+    search: definition?.kind === "date_set"
+      ? { objectType: "contacts", modifiedProperty: "lastmodifieddate", dateProperty: definition.property, filters: [] }
+      : null,
+  };
+}
+
+/**
+ * Timestamps inside a cached range to search again: the conversion time of every cached
+ * conversion whose object was edited (or deleted) since the range was synced, and the event
+ * date of objects edited since then. Returns null when the range cannot be re-checked object
+ * by object (unknown sync time, or too many edits).
+ */
+async function findEditedConversionTimestamps(portalId, spec, conversions, range) {
+  const since = new Date(range.syncedAt).getTime();
+  if (isNaN(since)) return null;
+  const timestamps = [];
+
+  const cachedById = {};
+  for (const conv of conversions) {
+    const ts = Number(conv.conversionTimestamp);
+    const id = spec.cached.idOf(conv);
+    if (id && ts >= range.start && ts <= range.end) (cachedById[String(id)] = cachedById[String(id)] || []).push(ts);
+  }
+  const ids = Object.keys(cachedById);
+  if (ids.length > 0) {
+    const current = await batchReadObjects(portalId, spec.cached.objectType, ids, [spec.cached.modifiedProperty]);
+    const stillThere = new Set();
+    for (const o of current) {
+      stillThere.add(String(o.id));
+      const modified = new Date(o.properties?.[spec.cached.modifiedProperty]).getTime();
+      if (!(modified < since)) timestamps.push(...cachedById[String(o.id)]);
+    }
+    for (const id of ids) if (!stillThere.has(id)) timestamps.push(...cachedById[id]);
+  }
+
+  if (spec.search) {
+    const { objectType, modifiedProperty, dateProperty, filters } = spec.search;
+    const edited = await searchObjects(portalId, objectType, [{
+      filters: [
+        ...filters,
+        { propertyName: modifiedProperty, operator: "GTE", value: String(since) },
+        { propertyName: dateProperty, operator: "BETWEEN", value: String(range.start), highValue: String(range.end) },
+      ],
+    }], [dateProperty], 100, CONVERSION_RECHECK_MAX);
+    if (edited.length >= CONVERSION_RECHECK_MAX) return null;
+    for (const o of edited) timestamps.push(new Date(o.properties?.[dateProperty]).getTime());
+  }
+  return timestamps;
+}
+
+/**
+ * First-ever conversions in [start, end] for a type and level, searching HubSpot only
+ * for the parts of the window the cache does not cover and for the days of cached
+ * conversions edited since the last sync.
+ * Returns { conversions, fetchedRanges: [{ startDate, endDate }] }.
+ */
+async function findConversionsCached(portalId, conversionType, level, start, end, jobStatus) {
+  const find = (from, to) => (level === "company"
+    ? findCompanyConversions(portalId, conversionType, from, to, jobStatus)
+    : getMcfConversionsForType(portalId, conversionType, from, to, jobStatus));
+
+  const cacheKey = `${level}:${conversionType}`;
+  const signature = conversionCacheSignature(portalId, conversionType);
+  const entry = loadMcfCache(portalId).conversions[cacheKey];
+  const syncedAt = new Date().toISOString();
+  const plan = planConversionFetch(entry, start.getTime(), end.getTime(), signature);
+  const { replace } = plan;
+  let { ranges } = plan;
+
+  if (!replace) {
+    // Only the cached parts of this window are re-checked; other ranges keep their own sync time
+    const covered = cachedConversionRanges(entry)
+      .map((r) => ({ ...r, start: Math.max(r.start, start.getTime()), end: Math.min(r.end, end.getTime()) }))
+      .filter((r) => r.start <= r.end);
+    const spec = conversionRecheckSpec(portalId, conversionType, level);
+    if (covered.length > 0) jobStatus.message = "Checking cached conversions for edits since the last refresh...";
+    for (const range of covered) {
+      const edited = await findEditedConversionTimestamps(portalId, spec, entry.conversions || [], range);
+      ranges = mergeRanges([...ranges, ...(edited === null ? [range] : recheckRanges(edited, range))]);
+    }
+  }
+
+  const fetched = [];
+  for (const range of ranges) {
+    fetched.push(...await find(new Date(range.start), new Date(range.end)));
+  }
+
+  const merged = mergeCachedConversions(replace ? [] : entry.conversions, fetched, ranges);
+  // Coverage never reaches past the sync time: later conversions are still to come
+  const synced = { start: start.getTime(), end: Math.min(end.getTime(), new Date(syncedAt).getTime()), syncedAt };
+  const previousRanges = replace ? [] : cachedConversionRanges(entry);
+  updateMcfCache(portalId, (cache) => {
+    cache.conversions[cacheKey] = {
+      signature,
+      ranges: synced.start <= synced.end ? withSyncedRange(previousRanges, synced) : previousRanges,
+      conversions: merged,
+    };
+  });
+
+  const conversions = merged.filter((conv) => {
+    const ts = Number(conv.conversionTimestamp);
+    return ts >= start.getTime() && ts <= end.getTime();
+  });
+  return {
+    conversions,
+    fetchedRanges: ranges.map((r) => ({ startDate: new Date(r.start).toISOString(), endDate: new Date(r.end).toISOString() })),
+  };
+}
+
+// ================================================================
+// MCF SEGMENT FILTERS
+// Limit an analysis to a segment of contacts, applied after the conversion finders:
+//   { lifecycleStage, ownerId, listId, properties: [{ property, operator, value }] }
+// All given conditions must match (AND). The segment is stored in the cached result.
+// ================================================================
+
+/** All contact IDs in a HubSpot list (v3 lists memberships API, paginated). */
+async function fetchListMemberIds(portalId, listId) {
+  const members = new Set();
+  let after;
+  do {
+    let url = `https://api.hubapi.com/crm/v3/lists/${encodeURIComponent(listId)}/memberships?limit=250`;
+    if (after) url += `&after=${encodeURIComponent(after)}`;
+    const data = await hubspotApiWithRetry(portalId, url);
+    for (const m of data.results || []) members.add(String(m.recordId));
+    after = data.paging?.next?.after;
+    if (after) await msDelay(100);
+  } while (after);
+  return members;
+}
+
+/** The subset of contactIds in the segment (batched contact reads + list membership). */
+async function segmentMatchingContactIds(portalId, contactIds, segment) {
+  const ids = [...new Set((contactIds || []).map((id) => String(id)))];
+  if (!segment || ids.length === 0) return new Set(ids);
+
+  const properties = [...new Set([
+    "lifecyclestage",
+    "hubspot_owner_id",
+    ...(segment.properties || []).map((f) => f.property),
+  ])];
+  const contacts = await batchReadObjects(portalId, "contacts", ids, properties);
+  const listMembers = segment.listId ? await fetchListMemberIds(portalId, segment.listId) : null;
+
+  const matching = new Set();
+  for (const c of contacts) {
+    const id = String(c.id);
+    if (listMembers && !listMembers.has(id)) continue;
+    if (contactMatchesSegment(c.properties, segment)) matching.add(id);
+  }
+  return matching;
+}
+
+/**
+ * Keep only conversions whose contacts are in the segment. Deal-level events keep the
+ * associated contacts that match and are dropped when none do (events without contacts
+ * cannot be placed in a segment).
+ */
+async function applySegmentFilter(portalId, conversions, segment, jobStatus) {
+  if (!segment) return conversions;
+  jobStatus.message = `Applying segment filter to ${conversions.length} conversions...`;
+
+  const contactIds = [];
+  for (const conv of conversions) {
+    if (conv.contactId) contactIds.push(conv.contactId);
+    contactIds.push(...(conv.associatedContactIds || []));
+  }
+  const matching = await segmentMatchingContactIds(portalId, contactIds, segment);
+
+  const filtered = [];
+  for (const conv of conversions) {
+    if (conv.contactId) {
+      if (matching.has(String(conv.contactId))) filtered.push(conv);
+      continue;
+    }
+    const associatedContactIds = (conv.associatedContactIds || []).filter((id) => matching.has(String(id)));
+    if (associatedContactIds.length > 0) filtered.push({ ...conv, associatedContactIds });
+  }
+
+  jobStatus.message = `Segment filter kept ${filtered.length} of ${conversions.length} conversions.`;
+  return filtered;
+}
+
+// ================================================================
+// NON-CONVERTING JOURNEY SAMPLING
+// Bounded sample of contacts active in the window that did NOT convert,
+// with their hs_latest_source path built up to the window end.
+// Candidates are read from equal hs_object_id strata (a page from a random id in each,
+// paging past converters), then hash-ordered, so the sample does not depend on the
+// search API's default order and never runs into its 10,000-result cap.
+// ================================================================
+const DEFAULT_NON_CONVERTING_SAMPLE_SIZE = 200;
+const MAX_NON_CONVERTING_SAMPLE_SIZE = 2000;
+const NON_CONVERTING_CANDIDATES_PER_SAMPLE = 2; // candidates read per sampled contact
+const NON_CONVERTING_PAGES_PER_STRATUM = 2; // page budget per stratum, converters included
+const SEARCH_PAGE_SIZE = 100;
+
+/** Candidates: contacts with a traffic source, created by the window end and active in the window. */
+function nonConvertingCandidateFilterGroups(start, end) {
+  return [{
+    filters: [
+      { propertyName: "hs_latest_source", operator: "HAS_PROPERTY" },
+      { propertyName: "createdate", operator: "LTE", value: String(end.getTime()) },
+      { propertyName: "lastmodifieddate", operator: "GTE", value: String(start.getTime()) },
+    ],
+  }];
+}
+
+/**
+ * Non-converting candidate ids from a stratified read of the candidate search: one stratum
+ * per page of candidates wanted, read from a random id to the stratum end and then from the
+ * stratum start, skipping excluded ids, within a bounded number of search pages.
+ */
+async function readNonConvertingCandidates(portalId, start, end, exclude, wanted, seed) {
+  const [filterGroup] = nonConvertingCandidateFilterGroups(start, end);
+  const search = (filters, direction, after, limit = SEARCH_PAGE_SIZE) => {
+    const body = {
+      filterGroups: [{ filters: [...filterGroup.filters, ...filters] }],
+      sorts: [{ propertyName: "hs_object_id", direction }],
+      properties: ["hs_object_id"],
+      limit,
+    };
+    if (after) body.after = after;
+    return hubspotApiWithRetry(
+      portalId,
+      "https://api.hubapi.com/crm/v3/objects/contacts/search",
+      { method: "POST", body: JSON.stringify(body) }
+    );
+  };
+
+  const first = await search([], "ASCENDING", undefined, 1);
+  const last = await search([], "DESCENDING", undefined, 1);
+  const minId = Number(first?.results?.[0]?.id);
+  const maxId = Number(last?.results?.[0]?.id);
+  if (!Number.isFinite(minId) || !Number.isFinite(maxId)) return [];
+
+  const strataCount = Math.max(1, Math.ceil(wanted / SEARCH_PAGE_SIZE));
+  const perStratum = Math.ceil(wanted / strataCount);
+  const random = seededRandom(parseInt(crypto.createHash("sha1").update(seed).digest("hex").slice(0, 8), 16));
+  const candidates = new Set();
+  let pagesLeft = strataCount * NON_CONVERTING_PAGES_PER_STRATUM;
+
+  for (const stratum of sampleIdStrata(minId, maxId, strataCount, random)) {
+    let found = 0;
+    for (const [lo, hi] of [[stratum.from, stratum.end], [stratum.start, stratum.from - 1]]) {
+      let after;
+      while (found < perStratum && lo <= hi && pagesLeft > 0) {
+        pagesLeft--;
+        const page = await search([
+          { propertyName: "hs_object_id", operator: "GTE", value: String(lo) },
+          { propertyName: "hs_object_id", operator: "LTE", value: String(hi) },
+        ], "ASCENDING", after);
+        for (const c of page?.results || []) {
+          const id = String(c.id);
+          if (exclude.has(id) || candidates.has(id) || found >= perStratum) continue;
+          candidates.add(id);
+          found++;
+        }
+        after = page?.paging?.next?.after;
+        if (!after) break;
+        await msDelay(100);
+      }
+    }
+  }
+  return [...candidates];
+}
+
+/**
+ * Returns { journeys: [{ contactId, path }], sampledContacts } — sampledContacts is the number
+ * of non-converting contacts drawn before the segment filter (used to scale the sample up).
+ */
+async function sampleNonConvertingJourneys(portalId, start, end, excludeContactIds, sampleSize, jobStatus, pathOptions, segment) {
+  const exclude = new Set((excludeContactIds || []).map((id) => String(id)));
+  const size = Math.max(1, Math.min(Number(sampleSize) || DEFAULT_NON_CONVERTING_SAMPLE_SIZE, MAX_NON_CONVERTING_SAMPLE_SIZE));
+
+  jobStatus.message = `Sampling up to ${size} non-converting contacts...`;
+
+  // Same window → same sample, so reruns and the Markov endpoint agree
+  const seed = `${portalId}:${start.getTime()}:${end.getTime()}`;
+  const candidates = await readNonConvertingCandidates(
+    portalId, start, end, exclude, size * NON_CONVERTING_CANDIDATES_PER_SAMPLE, seed
+  );
+  let sampledIds = hashOrder(candidates, seed).slice(0, size);
+  const sampledContacts = sampledIds.length;
+
+  // Same segment as the converters (can leave fewer than `size` journeys)
+  if (segment) {
+    const inSegment = await segmentMatchingContactIds(portalId, sampledIds, segment);
+    sampledIds = sampledIds.filter((id) => inSegment.has(id));
+  }
+
+  const historyProperties = pathHistoryProperties(pathOptions);
+  const { contacts } = await readContactsWithHistoryCached(
+    portalId, sampledIds,
+    historyProperties,
+    historyProperties,
+    jobStatus
+  );
+
+  const journeys = [];
+  for (const c of contacts) {
+    const path = buildConversionPath(sourceHistoryForPath(c.propertiesWithHistory, pathOptions), end.getTime(), pathOptions);
+    if (path.length === 1 && path[0] === "UNKNOWN") continue; // no journey before window end
+    journeys.push({ contactId: String(c.id), path });
+  }
+
+  jobStatus.message = `Sampled ${journeys.length} non-converting journeys.`;
+  return { journeys, sampledContacts };
+}
+
+/**
+ * Path and channel conversion rates for a contact-level result (see computePathConversionRates).
+ * The sample is scaled up to the estimated number of non-converting contacts active in the
+ * window (search total minus converters), so rates are comparable across sample sizes.
+ */
+async function buildConversionRates(portalId, result, sampleSize, jobStatus) {
+  const start = new Date(result.startDate);
+  const end = new Date(result.endDate);
+  const converterIds = (result.eligibleContacts || []).map((c) => c.contactId);
+
+  const { journeys, sampledContacts } = await sampleNonConvertingJourneys(
+    portalId, start, end, converterIds, sampleSize, jobStatus, result.pathOptions || DEFAULT_PATH_OPTIONS,
+    result.segment || null
+  );
+  const population = await countObjects(portalId, "contacts", nonConvertingCandidateFilterGroups(start, end));
+  const { nonConvertingContacts, scale } = nonConvertingSampleScale(population, converterIds.length, sampledContacts);
+
+  return {
+    sampleSize: Math.max(1, Math.min(Number(sampleSize) || DEFAULT_NON_CONVERTING_SAMPLE_SIZE, MAX_NON_CONVERTING_SAMPLE_SIZE)),
+    sampledContacts,
+    sampledNonConverting: journeys.length,
+    nonConvertingContacts,
+    scale: Math.round(scale * 10000) / 10000,
+    ...computePathConversionRates(result.paths, journeys, scale),
+  };
+}
+
+/**
+ * Ensure the marketing_contribution_percentage property exists.
+ * Property must be type "number" with numberDisplayHint "percentage" (not "formatted_number").
+ * Also syncs the channel share properties (see ensureChannelShareProperties); pass
+ * { refreshShareProperties: true } to re-check them even if already synced for this configuration.
+ * Returns true (created), "updated" or false for marketing_contribution_percentage.
+ */
+async function ensurePropertyExists(portalId, options = {}) {
+  await ensureChannelShareProperties(portalId, options.refreshShareProperties === true);
+
+  const propertyDefinition = {
+    name: PROPERTY_NAME,
+    label: "Marketing Contribution Percentage",
+    description:
+      "Percentage of hs_latest_source history changes attributed to marketing sources.",
+    type: "number",
+    fieldType: "number",
+    numberDisplayHint: "percentage",
+    displayOrder: -1,
+  };
+
+  const status = await ensureObjectProperty(portalId, "contacts", propertyDefinition);
+  if (status === true) {
+    // PATCH immediately after create to ensure numberDisplayHint "percentage" is applied
+    // (some HubSpot APIs default to "formatted_number" on create).
+    await patchObjectProperty(portalId, "contacts", propertyDefinition);
+  }
+  return status;
+}
+
+// Per portal: the property names last synced by ensureChannelShareProperties (also saved as
+// channelSharePropertiesSynced), so webhook events don't re-check the properties each time.
+const channelSharePropertySync = {};
+
+/**
+ * Create or fix the channel share properties configured for the portal and delete the ones
+ * pending deletion (sources removed while the mode stayed on). Does nothing while the mode is
+ * off, and is skipped when this configuration was already synced, unless forced.
+ * Returns { created, updated, removed } (property names) or null when skipped.
+ */
+async function ensureChannelShareProperties(portalId, force = false) {
+  const key = String(portalId);
+  const settings = getChannelShareSettings(portalId);
+  if (!settings.enabled) return null;
+  const definitions = channelSharePropertyDefinitions(settings.sources);
+  const signature = definitions.map((d) => d.name).join(",");
+  const synced = channelSharePropertySync[key] ?? settings.syncedSignature;
+  if (!force && synced === signature && settings.pendingDeletions.length === 0) return null;
+
+  const created = [];
+  const updated = [];
+  const removed = [];
+
+  for (const definition of definitions) {
+    const status = await ensureObjectProperty(portalId, "contacts", definition);
+    if (status === true) created.push(definition.name);
+    else if (status === "updated") updated.push(definition.name);
+  }
+
+  for (const name of settings.pendingDeletions.filter(isChannelShareProperty)) {
+    try {
+      await hubspotApi(
+        portalId,
+        `https://api.hubapi.com/crm/v3/properties/contacts/${name}`,
+        { method: "DELETE" }
+      );
+    } catch (e) {
+      if (e.status !== 404) throw e;
+    }
+    removed.push(name);
+  }
+
+  channelSharePropertySync[key] = signature;
+  const config = loadPortalConfig();
+  const pending = config[key]?.channelSharePropertiesToDelete || [];
+  config[key] = {
+    ...(config[key] || {}),
+    channelSharePropertiesSynced: signature,
+    channelSharePropertiesToDelete: pending.filter((name) => !removed.includes(name)),
+  };
+  savePortalConfig(config);
+
+  if (created.length || updated.length || removed.length) {
+    console.log(`Portal ${portalId}: channel share properties created [${created}], updated [${updated}], removed [${removed}]`);
+  }
+  return { created, updated, removed };
+}
+
+/**
+ * Process a single contact: fetch history, compute %, update property.
+ * Uses the portal's configured marketing sources (and channel groups, when defined)
+ * and contribution mode.
+ */
+async function processContact(portalId, contactId) {
+  const marketingSources = getMarketingSources(portalId);
+  const grouping = getChannelGrouping(portalId);
+  const grouped = grouping.groups.length > 0 || Boolean(grouping.fallbackLabel);
+  const historyProperties = grouped && groupingUsesData1(grouping)
+    ? [SOURCE_PROPERTY, SOURCE_DRILL_DOWN_PROPERTIES[0]]
+    : [SOURCE_PROPERTY];
+
+  const data = await hubspotApi(
+    portalId,
+    `https://api.hubapi.com/crm/v3/objects/contacts/${contactId}?propertiesWithHistory=${historyProperties.join(",")}`,
+    { method: "GET" }
+  );
+
+  // With channel groups, each entry also carries its group (selectable as a marketing "source")
+  const sourceHistory = data?.propertiesWithHistory?.[SOURCE_PROPERTY] || [];
+  const history = grouped
+    ? groupedSourceHistory(sourceHistory, data?.propertiesWithHistory?.[SOURCE_DRILL_DOWN_PROPERTIES[0]], grouping)
+    : sourceHistory;
+
+  const settings = getContributionSettings(portalId);
+  const { percent, totalChanges } = computeContribution(history, marketingSources, settings);
+  const value = totalChanges === 0 ? 0 : parseFloat(percent.toFixed(4));
+
+  // Share properties come from the same history, so everything goes out in one write
+  const shareSettings = getChannelShareSettings(portalId);
+  const properties = {
+    [PROPERTY_NAME]: value,
+    ...(shareSettings.enabled ? channelSharePropertyValues(history, shareSettings.sources, settings) : {}),
+  };
+
+  await hubspotApi(
+    portalId,
+    `https://api.hubapi.com/crm/v3/objects/contacts/${contactId}`,
+    {
+      method: "PATCH",
+      body: JSON.stringify({ properties }),
+    }
+  );
+
+  return { contactId, percent: value, totalChanges };
+}
+
+// ---- Company and deal rollup ----
+// After a full contact pass, marketing_contribution_percentage is also written to the companies
+// and deals associated with the processed contacts (see CONTRIBUTION_ROLLUP_MODES). Webhook
+// updates only touch the contact; rollups refresh on the next full run.
+
+/**
+ * Scopes granted to the portal's install. Taken from the token store when the token response
+ * included them, otherwise looked up from the access token and saved with it.
+ */
+async function getGrantedScopes(portalId) {
+  const record = loadTokenStore()[String(portalId)];
+  if (Array.isArray(record?.scopes)) return record.scopes;
+
+  const accessToken = await getAccessToken(portalId);
+  const info = await hubspotApiWithRetry(
+    portalId,
+    `https://api.hubapi.com/oauth/v1/access-tokens/${encodeURIComponent(accessToken)}`,
+    { method: "GET" }
+  );
+  const scopes = Array.isArray(info?.scopes) ? info.scopes : [];
+  const store = loadTokenStore();
+  if (store[String(portalId)]) {
+    store[String(portalId)].scopes = scopes;
+    saveTokenStore(store);
+  }
+  return scopes;
+}
+
+/**
+ * Rollup object types the portal has granted the write scopes for.
+ * Returns { objectTypes, missingScopes }.
+ */
+async function rollupObjectTypes(portalId) {
+  const granted = await getGrantedScopes(portalId);
+  const objectTypes = [];
+  const missing = [];
+  for (const objectType of ROLLUP_OBJECT_TYPES) {
+    const m = missingScopes(granted, ROLLUP_SCOPES[objectType]);
+    if (m.length > 0) missing.push(...m);
+    else objectTypes.push(objectType);
+  }
+  return { objectTypes, missingScopes: missing };
+}
+
+/**
+ * Write rolled-up contributions to the companies and/or deals (objectTypes, see
+ * rollupObjectTypes) associated with the processed contacts (batch update API). Records without
+ * contacts with history are written empty.
+ * Returns { mode, companies: { records, updated, failed }, deals: { ... } }.
+ */
+async function writeContributionRollups(portalId, contactResults, mode, objectTypes = ROLLUP_OBJECT_TYPES) {
+  const contactIds = Object.keys(contactResults);
+  const summary = { mode };
+  for (const objectType of objectTypes) {
+    await ensureObjectProperty(portalId, objectType, {
+      name: PROPERTY_NAME,
+      label: "Marketing Contribution Percentage",
+      description: "Marketing contribution of the associated contacts, averaged or weighted by touchpoints (Marketing Helper).",
+      type: "number",
+      fieldType: "number",
+      numberDisplayHint: "percentage",
+    });
+
+    const associations = await batchGetAssociations(portalId, "contacts", contactIds, objectType);
+    const rollups = rollupContribution(contactResults, associations, mode);
+    const inputs = Object.entries(rollups).map(([id, r]) => ({
+      id,
+      properties: { [PROPERTY_NAME]: r.percent == null ? "" : parseFloat(r.percent.toFixed(4)) },
+    }));
+    const { updated, failed } = await batchUpdateObjects(portalId, objectType, inputs);
+    summary[objectType] = { records: inputs.length, updated, failed };
+  }
+  return summary;
+}
+
+// ================================================================
+// MCF JOURNEY WRITE-BACK
+// Optionally copies each eligible contact's journey from an MCF run onto contact
+// properties, so it can drive lists, workflows and reports. The properties describe
+// the conversion type of the run that last wrote them (mcf_journey_conversion).
+// ================================================================
+const MCF_JOURNEY_PROPERTIES = [
+  {
+    name: "mcf_first_touch_channel",
+    label: "MCF First Touch Channel",
+    description: "First traffic source in the contact's journey to the conversion (Marketing Helper MCF).",
+    type: "string",
+    fieldType: "text",
+  },
+  {
+    name: "mcf_last_touch_channel",
+    label: "MCF Last Touch Channel",
+    description: "Traffic source closest to the conversion (Marketing Helper MCF).",
+    type: "string",
+    fieldType: "text",
+  },
+  {
+    name: "mcf_conversion_path",
+    label: "MCF Conversion Path",
+    description: "Traffic sources leading to the conversion, in order (Marketing Helper MCF).",
+    type: "string",
+    fieldType: "text",
+  },
+  {
+    name: "mcf_touchpoint_count",
+    label: "MCF Touchpoint Count",
+    description: "Number of traffic-source touchpoints before the conversion (Marketing Helper MCF).",
+    type: "number",
+    fieldType: "number",
+  },
+  {
+    name: "mcf_days_to_conversion",
+    label: "MCF Days To Conversion",
+    description: "Days from the first touchpoint to the conversion (Marketing Helper MCF).",
+    type: "number",
+    fieldType: "number",
+  },
+  {
+    name: "mcf_journey_conversion",
+    label: "MCF Journey Conversion",
+    description: "Conversion the other MCF journey properties describe (Marketing Helper MCF).",
+    type: "string",
+    fieldType: "text",
+  },
+];
+
+const DEFAULT_PROPERTY_GROUPS = {
+  contacts: "contactinformation",
+  companies: "companyinformation",
+  deals: "dealinformation",
+};
+
+/** Overwrite a property's settings with its definition (everything but the name). */
+async function patchObjectProperty(portalId, objectType, property) {
+  const { name, ...patch } = { groupName: DEFAULT_PROPERTY_GROUPS[objectType], hidden: false, formField: false, ...property };
+  await hubspotApi(
+    portalId,
+    `https://api.hubapi.com/crm/v3/properties/${objectType}/${name}`,
+    { method: "PATCH", body: JSON.stringify(patch) }
+  );
+}
+
+/**
+ * Ensure a custom property exists on an object type (contacts, companies, deals) with the
+ * given settings; an existing one is patched when propertyNeedsUpdate says it differs.
+ * Returns true (created), "updated" (settings fixed) or false (already fine).
+ */
+async function ensureObjectProperty(portalId, objectType, property) {
+  const definition = {
+    groupName: DEFAULT_PROPERTY_GROUPS[objectType],
+    hidden: false,
+    formField: false,
+    ...property,
+  };
+
+  try {
+    const existing = await hubspotApi(
+      portalId,
+      `https://api.hubapi.com/crm/v3/properties/${objectType}/${definition.name}`,
+      { method: "GET" }
+    );
+    if (propertyNeedsUpdate(existing, definition)) {
+      await patchObjectProperty(portalId, objectType, definition);
+      return "updated";
+    }
+    return false;
+  } catch (e) {
+    if (e?.status !== 404) throw e;
+  }
+
+  await hubspotApi(
+    portalId,
+    `https://api.hubapi.com/crm/v3/properties/${objectType}`,
+    { method: "POST", body: JSON.stringify(definition) }
+  );
+  return true;
+}
+
+/**
+ * Write a contact-level result's journeys to the MCF journey properties (batch update API).
+ * Returns { contacts, updated, failed, conversionType, writtenAt }.
+ */
+async function writeJourneyProperties(portalId, result, jobStatus) {
+  jobStatus.message = "Creating MCF journey properties...";
+  for (const property of MCF_JOURNEY_PROPERTIES) {
+    await ensureObjectProperty(portalId, "contacts", property);
+  }
+
+  const conversionLabel =
+    getConversionTypeOptions(portalId).find((o) => o.value === result.conversionType)?.label || result.conversionType;
+  const inputs = buildJourneyPropertyUpdates(result.eligibleContacts, conversionLabel, result.channelLabels);
+  jobStatus.message = `Writing journey data to ${inputs.length} contacts...`;
+  const { updated, failed } = await batchUpdateObjects(portalId, "contacts", inputs);
+
+  return {
+    contacts: inputs.length,
+    updated,
+    failed,
+    conversionType: result.conversionType,
+    writtenAt: new Date().toISOString(),
+  };
+}
+
+// ---- Routes ----
+
+// Health check
+app.get("/", (_req, res) => {
+  res.send("Server is running ✅");
+});
+
+// Version check (verify deployed code after updates)
+app.get("/api/version", (_req, res) => {
+  res.json({ version: BACKEND_VERSION });
+});
+
+// Install route: redirects to HubSpot OAuth consent
+app.get("/install", (_req, res) => {
+  const clientId = process.env.HUBSPOT_CLIENT_ID;
+  const redirectUri = process.env.HUBSPOT_REDIRECT_URI;
+  const scopes = process.env.HUBSPOT_SCOPES || "oauth";
+  const optionalScopes = process.env.HUBSPOT_OPTIONAL_SCOPES;
+
+  if (!clientId || !redirectUri) {
+    return res
+      .status(500)
+      .send("Missing HUBSPOT_CLIENT_ID or HUBSPOT_REDIRECT_URI env var");
+  }
+
+  const params = new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state: "test-" + Date.now(),
+  });
+  if (optionalScopes) params.set("optional_scope", optionalScopes);
+
+  const authUrl = `https://app.hubspot.com/oauth/authorize?${params.toString()}`;
+  return res.redirect(authUrl);
+});
+
+// Callback route: HubSpot redirects here with ?code=...
+app.get("/oauth/callback", async (req, res) => {
+  const code = req.query.code;
+  if (!code) return res.status(400).send("Missing code");
+
+  const clientId = process.env.HUBSPOT_CLIENT_ID;
+  const clientSecret = process.env.HUBSPOT_CLIENT_SECRET;
+  const redirectUri = process.env.HUBSPOT_REDIRECT_URI;
+
+  if (!clientId || !clientSecret || !redirectUri) {
+    return res
+      .status(500)
+      .send(
+        "Missing HUBSPOT_CLIENT_ID / HUBSPOT_CLIENT_SECRET / HUBSPOT_REDIRECT_URI"
+      );
+  }
+
+  // Exchange code -> tokens
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    client_id: clientId,
+    client_secret: clientSecret,
+    redirect_uri: redirectUri,
+    code: String(code),
   });
 
   const tokenResp = await fetch("https://api.hubapi.com/oauth/v1/token", {
@@ -924,8 +2246,24 @@ app.post("/api/calculate-contribution", async (req, res) => {
 
   // Background processing
   try {
-    await ensurePropertyExists(portalId);
-
+    // A full run re-checks the share properties too, in case they were edited in HubSpot
+    await ensurePropertyExists(portalId, { refreshShareProperties: true });
+
+    // Contacts are only kept for the rollup when it is on and the portal granted its scopes;
+    // a failed scope lookup or rollup (e.g. a network error) keeps the contact results
+    const rollupMode = getContributionRollupMode(portalId);
+    let rollupTypes = { objectTypes: [], missingScopes: [] };
+    if (rollupMode !== "off") {
+      try {
+        rollupTypes = await rollupObjectTypes(portalId);
+        jobStatus[portalId].rollup = { mode: rollupMode, missingScopes: rollupTypes.missingScopes };
+      } catch (e) {
+        console.error(`Portal ${portalId}: could not read granted scopes for the rollup:`, e.message);
+        jobStatus[portalId].rollup = { mode: rollupMode, error: e.message };
+      }
+    }
+    const rollingUp = rollupTypes.objectTypes.length > 0;
+    const contactResults = {}; // contactId → { percent, totalChanges }, for the company/deal rollup
     let after = undefined;
 
     while (true) {
@@ -955,6 +2293,9 @@ app.post("/api/calculate-contribution", async (req, res) => {
       for (const contactId of contactIds) {
         try {
           const result = await processContact(portalId, contactId);
+          if (rollingUp) {
+            contactResults[contactId] = { percent: result.percent, totalChanges: result.totalChanges };
+          }
           if (result.totalChanges === 0) {
             jobStatus[portalId].skippedNoHistory++;
           } else {
@@ -972,6 +2313,18 @@ app.post("/api/calculate-contribution", async (req, res) => {
       if (!after) break; // No more contacts
     }
 
+    if (rollingUp) {
+      jobStatus[portalId].rollingUp = true;
+      try {
+        const summary = await writeContributionRollups(portalId, contactResults, rollupMode, rollupTypes.objectTypes);
+        jobStatus[portalId].rollup = { ...summary, missingScopes: rollupTypes.missingScopes };
+      } catch (e) {
+        console.error(`Portal ${portalId}: company/deal rollup failed:`, e.message);
+        jobStatus[portalId].rollup = { mode: rollupMode, error: e.message };
+      }
+      jobStatus[portalId].rollingUp = false;
+    }
+
     jobStatus[portalId].running = false;
     jobStatus[portalId].completedAt = new Date().toISOString();
     console.log(`Portal ${portalId}: Analysis complete!`, jobStatus[portalId]);
@@ -986,6 +2339,7 @@ app.post("/api/calculate-contribution", async (req, res) => {
         updated: jobStatus[portalId].updated,
         skippedNoHistory: jobStatus[portalId].skippedNoHistory,
         failed: jobStatus[portalId].failed,
+        rollup: jobStatus[portalId].rollup || null,
       },
     };
     savePortalConfig(updatedConfig);
@@ -1031,7 +2385,9 @@ app.get("/api/calculate-contribution/status", async (req, res) => {
       skippedNoHistory: job.skippedNoHistory,
       failed: job.failed,
       startedAt: job.startedAt,
-      message: `Processing... ${job.processed} contacts done so far.`,
+      message: job.rollingUp
+        ? `Rolling up contribution to companies and deals (${job.processed} contacts done)...`
+        : `Processing... ${job.processed} contacts done so far.`,
       lastAnalysisRun,
       lastSourcesUpdated,
       analysisAllowed: false, // Can't run while already running
@@ -1050,9 +2406,10 @@ app.get("/api/calculate-contribution/status", async (req, res) => {
       startedAt: job.startedAt,
       completedAt: job.completedAt || null,
       error: job.error || null,
+      rollup: job.rollup || null,
       message: job.error
         ? `Error: ${job.error}`
-        : `Complete! Processed ${job.processed} contacts. Updated: ${job.updated}, Zero-history: ${job.skippedNoHistory}, Failed: ${job.failed}.`,
+        : `Complete! Processed ${job.processed} contacts. Updated: ${job.updated}, Zero-history: ${job.skippedNoHistory}, Failed: ${job.failed}.${rollupSummaryMessage(job.rollup)}`,
       lastAnalysisRun,
       lastSourcesUpdated,
       analysisAllowed,
@@ -1069,7 +2426,8 @@ app.get("/api/calculate-contribution/status", async (req, res) => {
       skippedNoHistory: lastAnalysisResult.skippedNoHistory,
       failed: lastAnalysisResult.failed,
       completedAt: lastAnalysisRun,
-      message: `Last analysis completed on ${new Date(lastAnalysisRun).toLocaleString()}. Processed ${lastAnalysisResult.processed} contacts.`,
+      rollup: lastAnalysisResult.rollup || null,
+      message: `Last analysis completed on ${new Date(lastAnalysisRun).toLocaleString()}. Processed ${lastAnalysisResult.processed} contacts.${rollupSummaryMessage(lastAnalysisResult.rollup)}`,
       lastAnalysisRun,
       lastSourcesUpdated,
       analysisAllowed,
@@ -1099,99 +2457,602 @@ app.get("/api/marketing-sources", async (req, res) => {
   const config = loadPortalConfig();
   const portalSources = config[String(portalId)]?.marketingSources;
   const selectedSources = Array.isArray(portalSources) ? portalSources : DEFAULT_MARKETING_SOURCES;
+  const contribution = getContributionSettings(portalId);
+  const shares = getChannelShareSettings(portalId);
 
   return res.json({
     success: true,
     allSources: ALL_SOURCES,
+    channelGroups: channelGroupOptions(getChannelGrouping(portalId)),
+    selectedSources,
+    contributionModes: CONTRIBUTION_MODES,
+    contributionMode: contribution.mode,
+    cutoffDate: contribution.cutoffDate,
+    halfLifeDays: contribution.halfLifeDays,
+    channelShareProperties: shares.enabled,
+    channelShareSources: shares.sources,
+    rollupModes: CONTRIBUTION_ROLLUP_MODES,
+    rollupMode: getContributionRollupMode(portalId),
+  });
+});
+
+app.post("/api/marketing-sources", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const {
+    selectedSources, contributionMode, cutoffDate, halfLifeDays, channelShareProperties, channelShareSources, rollupMode,
+  } = req.body || {};
+  if (!Array.isArray(selectedSources)) {
+    return res.status(400).json({ success: false, message: "selectedSources must be an array" });
+  }
+
+  // Validate that all provided sources (or channel groups) are valid
+  const validValues = new Set([
+    ...ALL_SOURCES.map((s) => s.value),
+    ...channelGroupOptions(getChannelGrouping(portalId)).map((g) => g.value),
+  ]);
+  const invalid = selectedSources.filter((s) => !validValues.has(s));
+  if (invalid.length > 0) {
+    return res.status(400).json({ success: false, message: `Invalid sources: ${invalid.join(", ")}` });
+  }
+
+  // Contribution mode settings are optional; omitted ones keep their saved values
+  const current = getContributionSettings(portalId);
+  const validated = validateContributionSettings({
+    contributionMode: contributionMode !== undefined ? contributionMode : current.mode,
+    cutoffDate: cutoffDate !== undefined ? cutoffDate : current.cutoffDate,
+    halfLifeDays: halfLifeDays !== undefined ? halfLifeDays : current.halfLifeDays,
+  });
+  if (validated.error) {
+    return res.status(400).json({ success: false, message: validated.error });
+  }
+  const currentShares = getChannelShareSettings(portalId);
+  const validatedShares = validateChannelShareSettings({
+    channelShareProperties: channelShareProperties !== undefined ? channelShareProperties : currentShares.enabled,
+    channelShareSources: channelShareSources !== undefined ? channelShareSources : currentShares.sources,
+  });
+  if (validatedShares.error) {
+    return res.status(400).json({ success: false, message: validatedShares.error });
+  }
+  const contributionRollup = rollupMode !== undefined ? rollupMode : getContributionRollupMode(portalId);
+  if (!CONTRIBUTION_ROLLUP_MODES.some((m) => m.value === contributionRollup)) {
+    return res.status(400).json({ success: false, message: `Invalid rollup mode: ${contributionRollup}` });
+  }
+
+  const config = loadPortalConfig();
+  config[String(portalId)] = {
+    ...(config[String(portalId)] || {}),
+    marketingSources: selectedSources,
+    contributionMode: validated.settings.mode,
+    contributionCutoffDate: validated.settings.cutoffDate,
+    contributionHalfLifeDays: validated.settings.halfLifeDays,
+    channelShareProperties: validatedShares.settings.enabled,
+    channelShareSources: validatedShares.settings.sources,
+    channelSharePropertiesToDelete: shareDeletionsAfterChange(currentShares, validatedShares.settings, currentShares.pendingDeletions),
+    contributionRollup,
+    updatedAt: new Date().toISOString(),
+  };
+  savePortalConfig(config);
+
+  return res.json({
+    success: true,
+    message: `Saved ${selectedSources.length} marketing sources. Run analysis again to recalculate with the new settings.`,
     selectedSources,
+    contributionMode: validated.settings.mode,
+    cutoffDate: validated.settings.cutoffDate,
+    halfLifeDays: validated.settings.halfLifeDays,
+    channelShareProperties: validatedShares.settings.enabled,
+    channelShareSources: validatedShares.settings.sources,
+    rollupMode: contributionRollup,
   });
 });
 
-app.post("/api/marketing-sources", async (req, res) => {
-  const portalId = req.query.portalId;
-  if (!portalId) {
-    return res.status(400).json({ success: false, message: "Missing portalId" });
+// ================================================================
+// CHANNEL GROUPINGS
+// Per-portal channel groups, used by MCF paths (pathOptions.channelGroups) and,
+// when a group is selected as a marketing source, by the contribution calculation.
+// ================================================================
+app.get("/api/channel-groups", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+  return res.json({ success: true, ...getChannelGrouping(portalId), allSources: ALL_SOURCES });
+});
+
+app.put("/api/channel-groups", async (req, res) => {
+  const portalId = req.query.portalId || req.body?.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const validated = validateChannelGrouping(req.body || {});
+  if (validated.error) {
+    return res.status(400).json({ success: false, message: validated.error });
+  }
+
+  const config = loadPortalConfig();
+  const portalConfig = config[String(portalId)] || {};
+  const previousKeys = channelGroupOptions(getChannelGrouping(portalId)).map((g) => g.value);
+  const selected = Array.isArray(portalConfig.marketingSources) ? portalConfig.marketingSources : DEFAULT_MARKETING_SOURCES;
+  const grouping = { ...validated.grouping, updatedAt: new Date().toISOString() };
+  config[String(portalId)] = {
+    ...portalConfig,
+    channelGrouping: grouping,
+    // Selected groups change meaning with their rules, so the contribution analysis may run again
+    ...(selected.some((s) => previousKeys.includes(s)) ? { updatedAt: grouping.updatedAt } : {}),
+  };
+  savePortalConfig(config);
+
+  return res.json({
+    success: true,
+    message: `Saved ${grouping.groups.length} channel group(s).`,
+    ...grouping,
+  });
+});
+
+// ================================================================
+// MCF (MULTI-CHANNEL FUNNEL) PATHS ENDPOINTS
+// Replicates UA "Top Conversion Paths" behaviour.
+// ================================================================
+const mcfJobStatus = {};
+
+function parseMcfWindow(startDate, endDate) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_RANGE_DAYS = 731; // two years (incl. a leap day); repeat runs come from the history cache
+  const now = new Date();
+
+  const parsedEnd = endDate ? new Date(endDate) : now;
+  if (Number.isNaN(parsedEnd.getTime())) {
+    return { error: "Invalid endDate" };
+  }
+  const end = parsedEnd > now ? now : parsedEnd;
+
+  const parsedStart = startDate
+    ? new Date(startDate)
+    : new Date(end.getTime() - 90 * DAY_MS);
+  if (Number.isNaN(parsedStart.getTime())) {
+    return { error: "Invalid startDate" };
+  }
+  const start = parsedStart;
+
+  if (start > end) {
+    return { error: "Start date must be before end date." };
+  }
+
+  const maxRangeStart = new Date(end.getTime() - MAX_RANGE_DAYS * DAY_MS);
+  if (start < maxRangeStart) {
+    return { error: "Date range cannot exceed 2 years." };
+  }
+
+  return { start, end };
+}
+
+// ---- Custom conversion definitions (stored per portal in portal config) ----
+// { id, label, kind: "property_value" | "date_set", property, value?, createdAt, updatedAt }
+
+function getConversionDefinitions(portalId) {
+  const config = loadPortalConfig();
+  const defs = config[String(portalId)]?.conversionDefinitions;
+  return Array.isArray(defs) ? defs : [];
+}
+
+function saveConversionDefinitions(portalId, definitions) {
+  const config = loadPortalConfig();
+  config[String(portalId)] = {
+    ...(config[String(portalId)] || {}),
+    conversionDefinitions: definitions,
+  };
+  savePortalConfig(config);
+}
+
+/** Custom definition for a "custom:<id>" conversion type (null if not custom or not found). */
+function findCustomConversionDefinition(portalId, conversionType) {
+  const match = /^custom:(.+)$/.exec(String(conversionType || ""));
+  if (!match) return null;
+  return getConversionDefinitions(portalId).find((d) => d.id === match[1]) || null;
+}
+
+/** Built-in conversion types plus the portal's custom definitions. */
+function getConversionTypeOptions(portalId) {
+  const custom = portalId
+    ? getConversionDefinitions(portalId).map((d) => ({ value: `custom:${d.id}`, label: d.label, custom: true }))
+    : [];
+  return [...CONVERSION_TYPE_OPTIONS, ...custom];
+}
+
+/** Stage ID from a "lifecycle_stage:<stage>" conversion type (null for other types). */
+function parseLifecycleStageType(conversionType) {
+  const match = /^lifecycle_stage:([a-z0-9_]+)$/i.exec(String(conversionType || ""));
+  return match ? match[1] : null;
+}
+
+function isValidConversionType(portalId, conversionType) {
+  return (
+    CONVERSION_TYPE_OPTIONS.some((o) => o.value === conversionType) ||
+    parseLifecycleStageType(conversionType) !== null ||
+    findCustomConversionDefinition(portalId, conversionType) !== null
+  );
+}
+
+async function getMcfConversionsForType(portalId, conversionType, start, end, jobStatus) {
+  const stage = parseLifecycleStageType(conversionType);
+  if (stage) {
+    return findLifecycleStageConversions(portalId, stage, start, end, jobStatus);
+  }
+  const definition = findCustomConversionDefinition(portalId, conversionType);
+  if (definition) {
+    return findCustomDefinitionConversions(portalId, definition, start, end, jobStatus);
+  }
+  switch (conversionType) {
+    case "meeting_booked":
+      return findMeetingBookedConversions(portalId, start, end, jobStatus);
+    case "deal_won":
+      return findDealWonConversions(portalId, start, end, jobStatus);
+    case "form_submission":
+      return findFormSubmissionConversions(portalId, start, end, jobStatus);
+    default:
+      return [];
+  }
+}
+
+// ---- Currency normalization (stored per portal in portal config) ----
+// { reportingCurrency: "USD", rates: [{ currency: "EUR", rate: 1.08, effectiveDate: "2026-01-01" | null }], updatedAt }
+// rate = units of the reporting currency per 1 unit of `currency`. A dated rate applies to
+// conversions on or after its date (the latest one wins); an undated rate is the fallback.
+// Conversions without a currency are taken to be in the reporting (company) currency.
+
+function getCurrencySettings(portalId) {
+  const config = loadPortalConfig();
+  const settings = config[String(portalId)]?.currencySettings;
+  return {
+    reportingCurrency: settings?.reportingCurrency || null,
+    rates: Array.isArray(settings?.rates) ? settings.rates : [],
+    updatedAt: settings?.updatedAt || null,
+  };
+}
+
+function saveCurrencySettings(portalId, settings) {
+  const config = loadPortalConfig();
+  config[String(portalId)] = {
+    ...(config[String(portalId)] || {}),
+    currencySettings: { ...settings, updatedAt: new Date().toISOString() },
+  };
+  savePortalConfig(config);
+}
+
+/**
+ * Run the conversion-first pipeline for one window and return the MCF result:
+ *    1. Find conversion events in reporting period (meetings/closed-won deals/forms/lifecycle stages,
+ *       or a portal's custom conversion definition)
+ *    2. Extract associated contacts
+ *    3. Filter to contacts whose FIRST EVER conversion of that type is in the period
+ *       (and, with runOptions.segment, to contacts in the segment)
+ *    4. For qualifying contacts only: pull full hs_latest_source history,
+ *       truncate at conversion timestamp, build ordered paths
+ *    5. Aggregate and return ranked paths
+ *    6. Credit channels under the requested attribution model
+ *
+ *  DOES NOT iterate over all contacts — only touches converting entities.
+ *  Conversions and histories already in the portal's history cache are not re-fetched
+ *  (see MCF HISTORY CACHE); result.cache says what was.
+ *  Progress is reported on jobStatus (message, converting, pathsBuilt).
+ */
+async function buildMcfResult(portalId, conversionType, start, end, runOptions, jobStatus) {
+  const { attributionModel, pathOptions, segment = null, currencySettings = null, level = "contact" } = runOptions;
+  const { attributionOptions } = runOptions;
+  const channelLabels = pathOptions.channelGroups ? channelGroupLabels(pathOptions.grouping) : CHANNEL_LABELS;
+
+  // ━━━ Phase 1: Find qualifying first-ever conversions ━━━
+  // Each finder function:
+  //   a) Searches conversion events in reporting period
+  //   b) Extracts associated contacts
+  //   c) Verifies the conversion is the FIRST EVER of that type for each contact
+  //   d) Returns only qualifying { contactId, conversionTimestamp, conversionValue, currency }
+  // Company level: first-ever per company, with all of its contacts (see findCompanyConversions)
+  // Only the parts of the window not already in the history cache are searched.
+  const { conversions: cachedConversions, fetchedRanges } = await findConversionsCached(
+    portalId, conversionType, level, start, end, jobStatus
+  );
+  const found = await applySegmentFilter(portalId, cachedConversions, segment, jobStatus);
+  const cacheStats = { conversionRangesFetched: fetchedRanges, contactsFromCache: 0, contactsFetched: 0 };
+
+  // Values in the portal's reporting currency (when configured); originals kept per conversion
+  const { conversions, missingRates } = normalizeConversionCurrencies(found, currencySettings);
+  const currencyNormalization = currencySettings?.reportingCurrency
+    ? {
+        reportingCurrency: currencySettings.reportingCurrency,
+        rates: currencySettings.rates,
+        missingRates,
+        originalTotals: {},
+        // Left out of every normalized value and total; reported in their own currency
+        unconvertedTotals: unconvertedCurrencyTotals(conversions),
+      }
+    : null;
+
+  jobStatus.converting = conversions.length;
+
+  if (conversions.length === 0) {
+    return {
+      paths: [], totalConversions: 0, totalContacts: 0,
+      conversionType,
+      level,
+      startDate: start.toISOString(), endDate: end.toISOString(),
+      refreshedAt: new Date().toISOString(), currencies: [],
+      mixedCurrencies: false, channelLabels,
+      attribution: { model: attributionModel, options: attributionOptions, channels: [] },
+      pathOptions,
+      segment,
+      currencyNormalization,
+      cache: cacheStats,
+      assisted: [],
+      timeLag: finalizeBucketReport(createBucketReport(TIME_LAG_BUCKETS), 0),
+      pathLength: finalizeBucketReport(createBucketReport(PATH_LENGTH_BUCKETS), 0),
+    };
   }
 
-  const { selectedSources } = req.body || {};
-  if (!Array.isArray(selectedSources)) {
-    return res.status(400).json({ success: false, message: "selectedSources must be an array" });
+  // ━━━ Phase 2: Build traffic source paths ━━━
+  jobStatus.message = `Building paths for ${conversions.length} qualifying conversions...`;
+
+  // Gather all contact IDs needed to build paths:
+  // - contact-level events: conv.contactId
+  // - deal-level events: conv.associatedContactIds[]
+  const neededContactIdsSet = new Set();
+  for (const conv of conversions) {
+    if (conv.contactId) neededContactIdsSet.add(String(conv.contactId));
+    for (const cId of conv.associatedContactIds || []) {
+      neededContactIdsSet.add(String(cId));
+    }
   }
-
-  // Validate that all provided sources are valid
-  const validValues = new Set(ALL_SOURCES.map((s) => s.value));
-  const invalid = selectedSources.filter((s) => !validValues.has(s));
-  if (invalid.length > 0) {
-    return res.status(400).json({ success: false, message: `Invalid sources: ${invalid.join(", ")}` });
+  const uniqueContactIds = [...neededContactIdsSet];
+
+  // Batch-read contacts with hs_latest_source history (+ data_1/data_2 in drill-down mode) + display props.
+  // Unchanged contacts come from the history cache.
+  const historyProperties = pathHistoryProperties(pathOptions);
+  const { contacts: contactsWithHistory, fromCache, fetched } = await readContactsWithHistoryCached(
+    portalId, uniqueContactIds,
+    [...historyProperties, "email", "firstname", "lastname"],
+    historyProperties,
+    jobStatus
+  );
+  cacheStats.contactsFromCache = fromCache;
+  cacheStats.contactsFetched = fetched;
+
+  // Index by ID for fast lookup
+  const contactHistoryMap = {};
+  const contactDisplayMap = {};
+  for (const c of contactsWithHistory) {
+    contactHistoryMap[c.id] = sourceHistoryForPath(c.propertiesWithHistory, pathOptions);
+    contactDisplayMap[c.id] = {
+      email: c.properties?.email || "",
+      firstname: c.properties?.firstname || "",
+      lastname: c.properties?.lastname || "",
+    };
   }
 
-  const config = loadPortalConfig();
-  config[String(portalId)] = {
-    ...(config[String(portalId)] || {}),
-    marketingSources: selectedSources,
-    updatedAt: new Date().toISOString(),
-  };
-  savePortalConfig(config);
+  // Build paths and aggregate; track eligible contacts per path
+  const pathCounts = {};
+  const channelCredits = {};
+  const assistedConversions = {};
+  const timeLagReport = createBucketReport(TIME_LAG_BUCKETS);
+  const pathLengthReport = createBucketReport(PATH_LENGTH_BUCKETS);
+  const eligibleContacts = [];
+  const eligibleCompanies = [];
+  let pathsBuilt = 0;
+
+  for (const conv of conversions) {
+    const contactIdsForEvent = conv.contactId
+      ? [String(conv.contactId)]
+      : (conv.associatedContactIds || []).map((id) => String(id));
+
+    // Keep all contact paths, but do not duplicate conversion count/amount by contact.
+    // Each conversion event contributes total weight=1 and total value once.
+    // A company conversion is one journey: its contacts' histories merged into one timeline.
+    const uniqueEventContacts = [...new Set(contactIdsForEvent)];
+    const journeyUnits = conv.companyId && uniqueEventContacts.length > 0
+      ? [{ companyId: conv.companyId, history: uniqueEventContacts.flatMap((id) => contactHistoryMap[id] || []) }]
+      : uniqueEventContacts.map((contactId) => ({ contactId, history: contactHistoryMap[contactId] || [] }));
+    const eventWeight = journeyUnits.length > 0 ? 1 / journeyUnits.length : 1;
+    const eventValueWeight = (conv.conversionValue || 0) * eventWeight;
+
+    if (journeyUnits.length === 0) {
+      const key = "UNKNOWN";
+      if (!pathCounts[key]) {
+        pathCounts[key] = { path: ["UNKNOWN"], conversions: 0, totalValue: 0, currencies: new Set(), valueByCurrency: {} };
+      }
+      pathCounts[key].conversions += 1;
+      pathCounts[key].totalValue += conv.conversionValue || 0;
+      if (conv.currency) pathCounts[key].currencies.add(conv.currency);
+      addCurrencyBreakdown(pathCounts[key].valueByCurrency, conv, 1);
+      if (attributionModel !== "shapley") {
+        addChannelCredit(channelCredits, [], [], 1, conv.conversionValue || 0, conv);
+      }
+      addAssistedConversions(assistedConversions, [], 1, conv.conversionValue || 0);
+      addToBucketReport(timeLagReport, TIME_LAG_BUCKETS, null, 1, conv.conversionValue || 0);
+      addToBucketReport(pathLengthReport, PATH_LENGTH_BUCKETS, null, 1, conv.conversionValue || 0);
+      continue;
+    }
 
-  return res.json({
-    success: true,
-    message: `Saved ${selectedSources.length} marketing sources. Run analysis again to recalculate with the new settings.`,
-    selectedSources,
-  });
-});
+    for (const { contactId, companyId, history: sourceHistory } of journeyUnits) {
+      // Attribution credits the same (possibly truncated) touchpoints the path shows
+      const journey = buildConversionTouchpoints(sourceHistory, conv.conversionTimestamp, pathOptions);
+      const { touchpoints, truncated } = truncateTouchpoints(journey, pathOptions);
+      const path = touchpointsToPath(touchpoints, truncated);
+      const key = pathToKey(path);
+
+      // Assists look at the whole journey, so truncation never hides an assisting channel
+      addAssistedConversions(assistedConversions, journey, eventWeight, eventValueWeight);
+      const daysToConversion = timeLagDays(sourceHistory, conv.conversionTimestamp, pathOptions);
+      addToBucketReport(timeLagReport, TIME_LAG_BUCKETS, daysToConversion, eventWeight, eventValueWeight);
+      addToBucketReport(
+        pathLengthReport, PATH_LENGTH_BUCKETS,
+        journey.length > 0 ? journey.length : null,
+        eventWeight, eventValueWeight
+      );
 
-// ================================================================
-// MCF (MULTI-CHANNEL FUNNEL) PATHS ENDPOINTS
-// Replicates UA "Top Conversion Paths" behaviour.
-// ================================================================
-const mcfJobStatus = {};
+      if (!pathCounts[key]) {
+        pathCounts[key] = { path, conversions: 0, totalValue: 0, currencies: new Set(), valueByCurrency: {} };
+      }
+      pathCounts[key].conversions += eventWeight;
+      pathCounts[key].totalValue += eventValueWeight;
+      if (conv.currency) pathCounts[key].currencies.add(conv.currency);
+      addCurrencyBreakdown(pathCounts[key].valueByCurrency, conv, eventWeight);
+
+      if (attributionModel !== "shapley") {
+        const weights = computeAttributionWeights(
+          touchpoints, Number(conv.conversionTimestamp), attributionModel, attributionOptions
+        );
+        addChannelCredit(channelCredits, touchpoints, weights, eventWeight, eventValueWeight, conv);
+      }
 
-function parseMcfWindow(startDate, endDate) {
-  const DAY_MS = 24 * 60 * 60 * 1000;
-  const MAX_RANGE_DAYS = 183; // rolling ~6 months max
-  const now = new Date();
+      if (companyId) {
+        eligibleCompanies.push({
+          companyId,
+          name: conv.companyName || "",
+          domain: conv.companyDomain || "",
+          pathKey: key,
+          conversionTimestamp: conv.conversionTimestamp,
+          contactCount: uniqueEventContacts.length,
+        });
+      } else {
+        const disp = contactDisplayMap[contactId] || {};
+        eligibleContacts.push({
+          contactId,
+          pathKey: key,
+          conversionTimestamp: conv.conversionTimestamp,
+          email: disp.email || "",
+          firstname: disp.firstname || "",
+          lastname: disp.lastname || "",
+          // Whole (untruncated) journey, for writing back to contact properties
+          firstTouch: journey[0]?.channel || null,
+          lastTouch: journey[journey.length - 1]?.channel || null,
+          touchpoints: journey.length,
+          daysToConversion,
+        });
+      }
 
-  const parsedEnd = endDate ? new Date(endDate) : now;
-  if (Number.isNaN(parsedEnd.getTime())) {
-    return { error: "Invalid endDate" };
+      pathsBuilt++;
+      if (pathsBuilt % 25 === 0) {
+        jobStatus.pathsBuilt = pathsBuilt;
+        jobStatus.message = `Building paths: ${pathsBuilt} contact-path evaluations done.`;
+      }
+    }
   }
-  const end = parsedEnd > now ? now : parsedEnd;
 
-  const parsedStart = startDate
-    ? new Date(startDate)
-    : new Date(end.getTime() - 90 * DAY_MS);
-  if (Number.isNaN(parsedStart.getTime())) {
-    return { error: "Invalid startDate" };
+  jobStatus.pathsBuilt = pathsBuilt;
+
+  // Shapley credits coalitions (distinct channel sets) after aggregation
+  if (attributionModel === "shapley") {
+    jobStatus.message = "Computing Shapley values...";
+    const shapley = computeShapleyAttribution(buildShapleyCoalitions(pathCounts));
+    const currencyBreakdown = shapleyCurrencyBreakdown(pathCounts);
+    for (const [channel, credit] of Object.entries(shapley.channels)) {
+      channelCredits[channel] = {
+        channel,
+        conversions: credit.conversions,
+        value: credit.value,
+        valueByCurrency: currencyBreakdown[channel] || {},
+      };
+    }
   }
-  const start = parsedStart;
 
-  if (start > end) {
-    return { error: "Start date must be before end date." };
-  }
+  // ━━━ Phase 3: Rank paths (no threshold filter) ━━━
+  const totalConversions = conversions.length;
+  const topPaths = Object.values(pathCounts)
+    .sort((a, b) => b.conversions - a.conversions || b.totalValue - a.totalValue)
+    .map((p) => ({
+      path: p.path,
+      pathKey: pathToKey(p.path),
+      conversions: Math.round(p.conversions * 10000) / 10000,
+      sharePct: totalConversions > 0 ? Math.round((p.conversions / totalConversions) * 10000) / 100 : 0,
+      conversionValue: Math.round(p.totalValue * 100) / 100,
+      currencies: [...p.currencies],
+      valueByCurrency: roundCurrencyBreakdown(p.valueByCurrency),
+    }));
 
-  const maxRangeStart = new Date(end.getTime() - MAX_RANGE_DAYS * DAY_MS);
-  if (start < maxRangeStart) {
-    return { error: "Date range cannot exceed the last 6 months (rolling)." };
+  const allCurrencies = new Set();
+  topPaths.forEach((p) => p.currencies.forEach((c) => allCurrencies.add(c)));
+
+  if (currencyNormalization) {
+    const originalTotals = {};
+    conversions.forEach((conv) => {
+      if (!conv.unconverted) addCurrencyBreakdown(originalTotals, conv, 1);
+    });
+    currencyNormalization.originalTotals = roundCurrencyBreakdown(originalTotals);
   }
 
-  return { start, end };
+  return {
+    paths: topPaths,
+    ...(level === "company" ? { eligibleCompanies } : { eligibleContacts }),
+    totalConversions,
+    totalContacts: uniqueContactIds.length,
+    conversionType,
+    level,
+    startDate: start.toISOString(),
+    endDate: end.toISOString(),
+    refreshedAt: new Date().toISOString(),
+    currencies: [...allCurrencies],
+    mixedCurrencies: allCurrencies.size > 1,
+    channelLabels,
+    attribution: {
+      model: attributionModel,
+      options: attributionOptions,
+      channels: rankChannelCredits(channelCredits, totalConversions),
+    },
+    pathOptions,
+    segment,
+    currencyNormalization,
+    cache: cacheStats,
+    assisted: rankAssistedConversions(assistedConversions),
+    timeLag: finalizeBucketReport(timeLagReport, totalConversions),
+    pathLength: finalizeBucketReport(pathLengthReport, totalConversions),
+  };
 }
 
-async function getMcfConversionsForType(portalId, conversionType, start, end, jobStatus) {
-  if (conversionType !== "meeting_booked") return [];
-  return findMeetingBookedConversions(portalId, start, end, jobStatus);
+/**
+ * Resolve body.compare into the comparison window:
+ *   "previous_period"        → the same-length window that ends where [start, end] begins
+ *   { startDate, endDate }   → a custom window
+ * Both are validated with parseMcfWindow. Returns { window } (null when not comparing) or { error }.
+ */
+function parseMcfComparisonWindow(compare, start, end) {
+  if (!compare) return { window: null };
+  let parsed;
+  if (compare === "previous_period") {
+    const previousEnd = new Date(start.getTime() - 1);
+    const previousStart = new Date(previousEnd.getTime() - (end.getTime() - start.getTime()));
+    parsed = parseMcfWindow(previousStart.toISOString(), previousEnd.toISOString());
+  } else if (typeof compare === "object") {
+    parsed = parseMcfWindow(compare.startDate, compare.endDate);
+  } else {
+    return { error: 'compare must be "previous_period" or { startDate, endDate }.' };
+  }
+  if (parsed.error) return { error: `Comparison period: ${parsed.error}` };
+  return { window: parsed };
 }
 
-/** POST /api/mcf/refresh — start a background MCF analysis job.
- *  CONVERSION-FIRST approach:
- *    1. Find conversion events in reporting period (deals/meetings/forms)
- *    2. Extract associated contacts
- *    3. Filter to contacts whose FIRST EVER conversion of that type is in the period
- *    4. For qualifying contacts only: pull full hs_latest_source history,
- *       truncate at conversion timestamp, build ordered paths
- *    5. Aggregate and return ranked paths
+/** POST /api/mcf/refresh — start a background MCF analysis job (see buildMcfResult).
+ *  body: conversionType, startDate, endDate, model, halfLifeDays (time_decay).
  *
- *  DOES NOT iterate over all contacts — only touches converting entities.
+ *  body.pathOptions controls path construction (lookbackDays, collapseRepeats,
+ *  maxPathLength, truncate, ignoreDirect, drillDown, channelGroups — see DEFAULT_PATH_OPTIONS).
+ *
+ *  body.level = "company" reports account-based paths (first-ever meeting / won deal per
+ *  company, all of its contacts' histories merged — see findCompanyConversions).
+ *
+ *  body.segment limits the analysis to a segment of contacts (lifecycleStage, ownerId,
+ *  listId, properties — see parseSegmentFilter); it is stored in the result.
+ *
+ *  body.compare runs the same pipeline for a second window and adds result.comparison
+ *  (per path/channel conversions and share in both periods, absolute and % change).
+ *
+ *  body.writeBack writes each converter's journey to contact properties (result.writeBack).
+ *
+ *  body.conversionRates samples up to body.sampleSize non-converting contacts and adds
+ *  result.conversionRates (journeys, conversions and conversion rate per path and channel).
  */
 app.post("/api/mcf/refresh", async (req, res) => {
   const body = req.body || {};
@@ -1207,10 +3068,49 @@ app.post("/api/mcf/refresh", async (req, res) => {
     conversionType = "meeting_booked",
     startDate,
     endDate,
+    model,
+    halfLifeDays,
+    pathOptions: rawPathOptions,
+    compare,
+    segment: rawSegment,
+    level = "contact",
+    writeBack = false,
+    conversionRates = false,
+    sampleSize,
   } = body;
 
-  if (conversionType !== "meeting_booked") {
-    return res.status(400).json({ success: false, message: "Only meeting_booked (first-ever meeting) is supported." });
+  if (!isValidConversionType(portalId, conversionType)) {
+    return res.status(400).json({ success: false, message: `Unsupported conversion type: ${conversionType}` });
+  }
+  if (level !== "contact" && level !== "company") {
+    return res.status(400).json({ success: false, message: 'level must be "contact" or "company".' });
+  }
+  if (level === "company" && !COMPANY_CONVERSION_TYPES.includes(conversionType)) {
+    return res.status(400).json({
+      success: false,
+      message: "Company-level paths support first-ever meetings and closed-won deals only.",
+    });
+  }
+  if (writeBack && level === "company") {
+    return res.status(400).json({
+      success: false,
+      message: "Journey write-back updates contact properties, so it is available for contact-level results only.",
+    });
+  }
+  if (conversionRates && level === "company") {
+    return res.status(400).json({
+      success: false,
+      message: "Conversion rates sample non-converting contacts, so they are available for contact-level results only.",
+    });
+  }
+  if (conversionRates && sampleSize != null && sampleSize !== "") {
+    const n = Number(sampleSize);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_NON_CONVERTING_SAMPLE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `sampleSize must be a whole number between 1 and ${MAX_NON_CONVERTING_SAMPLE_SIZE}.`,
+      });
+    }
   }
 
   const parsedWindow = parseMcfWindow(startDate, endDate);
@@ -1219,6 +3119,39 @@ app.post("/api/mcf/refresh", async (req, res) => {
   }
   const { start, end } = parsedWindow;
 
+  const parsedComparison = parseMcfComparisonWindow(compare, start, end);
+  if (parsedComparison.error) {
+    return res.status(400).json({ success: false, message: parsedComparison.error });
+  }
+  const comparisonWindow = parsedComparison.window;
+
+  const parsedModel = parseAttributionModel(model, halfLifeDays);
+  if (parsedModel.error) {
+    return res.status(400).json({ success: false, message: parsedModel.error });
+  }
+  const attributionModel = parsedModel.model;
+  const attributionOptions = parsedModel.options;
+
+  const parsedPathOptions = parsePathOptions(rawPathOptions);
+  if (parsedPathOptions.error) {
+    return res.status(400).json({ success: false, message: parsedPathOptions.error });
+  }
+  const pathOptions = parsedPathOptions.options;
+  if (pathOptions.channelGroups) {
+    // Snapshot, so the stored result (and Markov sampling from it) keeps the grouping it was built with
+    const { groups, fallbackLabel } = getChannelGrouping(portalId);
+    if (groups.length === 0) {
+      return res.status(400).json({ success: false, message: "No channel groups defined. Add them in the Channel Groups tab first." });
+    }
+    pathOptions.grouping = { groups, fallbackLabel };
+  }
+
+  const parsedSegment = parseSegmentFilter(rawSegment);
+  if (parsedSegment.error) {
+    return res.status(400).json({ success: false, message: parsedSegment.error });
+  }
+  const segment = parsedSegment.segment;
+
   const jobKey = String(portalId);
 
   if (mcfJobStatus[jobKey]?.running) {
@@ -1237,8 +3170,15 @@ app.post("/api/mcf/refresh", async (req, res) => {
     pathsBuilt: 0,
     startedAt: new Date().toISOString(),
     conversionType,
+    level,
+    writeBack: Boolean(writeBack),
+    conversionRates: Boolean(conversionRates),
+    model: attributionModel,
     startDate: start.toISOString(),
     endDate: end.toISOString(),
+    ...(comparisonWindow
+      ? { compareStartDate: comparisonWindow.start.toISOString(), compareEndDate: comparisonWindow.end.toISOString() }
+      : {}),
     message: "Starting conversion-first analysis...",
   };
   res.json({ success: true, status: "started", message: "MCF analysis started (conversion-first)." });
@@ -1247,175 +3187,46 @@ app.post("/api/mcf/refresh", async (req, res) => {
   (async () => {
     try {
       console.log(`MCF portal ${portalId}: Starting ${conversionType} analysis [${start.toISOString()} — ${end.toISOString()}]`);
+      const runOptions = {
+        attributionModel, attributionOptions, pathOptions, segment, level,
+        currencySettings: getCurrencySettings(portalId),
+      };
+      const result = await buildMcfResult(portalId, conversionType, start, end, runOptions, mcfJobStatus[jobKey]);
 
-      // ━━━ Phase 1: Find qualifying first-ever conversions ━━━
-      // Each finder function:
-      //   a) Searches conversion events in reporting period
-      //   b) Extracts associated contacts
-      //   c) Verifies the conversion is the FIRST EVER of that type for each contact
-      //   d) Returns only qualifying { contactId, conversionTimestamp, conversionValue, currency }
-      const conversions = await getMcfConversionsForType(
-        portalId,
-        conversionType,
-        start,
-        end,
-        mcfJobStatus[jobKey]
-      );
-
-      mcfJobStatus[jobKey].converting = conversions.length;
-
-      if (conversions.length === 0) {
-        mcfJobStatus[jobKey].running = false;
-        mcfJobStatus[jobKey].completedAt = new Date().toISOString();
-        mcfJobStatus[jobKey].message = "Complete — no qualifying first-ever conversions found in the period.";
-        mcfJobStatus[jobKey].result = {
-          paths: [], totalConversions: 0, totalContacts: 0,
-          conversionType,
-          startDate: start.toISOString(), endDate: end.toISOString(),
-          refreshedAt: new Date().toISOString(), currencies: [],
-          mixedCurrencies: false, channelLabels: CHANNEL_LABELS,
-        };
-        // Persist empty result
-        const allResults = loadMcfResults();
-        allResults[`${portalId}:${conversionType}`] = mcfJobStatus[jobKey].result;
-        saveMcfResults(allResults);
-        return;
-      }
-
-      // ━━━ Phase 2: Build traffic source paths ━━━
-      mcfJobStatus[jobKey].message = `Building paths for ${conversions.length} qualifying conversions...`;
-
-      // Gather all contact IDs needed to build paths:
-      // - contact-level events: conv.contactId
-      // - deal-level events: conv.associatedContactIds[]
-      const neededContactIdsSet = new Set();
-      for (const conv of conversions) {
-        if (conv.contactId) neededContactIdsSet.add(String(conv.contactId));
-        for (const cId of conv.associatedContactIds || []) {
-          neededContactIdsSet.add(String(cId));
-        }
+      if (comparisonWindow) {
+        console.log(`MCF portal ${portalId}: Comparison window [${comparisonWindow.start.toISOString()} — ${comparisonWindow.end.toISOString()}]`);
+        mcfJobStatus[jobKey].message = "Analysing the comparison period...";
+        const previous = await buildMcfResult(
+          portalId, conversionType, comparisonWindow.start, comparisonWindow.end, runOptions, mcfJobStatus[jobKey]
+        );
+        result.comparison = buildMcfComparison(result, previous);
       }
-      const uniqueContactIds = [...neededContactIdsSet];
 
-      // Batch-read contacts with hs_latest_source history + display props
-      const contactsWithHistory = await batchReadObjects(
-        portalId, "contacts", uniqueContactIds,
-        ["hs_latest_source", "email", "firstname", "lastname"],
-        ["hs_latest_source"]
-      );
-
-      // Index by ID for fast lookup
-      const contactHistoryMap = {};
-      const contactDisplayMap = {};
-      for (const c of contactsWithHistory) {
-        contactHistoryMap[c.id] = c.propertiesWithHistory?.hs_latest_source || [];
-        contactDisplayMap[c.id] = {
-          email: c.properties?.email || "",
-          firstname: c.properties?.firstname || "",
-          lastname: c.properties?.lastname || "",
-        };
+      if (writeBack && result.totalConversions > 0) {
+        result.writeBack = await writeJourneyProperties(portalId, result, mcfJobStatus[jobKey]);
+        console.log(`MCF portal ${portalId}: journey write-back`, result.writeBack);
       }
 
-      // Build paths and aggregate; track eligible contacts per path
-      const pathCounts = {};
-      const eligibleContacts = [];
-      let pathsBuilt = 0;
-
-      for (const conv of conversions) {
-        const contactIdsForEvent = conv.contactId
-          ? [String(conv.contactId)]
-          : (conv.associatedContactIds || []).map((id) => String(id));
-
-        // Keep all contact paths, but do not duplicate conversion count/amount by contact.
-        // Each conversion event contributes total weight=1 and total value once.
-        const uniqueEventContacts = [...new Set(contactIdsForEvent)];
-        const eventWeight = uniqueEventContacts.length > 0 ? 1 / uniqueEventContacts.length : 1;
-        const eventValueWeight = (conv.conversionValue || 0) * eventWeight;
-
-        if (uniqueEventContacts.length === 0) {
-          const key = "UNKNOWN";
-          if (!pathCounts[key]) {
-            pathCounts[key] = { path: ["UNKNOWN"], conversions: 0, totalValue: 0, currencies: new Set() };
-          }
-          pathCounts[key].conversions += 1;
-          pathCounts[key].totalValue += conv.conversionValue || 0;
-          if (conv.currency) pathCounts[key].currencies.add(conv.currency);
-          continue;
-        }
-
-        for (const contactId of uniqueEventContacts) {
-          const sourceHistory = contactHistoryMap[contactId] || [];
-          const path = buildConversionPath(sourceHistory, conv.conversionTimestamp);
-          const key = pathToKey(path);
-
-          if (!pathCounts[key]) {
-            pathCounts[key] = { path, conversions: 0, totalValue: 0, currencies: new Set() };
-          }
-          pathCounts[key].conversions += eventWeight;
-          pathCounts[key].totalValue += eventValueWeight;
-          if (conv.currency) pathCounts[key].currencies.add(conv.currency);
-
-          const disp = contactDisplayMap[contactId] || {};
-          eligibleContacts.push({
-            contactId,
-            pathKey: key,
-            conversionTimestamp: conv.conversionTimestamp,
-            email: disp.email || "",
-            firstname: disp.firstname || "",
-            lastname: disp.lastname || "",
-          });
-
-          pathsBuilt++;
-          if (pathsBuilt % 25 === 0) {
-            mcfJobStatus[jobKey].pathsBuilt = pathsBuilt;
-            mcfJobStatus[jobKey].message = `Building paths: ${pathsBuilt} contact-path evaluations done.`;
-          }
-        }
+      if (conversionRates) {
+        mcfJobStatus[jobKey].message = "Sampling non-converting journeys for conversion rates...";
+        result.conversionRates = await buildConversionRates(portalId, result, sampleSize, mcfJobStatus[jobKey]);
       }
 
-      mcfJobStatus[jobKey].pathsBuilt = pathsBuilt;
-
-      // ━━━ Phase 3: Rank paths (no threshold filter) ━━━
-      const totalConversions = conversions.length;
-      const topPaths = Object.values(pathCounts)
-        .sort((a, b) => b.conversions - a.conversions || b.totalValue - a.totalValue)
-        .map((p) => ({
-          path: p.path,
-          pathKey: pathToKey(p.path),
-          conversions: Math.round(p.conversions * 10000) / 10000,
-          sharePct: totalConversions > 0 ? Math.round((p.conversions / totalConversions) * 10000) / 100 : 0,
-          conversionValue: Math.round(p.totalValue * 100) / 100,
-          currencies: [...p.currencies],
-        }));
-
-      const allCurrencies = new Set();
-      topPaths.forEach((p) => p.currencies.forEach((c) => allCurrencies.add(c)));
-
-      const result = {
-        paths: topPaths,
-        eligibleContacts,
-        totalConversions,
-        totalContacts: uniqueContactIds.length,
-        conversionType,
-        startDate: start.toISOString(),
-        endDate: end.toISOString(),
-        refreshedAt: new Date().toISOString(),
-        currencies: [...allCurrencies],
-        mixedCurrencies: allCurrencies.size > 1,
-        channelLabels: CHANNEL_LABELS,
-      };
-
       // Persist to file
-      const allResults = loadMcfResults();
-      allResults[`${portalId}:${conversionType}`] = result;
-      saveMcfResults(allResults);
+      updateMcfResults((allResults) => {
+        allResults[mcfResultKey(portalId, conversionType, level)] = result;
+      });
 
       mcfJobStatus[jobKey].running = false;
       mcfJobStatus[jobKey].completedAt = new Date().toISOString();
       mcfJobStatus[jobKey].result = result;
-      mcfJobStatus[jobKey].message = `Complete! ${totalConversions} first-ever conversions → ${topPaths.length} path(s) ranked.`;
+      mcfJobStatus[jobKey].message = result.totalConversions === 0
+        ? "Complete — no qualifying first-ever conversions found in the period."
+        : `Complete! ${result.totalConversions} first-ever conversions → ${result.paths.length} path(s) ranked.` +
+          (result.writeBack ? ` Journey data written to ${result.writeBack.updated} contact(s).` : "") +
+          (result.conversionRates ? ` Conversion rates include ${result.conversionRates.sampledNonConverting} sampled non-converting journeys.` : "");
 
-      console.log(`MCF portal ${portalId}: DONE — ${totalConversions} conversions, ${topPaths.length} ranked paths.`);
+      console.log(`MCF portal ${portalId}: DONE — ${result.totalConversions} conversions, ${result.paths.length} ranked paths.`);
     } catch (e) {
       console.error("MCF background error:", e);
       mcfJobStatus[jobKey].running = false;
@@ -1425,100 +3236,385 @@ app.post("/api/mcf/refresh", async (req, res) => {
   })();
 });
 
-/** GET /api/mcf/status — poll progress of running MCF job. */
-app.get("/api/mcf/status", async (req, res) => {
-  const portalId = req.query.portalId;
+/** GET /api/mcf/status — poll progress of running MCF job. */
+app.get("/api/mcf/status", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const job = mcfJobStatus[String(portalId)];
+
+  if (job?.running) {
+    return res.json({
+      success: true,
+      status: "running",
+      converting: job.converting || 0,
+      pathsBuilt: job.pathsBuilt || 0,
+      startedAt: job.startedAt,
+      conversionType: job.conversionType,
+      message: job.message || "Processing...",
+    });
+  }
+
+  if (job && !job.running) {
+    return res.json({
+      success: true,
+      status: job.error ? "error" : "completed",
+      converting: job.converting || 0,
+      pathsBuilt: job.pathsBuilt || 0,
+      completedAt: job.completedAt || null,
+      error: job.error || null,
+      conversionType: job.conversionType,
+      message: job.message || (job.error
+        ? `Error: ${job.error}`
+        : `Complete! ${job.converting || 0} first-ever conversions, ${job.pathsBuilt || 0} paths built.`),
+    });
+  }
+
+  return res.json({
+    success: true,
+    status: "idle",
+    message: "No MCF analysis running. Click Refresh to start.",
+  });
+});
+
+/** POST /api/mcf/clear-cache — clear cached MCF results for a portal so a fresh run is forced. */
+app.post("/api/mcf/clear-cache", async (req, res) => {
+  const portalId = req.query.portalId || req.body?.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+  const key = String(portalId);
+  // Clear in-memory result
+  if (mcfJobStatus[key]) {
+    delete mcfJobStatus[key].result;
+  }
+  // Clear persisted cache for this portal (all conversion types)
+  updateMcfResults((allResults) => {
+    let changed = false;
+    for (const k of Object.keys(allResults)) {
+      if (k.startsWith(`${key}:`)) {
+        delete allResults[k];
+        changed = true;
+      }
+    }
+    return changed;
+  });
+  return res.json({ success: true, message: "MCF cache cleared. Run a fresh analysis." });
+});
+
+/**
+ * Latest MCF result for a portal + conversion type + level: in-memory first (freshest), then
+ * persisted. Results saved before the key included the level are used when their level matches.
+ */
+function getCachedMcfResult(portalId, conversionType, level = "contact") {
+  const job = mcfJobStatus[String(portalId)];
+  if (job?.result && job.result.conversionType === conversionType && (job.result.level || "contact") === level) {
+    return job.result;
+  }
+  const allResults = loadMcfResults();
+  const legacy = allResults[`${portalId}:${conversionType}`];
+  return allResults[mcfResultKey(portalId, conversionType, level)] ||
+    (legacy && (legacy.level || "contact") === level ? legacy : null);
+}
+
+/** GET /api/mcf/result — fetch cached MCF results. Query: conversionType?, level? (contact | company) */
+app.get("/api/mcf/result", async (req, res) => {
+  const portalId = req.query.portalId;
+  const conversionType = req.query.conversionType || "meeting_booked";
+  const level = req.query.level || "contact";
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const cached = getCachedMcfResult(portalId, conversionType, level);
+  if (cached) {
+    return res.json({ success: true, ...cached });
+  }
+
+  return res.json({
+    success: true,
+    paths: [],
+    totalConversions: 0,
+    message: "No results available. Run a refresh first.",
+  });
+});
+
+/** GET /api/mcf/transitions — channel-to-channel flow of the cached MCF result.
+ *  Query: conversionType?, level? (contact | company), limit? (top channel transitions returned; default 20)
+ *  Returns Sankey-ready { nodes, links } (per-step nodes between ENTRY and CONVERSION)
+ *  plus the top channel pairs, each weighted by conversions and value.
+ */
+app.get("/api/mcf/transitions", async (req, res) => {
+  const portalId = req.query.portalId;
+  const conversionType = req.query.conversionType || "meeting_booked";
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+  const limit = req.query.limit == null || req.query.limit === "" ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ success: false, message: "limit must be a positive integer." });
+  }
+
+  const cached = getCachedMcfResult(portalId, conversionType, req.query.level || "contact");
+  if (!cached || !cached.totalConversions) {
+    return res.status(400).json({ success: false, message: "No MCF results with conversions available. Run a refresh first." });
+  }
+
+  const labels = cached.channelLabels || CHANNEL_LABELS;
+  const label = (state) => (state === TRANSITION_ENTRY ? "Entry" : state === TRANSITION_CONVERSION ? "Conversion" : channelLabel(state, labels));
+  const { nodes, links, transitions } = buildChannelTransitions(cached.paths);
+  return res.json({
+    success: true,
+    conversionType,
+    level: cached.level || "contact",
+    startDate: cached.startDate,
+    endDate: cached.endDate,
+    totalConversions: cached.totalConversions,
+    currencies: cached.currencies || [],
+    nodes: nodes.map((n) => ({ ...n, label: label(n.channel) })),
+    links,
+    transitions: transitions.slice(0, limit),
+    totalTransitions: transitions.length,
+    channelLabels: labels,
+  });
+});
+
+/** GET /api/mcf/export — download the cached MCF result as a spreadsheet.
+ *  Query: conversionType?, level? (contact | company), format = csv | xlsx,
+ *         dataset = paths | eligible (CSV only; default paths)
+ *  XLSX is one workbook with a Paths sheet and an Eligible contacts (or companies) sheet.
+ */
+app.get("/api/mcf/export", async (req, res) => {
+  const portalId = req.query.portalId;
+  const conversionType = req.query.conversionType || "meeting_booked";
+  const format = req.query.format || "csv";
+  const dataset = req.query.dataset || "paths";
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+  if (!["csv", "xlsx"].includes(format)) {
+    return res.status(400).json({ success: false, message: "format must be csv or xlsx." });
+  }
+  if (!["paths", "eligible"].includes(dataset)) {
+    return res.status(400).json({ success: false, message: "dataset must be paths or eligible." });
+  }
+
+  const cached = getCachedMcfResult(portalId, conversionType, req.query.level || "contact");
+  if (!cached) {
+    return res.status(400).json({ success: false, message: "No MCF results available. Run a refresh first." });
+  }
+
+  const sheets = buildMcfExportSheets(cached);
+  const baseName = `mcf-${conversionType.replace(/[^a-z0-9_-]+/gi, "-")}-${String(cached.startDate).slice(0, 10)}-${String(cached.endDate).slice(0, 10)}`;
+
+  if (format === "xlsx") {
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}.xlsx"`);
+    return res.send(buildXlsx(sheets));
+  }
+
+  const sheet = dataset === "eligible" ? sheets[1] : sheets[0];
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${baseName}-${dataset}.csv"`);
+  res.write("\uFEFF" + csvLine(sheet.columns)); // BOM so Excel reads UTF-8
+  for (const row of sheet.rows) res.write(csvLine(row));
+  return res.end();
+});
+
+// ---- Markov attribution (background job, like /api/mcf/refresh) ----
+// Sampling and the population count read up to MAX_NON_CONVERTING_SAMPLE_SIZE contact
+// histories, too slow for one request. One job per portal; the result is stored with the MCF
+// results under `${mcfResultKey(...)}:markov` and reused while the MCF result it was built
+// from (refreshedAt) and the sample size are unchanged.
+const markovJobStatus = {};
+
+function markovResultKey(portalId, conversionType, level = "contact") {
+  return `${mcfResultKey(portalId, conversionType, level)}:markov`;
+}
+
+/** Stored Markov result, if it was built from this MCF result with this sample size (else null). */
+function getCachedMarkovResult(portalId, conversionType, level, mcfResult, sampleSize) {
+  const stored = loadMcfResults()[markovResultKey(portalId, conversionType, level)];
+  if (!stored || stored.mcfRefreshedAt !== mcfResult.refreshedAt || stored.sampleSize !== sampleSize) return null;
+  return stored;
+}
+
+/**
+ * Markov removal-effect channel credit for a cached MCF result: its converting paths, plus a
+ * bounded sample of non-converting journeys (hs_latest_source up to the window end) for NULL
+ * transitions, weighted up to the estimated non-converting population.
+ */
+async function buildMarkovAttribution(portalId, cached, sampleSize, jobStatus) {
+  const start = new Date(cached.startDate);
+  const end = new Date(cached.endDate);
+  const converterIds = (cached.eligibleContacts || []).map((c) => c.contactId);
+  const { journeys, sampledContacts } = await sampleNonConvertingJourneys(
+    portalId, start, end, converterIds, sampleSize, jobStatus, cached.pathOptions || DEFAULT_PATH_OPTIONS,
+    cached.segment || null
+  );
+  jobStatus.message = "Estimating the non-converting population...";
+  const population = await countObjects(portalId, "contacts", nonConvertingCandidateFilterGroups(start, end));
+  const { nonConvertingContacts, scale } = nonConvertingSampleScale(population, converterIds.length, sampledContacts);
+
+  // NULL transitions weighted up to the non-converting population, as for conversion rates
+  const markov = computeMarkovAttribution(buildMarkovPathStats(cached.paths, journeys, scale));
+  const totalValue = (cached.paths || []).reduce((s, p) => s + (p.conversionValue || 0), 0);
+
+  const channelCredits = {};
+  for (const [channel, share] of Object.entries(markov.shares)) {
+    channelCredits[channel] = {
+      channel,
+      conversions: share * cached.totalConversions,
+      value: share * totalValue,
+    };
+  }
+  const channels = rankChannelCredits(channelCredits, cached.totalConversions).map((c) => ({
+    ...c,
+    removalEffect: Math.round(markov.removalEffects[c.channel] * 10000) / 10000,
+  }));
+
+  return {
+    model: "markov",
+    conversionType: cached.conversionType,
+    level: cached.level || "contact",
+    startDate: cached.startDate,
+    endDate: cached.endDate,
+    mcfRefreshedAt: cached.refreshedAt,
+    refreshedAt: new Date().toISOString(),
+    totalConversions: cached.totalConversions,
+    sampleSize,
+    sampledNonConverting: journeys.length,
+    nonConvertingContacts,
+    scale: Math.round(scale * 10000) / 10000,
+    conversionProbability: Math.round(markov.conversionProbability * 10000) / 10000,
+    channels,
+    transitionMatrix: {
+      states: [MARKOV_START, ...Object.keys(markov.shares), MARKOV_CONVERSION, MARKOV_NULL],
+      counts: markov.transitions.counts,
+      probabilities: markov.transitions.probabilities,
+    },
+    channelLabels: cached.channelLabels || CHANNEL_LABELS,
+  };
+}
+
+/** POST /api/mcf/attribution/markov — start a background Markov attribution job.
+ *  Body: { conversionType?, level?, sampleSize?, refresh? }
+ *  Uses the cached MCF result for the type and level (see buildMarkovAttribution). When a
+ *  stored Markov result still matches it, that is returned (status "completed") unless
+ *  body.refresh is set; otherwise poll /api/mcf/attribution/markov/status, then read
+ *  /api/mcf/attribution/markov/result.
+ */
+app.post("/api/mcf/attribution/markov", async (req, res) => {
+  const portalId = req.query.portalId || req.body?.portalId;
   if (!portalId) {
     return res.status(400).json({ success: false, message: "Missing portalId" });
   }
 
-  const job = mcfJobStatus[String(portalId)];
+  const { conversionType = "meeting_booked", level = "contact", sampleSize: rawSampleSize, refresh = false } = req.body || {};
+  let sampleSize = DEFAULT_NON_CONVERTING_SAMPLE_SIZE;
+  if (rawSampleSize != null && rawSampleSize !== "") {
+    sampleSize = Number(rawSampleSize);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > MAX_NON_CONVERTING_SAMPLE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `sampleSize must be a whole number between 1 and ${MAX_NON_CONVERTING_SAMPLE_SIZE}.`,
+      });
+    }
+  }
 
-  if (job?.running) {
+  const cached = getCachedMcfResult(portalId, conversionType, level);
+  if (!cached || !cached.totalConversions) {
+    return res.status(400).json({ success: false, message: "No MCF results with conversions available. Run a refresh first." });
+  }
+  if (cached.level === "company") {
+    return res.status(400).json({ success: false, message: "Markov attribution samples contacts, so it is available for contact-level results only." });
+  }
+
+  const jobKey = String(portalId);
+  if (markovJobStatus[jobKey]?.running) {
     return res.json({
       success: true,
       status: "running",
-      converting: job.converting || 0,
-      pathsBuilt: job.pathsBuilt || 0,
-      startedAt: job.startedAt,
-      conversionType: job.conversionType,
-      message: job.message || "Processing...",
+      message: markovJobStatus[jobKey].message || "Markov attribution already running.",
     });
   }
 
-  if (job && !job.running) {
-    return res.json({
-      success: true,
-      status: job.error ? "error" : "completed",
-      converting: job.converting || 0,
-      pathsBuilt: job.pathsBuilt || 0,
-      completedAt: job.completedAt || null,
-      error: job.error || null,
-      conversionType: job.conversionType,
-      message: job.message || (job.error
-        ? `Error: ${job.error}`
-        : `Complete! ${job.converting || 0} first-ever conversions, ${job.pathsBuilt || 0} paths built.`),
-    });
+  const stored = refresh ? null : getCachedMarkovResult(portalId, conversionType, level, cached, sampleSize);
+  if (stored) {
+    return res.json({ success: true, status: "completed", message: "Markov attribution is up to date with the MCF result.", ...stored });
   }
 
-  return res.json({
-    success: true,
-    status: "idle",
-    message: "No MCF analysis running. Click Refresh to start.",
-  });
+  markovJobStatus[jobKey] = {
+    running: true,
+    startedAt: new Date().toISOString(),
+    conversionType,
+    level,
+    message: "Starting Markov attribution...",
+  };
+  res.json({ success: true, status: "started", message: "Markov attribution started." });
+
+  (async () => {
+    try {
+      const result = await buildMarkovAttribution(portalId, cached, sampleSize, markovJobStatus[jobKey]);
+
+      updateMcfResults((allResults) => {
+        allResults[markovResultKey(portalId, conversionType, level)] = result;
+      });
+
+      markovJobStatus[jobKey].running = false;
+      markovJobStatus[jobKey].completedAt = new Date().toISOString();
+      markovJobStatus[jobKey].message =
+        `Complete! ${result.channels.length} channel(s) credited, with ${result.sampledNonConverting} sampled non-converting journeys.`;
+    } catch (e) {
+      console.error("Markov attribution background error:", e);
+      markovJobStatus[jobKey].running = false;
+      markovJobStatus[jobKey].error = e.message;
+      markovJobStatus[jobKey].message = `Markov attribution failed: ${e.message}`;
+    }
+  })();
 });
 
-/** POST /api/mcf/clear-cache — clear cached MCF results for a portal so a fresh run is forced. */
-app.post("/api/mcf/clear-cache", async (req, res) => {
-  const portalId = req.query.portalId || req.body?.portalId;
+/** GET /api/mcf/attribution/markov/status — poll progress of the Markov attribution job. */
+app.get("/api/mcf/attribution/markov/status", async (req, res) => {
+  const portalId = req.query.portalId;
   if (!portalId) {
     return res.status(400).json({ success: false, message: "Missing portalId" });
   }
-  const key = String(portalId);
-  // Clear in-memory result
-  if (mcfJobStatus[key]) {
-    delete mcfJobStatus[key].result;
-  }
-  // Clear persisted cache for this portal (all conversion types)
-  const allResults = loadMcfResults();
-  let changed = false;
-  for (const k of Object.keys(allResults)) {
-    if (k.startsWith(`${key}:`)) {
-      delete allResults[k];
-      changed = true;
-    }
-  }
-  if (changed) saveMcfResults(allResults);
-  return res.json({ success: true, message: "MCF cache cleared. Run a fresh analysis." });
+
+  const job = markovJobStatus[String(portalId)];
+  if (!job) return res.json({ success: true, status: "idle" });
+  if (job.running) return res.json({ success: true, status: "running", message: job.message || "Processing..." });
+  if (job.error) return res.json({ success: true, status: "error", error: job.error, message: job.message });
+  return res.json({
+    success: true,
+    status: "completed",
+    completedAt: job.completedAt,
+    conversionType: job.conversionType,
+    level: job.level,
+    message: job.message,
+  });
 });
 
-/** GET /api/mcf/result — fetch cached MCF results. */
-app.get("/api/mcf/result", async (req, res) => {
+/** GET /api/mcf/attribution/markov/result — the stored Markov attribution. Query: conversionType?, level? */
+app.get("/api/mcf/attribution/markov/result", async (req, res) => {
   const portalId = req.query.portalId;
   const conversionType = req.query.conversionType || "meeting_booked";
+  const level = req.query.level || "contact";
   if (!portalId) {
     return res.status(400).json({ success: false, message: "Missing portalId" });
   }
 
-  // Check in-memory first (freshest)
-  const job = mcfJobStatus[String(portalId)];
-  if (job?.result && job.result.conversionType === conversionType) {
-    return res.json({ success: true, ...job.result });
-  }
-
-  // Fall back to persisted results
-  const allResults = loadMcfResults();
-  const cached = allResults[`${portalId}:${conversionType}`];
-
-  if (cached) {
-    return res.json({ success: true, ...cached });
+  const result = loadMcfResults()[markovResultKey(portalId, conversionType, level)];
+  if (result) {
+    return res.json({ success: true, ...result });
   }
 
   return res.json({
     success: true,
-    paths: [],
-    totalConversions: 0,
-    message: "No results available. Run a refresh first.",
+    channels: [],
+    message: "No Markov attribution available. Start one first.",
   });
 });
 
@@ -1539,8 +3635,8 @@ app.post("/api/mcf/debug-conversions", async (req, res) => {
     offset = 0,
   } = req.body || {};
 
-  if (conversionType !== "meeting_booked") {
-    return res.status(400).json({ success: false, message: "Only meeting_booked is supported." });
+  if (!isValidConversionType(portalId, conversionType)) {
+    return res.status(400).json({ success: false, message: `Unsupported conversion type: ${conversionType}` });
   }
 
   const parsedWindow = parseMcfWindow(startDate, endDate);
@@ -1562,9 +3658,12 @@ app.post("/api/mcf/debug-conversions", async (req, res) => {
       debugStatus
     );
 
-    const ordered = [...conversions].sort((a, b) => {
+    const currencySettings = getCurrencySettings(portalId);
+    const normalized = normalizeConversionCurrencies(conversions, currencySettings);
+    const ordered = [...normalized.conversions].sort((a, b) => {
       return Number(a.conversionTimestamp || 0) - Number(b.conversionTimestamp || 0);
     });
+    const reportingCurrency = currencySettings.reportingCurrency;
 
     const paged = ordered.slice(safeOffset, safeOffset + safeLimit);
     const rows = paged.map((c) => ({
@@ -1575,20 +3674,34 @@ app.post("/api/mcf/debug-conversions", async (req, res) => {
       associatedContactIds: (c.associatedContactIds || []).map((id) => String(id)),
       conversionTimestamp: Number(c.conversionTimestamp || 0),
       conversionDateIso: new Date(Number(c.conversionTimestamp || 0)).toISOString(),
-      amount: Number(c.conversionValue || 0),
-      currency: c.currency || null,
+      amount: Number((c.originalValue !== undefined ? c.originalValue : c.conversionValue) || 0),
+      currency: (c.originalCurrency !== undefined ? c.originalCurrency : c.currency) || null,
+      normalizedAmount: reportingCurrency && c.currency === reportingCurrency
+        ? Math.round(Number(c.conversionValue || 0) * 100) / 100
+        : null,
     }));
 
+    // currencyTotals[cur] is the original amount per currency; normalizedCurrencyTotals[cur] the
+    // same in the reporting currency (null when no reporting currency is set or no rate applies)
     const totals = ordered.reduce(
       (acc, c) => {
-        const amount = Number(c.conversionValue || 0);
-        acc.totalAmount += amount;
-        const cur = c.currency || "NONE";
-        acc.currencyTotals[cur] = (acc.currencyTotals[cur] || 0) + amount;
+        const raw = Number((c.originalValue !== undefined ? c.originalValue : c.conversionValue) || 0);
+        acc.totalAmount += raw;
+        const cur = (c.originalCurrency !== undefined ? c.originalCurrency : c.currency) || "NONE";
+        acc.currencyTotals[cur] = (acc.currencyTotals[cur] || 0) + raw;
+        if (!(cur in acc.normalizedCurrencyTotals)) acc.normalizedCurrencyTotals[cur] = null;
+        if (reportingCurrency && c.currency === reportingCurrency) {
+          const value = Number(c.conversionValue || 0);
+          acc.normalizedCurrencyTotals[cur] = (acc.normalizedCurrencyTotals[cur] || 0) + value;
+          acc.normalizedTotalAmount += value;
+        }
         return acc;
       },
-      { totalAmount: 0, currencyTotals: {} }
+      { totalAmount: 0, normalizedTotalAmount: 0, currencyTotals: {}, normalizedCurrencyTotals: {} }
     );
+    for (const [cur, value] of Object.entries(totals.normalizedCurrencyTotals)) {
+      if (value != null) totals.normalizedCurrencyTotals[cur] = Math.round(value * 100) / 100;
+    }
 
     return res.json({
       success: true,
@@ -1600,7 +3713,11 @@ app.post("/api/mcf/debug-conversions", async (req, res) => {
       offset: safeOffset,
       limit: safeLimit,
       totalAmount: Math.round(totals.totalAmount * 100) / 100,
+      reportingCurrency,
+      normalizedTotalAmount: reportingCurrency ? Math.round(totals.normalizedTotalAmount * 100) / 100 : null,
+      missingRates: normalized.missingRates,
       currencyTotals: totals.currencyTotals,
+      normalizedCurrencyTotals: totals.normalizedCurrencyTotals,
       message: debugStatus.message || "OK",
       conversions: rows,
     });
@@ -1763,9 +3880,343 @@ app.post("/api/mcf/debug-contact", async (req, res) => {
   });
 });
 
-/** GET /api/mcf/conversion-types — returns available conversion type options. */
-app.get("/api/mcf/conversion-types", async (_req, res) => {
-  return res.json({ success: true, conversionTypes: CONVERSION_TYPE_OPTIONS });
+/** GET /api/mcf/conversion-types — returns available conversion type options
+ *  (built-in types plus the portal's custom definitions when portalId is given).
+ */
+app.get("/api/mcf/conversion-types", async (req, res) => {
+  return res.json({ success: true, conversionTypes: getConversionTypeOptions(req.query.portalId) });
+});
+
+// ================================================================
+// MCF CUSTOM CONVERSION DEFINITIONS (CRUD)
+// "contact property X first became value Y" or "date property Z first set".
+// Used as conversion type "custom:<id>" in /api/mcf/refresh.
+// ================================================================
+
+/** Drop cached MCF results for one conversion type (definition changed or removed). */
+function clearMcfResultsForType(portalId, conversionType) {
+  const job = mcfJobStatus[String(portalId)];
+  if (job?.result?.conversionType === conversionType) delete job.result;
+  updateMcfResults((allResults) => {
+    const keys = [
+      `${portalId}:${conversionType}`,
+      mcfResultKey(portalId, conversionType, "contact"),
+      mcfResultKey(portalId, conversionType, "company"),
+      markovResultKey(portalId, conversionType, "contact"),
+    ].filter((key) => allResults[key]);
+    keys.forEach((key) => delete allResults[key]);
+    return keys.length > 0;
+  });
+}
+
+app.get("/api/mcf/conversion-definitions", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+  return res.json({ success: true, definitions: getConversionDefinitions(portalId) });
+});
+
+app.post("/api/mcf/conversion-definitions", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const validated = validateConversionDefinition(req.body);
+  if (validated.error) {
+    return res.status(400).json({ success: false, message: validated.error });
+  }
+
+  const now = new Date().toISOString();
+  const definition = { id: crypto.randomUUID(), ...validated.definition, createdAt: now, updatedAt: now };
+  saveConversionDefinitions(portalId, [...getConversionDefinitions(portalId), definition]);
+
+  return res.json({ success: true, message: `Created conversion "${definition.label}".`, definition });
+});
+
+app.put("/api/mcf/conversion-definitions/:id", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const definitions = getConversionDefinitions(portalId);
+  const idx = definitions.findIndex((d) => d.id === req.params.id);
+  if (idx === -1) {
+    return res.status(404).json({ success: false, message: "Conversion definition not found" });
+  }
+
+  const validated = validateConversionDefinition(req.body);
+  if (validated.error) {
+    return res.status(400).json({ success: false, message: validated.error });
+  }
+
+  const { createdAt, id } = definitions[idx];
+  const definition = { id, ...validated.definition, createdAt, updatedAt: new Date().toISOString() };
+  definitions[idx] = definition;
+  saveConversionDefinitions(portalId, definitions);
+  clearMcfResultsForType(portalId, `custom:${id}`);
+
+  return res.json({ success: true, message: `Updated conversion "${definition.label}". Run MCF again to refresh its paths.`, definition });
+});
+
+app.delete("/api/mcf/conversion-definitions/:id", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const definitions = getConversionDefinitions(portalId);
+  const remaining = definitions.filter((d) => d.id !== req.params.id);
+  if (remaining.length === definitions.length) {
+    return res.status(404).json({ success: false, message: "Conversion definition not found" });
+  }
+
+  saveConversionDefinitions(portalId, remaining);
+  clearMcfResultsForType(portalId, `custom:${req.params.id}`);
+
+  return res.json({ success: true, message: "Conversion definition deleted." });
+});
+
+/** GET /api/mcf/attribution-models — returns available attribution model options. */
+app.get("/api/mcf/attribution-models", async (_req, res) => {
+  return res.json({
+    success: true,
+    attributionModels: ATTRIBUTION_MODEL_OPTIONS,
+    defaultModel: DEFAULT_ATTRIBUTION_MODEL,
+    defaultHalfLifeDays: DEFAULT_TIME_DECAY_HALF_LIFE_DAYS,
+  });
+});
+
+// ================================================================
+// MCF CURRENCY SETTINGS
+// Reporting currency + exchange-rate table used to normalize conversion values.
+// Manual entry (PUT) or CSV import ("currency,rate[,effectiveDate]").
+// Cached results keep the rates they were built with; run MCF again to apply changes.
+// ================================================================
+
+app.get("/api/mcf/currency-settings", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+  return res.json({ success: true, ...getCurrencySettings(portalId) });
+});
+
+app.put("/api/mcf/currency-settings", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const validated = validateCurrencySettings(req.body);
+  if (validated.error) {
+    return res.status(400).json({ success: false, message: validated.error });
+  }
+
+  saveCurrencySettings(portalId, validated.settings);
+  return res.json({
+    success: true,
+    message: "Currency settings saved. Run MCF again to apply them.",
+    ...getCurrencySettings(portalId),
+  });
+});
+
+/** POST /api/mcf/currency-settings/import — body: { csv, reportingCurrency?, replace? }.
+ *  Imported rates are merged into the table (same currency + date replaced) unless replace is true.
+ */
+app.post("/api/mcf/currency-settings/import", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const { csv, reportingCurrency, replace = false } = req.body || {};
+  const parsed = parseExchangeRateCsv(csv);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
+  }
+
+  const current = getCurrencySettings(portalId);
+  const validated = validateCurrencySettings({
+    reportingCurrency: reportingCurrency != null ? reportingCurrency : current.reportingCurrency,
+    rates: replace ? parsed.rates : [...current.rates, ...parsed.rates],
+  });
+  if (validated.error) {
+    return res.status(400).json({ success: false, message: validated.error });
+  }
+
+  saveCurrencySettings(portalId, validated.settings);
+  return res.json({
+    success: true,
+    message: `Imported ${parsed.rates.length} exchange rate(s). Run MCF again to apply them.`,
+    ...getCurrencySettings(portalId),
+  });
+});
+
+// ================================================================
+// REVENUE ATTRIBUTION
+// Splits each closed-won deal's amount across the channels in its associated contacts'
+// hs_latest_source history (up to the close date) under a rule-based attribution model.
+// The deal is shared equally between its contacts; each contact's share is split across
+// their touchpoints by the model. Totals per channel and per close month (UTC), in the
+// reporting currency when currency settings exist. Stored with the MCF results under
+// `${portalId}:revenue_attribution`.
+// ================================================================
+const REVENUE_RESULT_KEY = "revenue_attribution";
+const revenueJobStatus = {};
+
+/** Find closed-won deals in the window, read their contacts' histories and attribute the revenue. */
+async function buildRevenueAttribution(portalId, start, end, attributionModel, attributionOptions, jobStatus) {
+  jobStatus.message = "Step 1/3: Searching for closed-won deals in reporting period...";
+  const found = await searchClosedWonDeals(portalId, start, end);
+
+  jobStatus.message = `Step 2/3: Found ${found.length} closed-won deals. Getting associated contacts (batch)...`;
+  const dealAssocs = found.length > 0
+    ? await batchGetAssociations(portalId, "deals", found.map((d) => String(d.id)), "contacts")
+    : {};
+  const deals = found.map((d) => {
+    const amount = parseFloat(d.properties?.amount);
+    return {
+      dealId: String(d.id),
+      conversionTimestamp: new Date(d.properties?.closedate).getTime(),
+      conversionValue: Number.isFinite(amount) ? amount : 0,
+      currency: d.properties?.deal_currency_code || null,
+      contactIds: (dealAssocs[String(d.id)] || []).map(String),
+    };
+  });
+
+  const currencySettings = getCurrencySettings(portalId);
+  const { conversions, missingRates } = normalizeConversionCurrencies(deals, currencySettings);
+
+  const contactIds = [...new Set(conversions.flatMap((d) => d.contactIds))];
+  jobStatus.message = `Step 3/3: Reading traffic source history for ${contactIds.length} contacts...`;
+  const { contacts } = await readContactsWithHistoryCached(
+    portalId, contactIds, ["hs_latest_source"], ["hs_latest_source"], jobStatus
+  );
+  const historyByContact = {};
+  for (const c of contacts) historyByContact[String(c.id)] = sourceHistoryForPath(c.propertiesWithHistory);
+
+  const currencies = [...new Set(conversions.map((d) => d.currency).filter(Boolean))];
+  return {
+    ...attributeDealRevenue(conversions, historyByContact, attributionModel, attributionOptions, getMarketingSources(portalId)),
+    startDate: start.toISOString(),
+    endDate: end.toISOString(),
+    refreshedAt: new Date().toISOString(),
+    attribution: { model: attributionModel, options: attributionOptions },
+    currencies,
+    mixedCurrencies: currencies.length > 1,
+    reportingCurrency: currencySettings.reportingCurrency || null,
+    missingRates,
+    unconvertedTotals: unconvertedCurrencyTotals(conversions),
+    channelLabels: CHANNEL_LABELS,
+  };
+}
+
+/** POST /api/revenue-attribution/refresh — start a background revenue attribution job.
+ *  body: startDate, endDate, model (rule-based models only), halfLifeDays (time_decay).
+ */
+app.post("/api/revenue-attribution/refresh", async (req, res) => {
+  const portalId = req.query.portalId || req.body?.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const { startDate, endDate, model, halfLifeDays } = req.body || {};
+  const parsedWindow = parseMcfWindow(startDate, endDate);
+  if (parsedWindow.error) {
+    return res.status(400).json({ success: false, message: parsedWindow.error });
+  }
+  const { start, end } = parsedWindow;
+
+  const parsedModel = parseAttributionModel(model, halfLifeDays);
+  if (parsedModel.error) {
+    return res.status(400).json({ success: false, message: parsedModel.error });
+  }
+  if (parsedModel.model === "shapley") {
+    return res.status(400).json({
+      success: false,
+      message: "Shapley value credits channel combinations across all conversions, so it is not available for revenue attribution.",
+    });
+  }
+
+  const jobKey = String(portalId);
+  if (revenueJobStatus[jobKey]?.running) {
+    return res.json({
+      success: true,
+      status: "running",
+      message: revenueJobStatus[jobKey].message || "Revenue attribution already running.",
+    });
+  }
+
+  revenueJobStatus[jobKey] = {
+    running: true,
+    startedAt: new Date().toISOString(),
+    model: parsedModel.model,
+    startDate: start.toISOString(),
+    endDate: end.toISOString(),
+    message: "Starting revenue attribution...",
+  };
+  res.json({ success: true, status: "started", message: "Revenue attribution started." });
+
+  (async () => {
+    try {
+      const result = await buildRevenueAttribution(
+        portalId, start, end, parsedModel.model, parsedModel.options, revenueJobStatus[jobKey]
+      );
+
+      updateMcfResults((allResults) => {
+        allResults[`${portalId}:${REVENUE_RESULT_KEY}`] = result;
+      });
+
+      revenueJobStatus[jobKey].running = false;
+      revenueJobStatus[jobKey].completedAt = new Date().toISOString();
+      revenueJobStatus[jobKey].message = result.totalDeals === 0
+        ? "Complete — no closed-won deals found in the period."
+        : `Complete! ${result.totalDeals} closed-won deal(s) attributed across ${result.channels.length} channel(s).`;
+    } catch (e) {
+      console.error("Revenue attribution background error:", e);
+      revenueJobStatus[jobKey].running = false;
+      revenueJobStatus[jobKey].error = e.message;
+      revenueJobStatus[jobKey].message = `Error: ${e.message}`;
+    }
+  })();
+});
+
+/** GET /api/revenue-attribution/status — poll progress of the revenue attribution job. */
+app.get("/api/revenue-attribution/status", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const job = revenueJobStatus[String(portalId)];
+  if (!job) return res.json({ success: true, status: "idle" });
+  if (job.running) return res.json({ success: true, status: "running", message: job.message || "Processing..." });
+  if (job.error) return res.json({ success: true, status: "error", error: job.error, message: job.message });
+  return res.json({ success: true, status: "completed", completedAt: job.completedAt, message: job.message });
+});
+
+/** GET /api/revenue-attribution/result — the last stored revenue attribution. */
+app.get("/api/revenue-attribution/result", async (req, res) => {
+  const portalId = req.query.portalId;
+  if (!portalId) {
+    return res.status(400).json({ success: false, message: "Missing portalId" });
+  }
+
+  const result = loadMcfResults()[`${portalId}:${REVENUE_RESULT_KEY}`];
+  if (result) {
+    return res.json({ success: true, ...result });
+  }
+
+  return res.json({
+    success: true,
+    channels: [],
+    months: [],
+    totalDeals: 0,
+    message: "No results available. Run a refresh first.",
+  });
 });
 
 // ================================================================
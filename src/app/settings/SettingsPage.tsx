@@ -17,6 +17,10 @@ import {
   TableFooter,
   Select,
   DateInput,
+  NumberInput,
+  Checkbox,
+  Input,
+  TextArea,
   Link,
 } from "@hubspot/ui-extensions";
 import { hubspot } from "@hubspot/ui-extensions";
@@ -36,6 +40,104 @@ type McfPath = {
   sharePct?: number;
   conversionValue: number;
   currencies: string[];
+  valueByCurrency?: Record<string, number>;
+};
+
+type McfChannelCredit = {
+  channel: string;
+  conversions: number;
+  sharePct: number;
+  conversionValue: number;
+  valueByCurrency?: Record<string, number>;
+};
+
+type McfAttribution = {
+  model: string;
+  options?: { halfLifeDays?: number };
+  channels: McfChannelCredit[];
+};
+
+type McfAssistedChannel = {
+  channel: string;
+  lastConversions: number;
+  lastValue: number;
+  assistedConversions: number;
+  assistedValue: number;
+  firstConversions: number;
+  firstValue: number;
+  assistedLastRatio: number | null;
+};
+
+type McfTransition = {
+  from: string;
+  to: string;
+  conversions: number;
+  value: number;
+};
+
+type McfSegmentPropertyFilter = { property: string; operator: string; value?: string };
+
+type McfSegment = {
+  lifecycleStage?: string;
+  ownerId?: string;
+  listId?: string;
+  properties?: McfSegmentPropertyFilter[];
+};
+
+type McfExchangeRate = { currency: string; rate: number; effectiveDate: string | null };
+
+type McfCurrencyNormalization = {
+  reportingCurrency: string;
+  rates: McfExchangeRate[];
+  missingRates: (string | null)[];
+  originalTotals: Record<string, number>;
+  unconvertedTotals?: Record<string, number>;
+};
+
+type McfPeriodValue = { conversions: number; sharePct: number };
+
+type McfComparisonRow = {
+  path?: string[];
+  pathKey?: string;
+  channel?: string;
+  current: McfPeriodValue;
+  previous: McfPeriodValue;
+  change: number;
+  changePct: number | null;
+};
+
+type McfComparison = {
+  startDate: string;
+  endDate: string;
+  totalConversions: number;
+  change: number;
+  changePct: number | null;
+  paths: McfComparisonRow[];
+  channels: McfComparisonRow[];
+};
+
+type McfBucket = {
+  label: string;
+  conversions: number;
+  sharePct: number;
+  conversionValue: number;
+};
+
+type McfPathOptions = {
+  lookbackDays: number | null;
+  collapseRepeats: boolean;
+  maxPathLength: number | null;
+  truncate: "head" | "tail";
+  ignoreDirect: boolean;
+  drillDown?: boolean;
+  channelGroups?: boolean;
+};
+
+/** One channel group rule as edited in the form (data 1 values comma separated). */
+type ChannelGroupRule = {
+  label: string;
+  sources: string[];
+  data1: string;
 };
 
 type McfEligibleContact = {
@@ -45,11 +147,56 @@ type McfEligibleContact = {
   email: string;
   firstname: string;
   lastname: string;
+  firstTouch?: string | null;
+  lastTouch?: string | null;
+  touchpoints?: number;
+  daysToConversion?: number | null;
+};
+
+type McfWriteBack = {
+  contacts: number;
+  updated: number;
+  failed: number;
+  conversionType: string;
+  writtenAt: string;
+};
+
+type McfConversionRateRow = {
+  journeys: number;
+  conversions: number;
+  conversionRatePct: number;
+};
+
+type McfConversionRates = {
+  sampleSize: number;
+  sampledContacts: number;
+  sampledNonConverting: number;
+  nonConvertingContacts: number;
+  scale: number;
+  paths: (McfConversionRateRow & { path: string[]; pathKey: string; nonConverting: number; sampledNonConverting: number })[];
+  channels: (McfConversionRateRow & { channel: string })[];
+};
+
+type McfEligibleCompany = {
+  companyId: string;
+  name: string;
+  domain: string;
+  pathKey: string;
+  conversionTimestamp?: number;
+  contactCount: number;
+};
+
+type McfCacheStats = {
+  conversionRangesFetched: { startDate: string; endDate: string }[];
+  contactsFromCache: number;
+  contactsFetched: number;
 };
 
 type McfResult = {
   paths: McfPath[];
   eligibleContacts?: McfEligibleContact[];
+  eligibleCompanies?: McfEligibleCompany[];
+  level?: "contact" | "company";
   totalConversions: number;
   totalContacts: number;
   conversionType: string;
@@ -59,6 +206,50 @@ type McfResult = {
   currencies: string[];
   mixedCurrencies: boolean;
   channelLabels?: Record<string, string>;
+  attribution?: McfAttribution;
+  pathOptions?: McfPathOptions;
+  assisted?: McfAssistedChannel[];
+  timeLag?: McfBucket[];
+  pathLength?: McfBucket[];
+  comparison?: McfComparison;
+  segment?: McfSegment | null;
+  currencyNormalization?: McfCurrencyNormalization | null;
+  cache?: McfCacheStats;
+  writeBack?: McfWriteBack;
+  conversionRates?: McfConversionRates;
+};
+
+type RevenueChannel = {
+  channel: string;
+  marketing: boolean;
+  deals: number;
+  revenue: number;
+  sharePct: number;
+};
+
+type RevenueMonth = {
+  month: string;
+  deals: number;
+  revenue: number;
+  channels: Record<string, number>;
+};
+
+type RevenueAttribution = {
+  totalDeals: number;
+  totalRevenue: number;
+  marketingRevenue: number;
+  marketingSharePct: number;
+  channels: RevenueChannel[];
+  months: RevenueMonth[];
+  startDate: string;
+  endDate: string;
+  refreshedAt: string;
+  attribution: McfAttribution;
+  currencies: string[];
+  mixedCurrencies: boolean;
+  reportingCurrency: string | null;
+  missingRates: string[];
+  unconvertedTotals?: Record<string, number>;
 };
 
 type DateVal = { year: number; month: number; date: number };
@@ -95,8 +286,72 @@ const CHANNEL_TAG_VARIANT: Record<string, "default" | "success" | "warning" | "d
 
 const MCF_CONVERSION_TYPES = [
   { label: "First-ever meeting", value: "meeting_booked" },
+  { label: "First closed-won deal", value: "deal_won" },
+  { label: "First-ever form submission", value: "form_submission" },
+  { label: "First became Lead", value: "lifecycle_stage:lead" },
+  { label: "First became Marketing Qualified Lead", value: "lifecycle_stage:marketingqualifiedlead" },
+  { label: "First became Sales Qualified Lead", value: "lifecycle_stage:salesqualifiedlead" },
+  { label: "First became Opportunity", value: "lifecycle_stage:opportunity" },
+  { label: "First became Customer", value: "lifecycle_stage:customer" },
+];
+const MCF_ATTRIBUTION_MODELS = [
+  { label: "Last touch", value: "last_touch" },
+  { label: "First touch", value: "first_touch" },
+  { label: "Linear", value: "linear" },
+  { label: "Time decay", value: "time_decay" },
+  { label: "Position-based (40/20/40)", value: "position_based" },
+  { label: "Shapley value", value: "shapley" },
+];
+const MCF_DEFAULT_HALF_LIFE_DAYS = 7;
+const CONTRIBUTION_DEFAULT_HALF_LIFE_DAYS = 90;
+// Shapley credits channel combinations across conversions, not individual deals
+const REVENUE_ATTRIBUTION_MODELS = MCF_ATTRIBUTION_MODELS.filter((m) => m.value !== "shapley");
+const REVENUE_MONTH_CHANNELS = 5; // top channels shown as columns in the monthly table
+const MCF_LOOKBACK_OPTIONS = [
+  { label: "All history", value: "" },
+  { label: "30 days", value: "30" },
+  { label: "60 days", value: "60" },
+  { label: "90 days", value: "90" },
+];
+const MCF_TRUNCATE_OPTIONS = [
+  { label: "Keep last touchpoints (… › A › B)", value: "head" },
+  { label: "Keep first touchpoints (A › B › …)", value: "tail" },
+];
+const MCF_TRUNCATION_MARKER = "…";
+const MCF_SEGMENT_LIFECYCLE_OPTIONS = [
+  { label: "Any lifecycle stage", value: "" },
+  { label: "Subscriber", value: "subscriber" },
+  { label: "Lead", value: "lead" },
+  { label: "Marketing Qualified Lead", value: "marketingqualifiedlead" },
+  { label: "Sales Qualified Lead", value: "salesqualifiedlead" },
+  { label: "Opportunity", value: "opportunity" },
+  { label: "Customer", value: "customer" },
+  { label: "Evangelist", value: "evangelist" },
+];
+const MCF_SEGMENT_OPERATORS = [
+  { label: "is", value: "eq" },
+  { label: "is not", value: "neq" },
+  { label: "contains", value: "contains" },
+  { label: "greater than", value: "gt" },
+  { label: "less than", value: "lt" },
+  { label: "is known", value: "has_property" },
+  { label: "is unknown", value: "not_has_property" },
+];
+const MCF_LEVEL_OPTIONS = [
+  { label: "Contacts", value: "contact" },
+  { label: "Companies (account-based)", value: "company" },
 ];
-const MCF_MAX_RANGE_DAYS = 183; // max start date = 6 months ago
+const MCF_COMPANY_CONVERSION_TYPES = ["meeting_booked", "deal_won"];
+const MCF_COMPARE_OPTIONS = [
+  { label: "No comparison", value: "none" },
+  { label: "Previous period (same length)", value: "previous_period" },
+  { label: "Custom period", value: "custom" },
+];
+const MCF_MAX_RANGE_DAYS = 731; // max start date = 2 years ago
+const MCF_TOP_TRANSITIONS = 10;
+const MCF_DEFAULT_SAMPLE_SIZE = 200;
+const MCF_MAX_SAMPLE_SIZE = 2000;
+const MCF_TOP_CONVERSION_RATE_PATHS = 15;
 
 function toDateVal(d: Date): DateVal {
   return { year: d.getFullYear(), month: d.getMonth(), date: d.getDate() };
@@ -122,6 +377,22 @@ const SettingsPage = ({ context }: AnyObj) => {
   const [sourcesLoading, setSourcesLoading] = useState(true);
   const [sourcesMessage, setSourcesMessage] = useState("");
   const [sourcesSaving, setSourcesSaving] = useState(false);
+  const [groupSources, setGroupSources] = useState<SourceOption[]>([]);
+  const [contributionModes, setContributionModes] = useState<SourceOption[]>([]);
+  const [contributionMode, setContributionMode] = useState("count");
+  const [useCutoffDate, setUseCutoffDate] = useState(false);
+  const [cutoffDate, setCutoffDate] = useState<DateVal>(toDateVal(new Date()));
+  const [contributionHalfLifeDays, setContributionHalfLifeDays] = useState<number>(CONTRIBUTION_DEFAULT_HALF_LIFE_DAYS);
+  const [channelShareProperties, setChannelShareProperties] = useState(false);
+  const [channelShareSources, setChannelShareSources] = useState<string[]>([]);
+  const [rollupModes, setRollupModes] = useState<SourceOption[]>([]);
+  const [rollupMode, setRollupMode] = useState("off");
+
+  // --- Channel groups state ---
+  const [channelGroups, setChannelGroups] = useState<ChannelGroupRule[]>([]);
+  const [channelGroupFallback, setChannelGroupFallback] = useState("");
+  const [channelGroupsSaving, setChannelGroupsSaving] = useState(false);
+  const [channelGroupsMessage, setChannelGroupsMessage] = useState("");
 
   // --- Log state ---
   const [lastAnalysisRun, setLastAnalysisRun] = useState<string | null>(null);
@@ -132,16 +403,58 @@ const SettingsPage = ({ context }: AnyObj) => {
   // --- MCF (Paths) state ---
   const now = new Date();
   const [mcfConversionType, setMcfConversionType] = useState("meeting_booked");
+  const [mcfConversionTypes, setMcfConversionTypes] = useState<SourceOption[]>(MCF_CONVERSION_TYPES);
   const [mcfStartDate, setMcfStartDate] = useState<DateVal>(
     toDateVal(new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000))
   );
   const [mcfEndDate, setMcfEndDate] = useState<DateVal>(toDateVal(now));
+  const [mcfModel, setMcfModel] = useState("last_touch");
+  const [mcfLevel, setMcfLevel] = useState<"contact" | "company">("contact");
+  const [mcfHalfLifeDays, setMcfHalfLifeDays] = useState<number>(MCF_DEFAULT_HALF_LIFE_DAYS);
+  const [mcfLookbackDays, setMcfLookbackDays] = useState("");
+  const [mcfCollapseRepeats, setMcfCollapseRepeats] = useState(true);
+  const [mcfMaxPathLength, setMcfMaxPathLength] = useState<number>(0);
+  const [mcfTruncate, setMcfTruncate] = useState<"head" | "tail">("head");
+  const [mcfIgnoreDirect, setMcfIgnoreDirect] = useState(false);
+  const [mcfDrillDown, setMcfDrillDown] = useState(false);
+  const [mcfChannelGroups, setMcfChannelGroups] = useState(false);
+  const [mcfWriteBack, setMcfWriteBack] = useState(false);
+  const [mcfConversionRates, setMcfConversionRates] = useState(false);
+  const [mcfSampleSize, setMcfSampleSize] = useState<number>(MCF_DEFAULT_SAMPLE_SIZE);
+  const [mcfSegmentLifecycle, setMcfSegmentLifecycle] = useState("");
+  const [mcfSegmentOwnerId, setMcfSegmentOwnerId] = useState("");
+  const [mcfSegmentListId, setMcfSegmentListId] = useState("");
+  const [mcfSegmentProperties, setMcfSegmentProperties] = useState<McfSegmentPropertyFilter[]>([]);
+  const [mcfReportingCurrency, setMcfReportingCurrency] = useState("");
+  const [mcfRatesCsv, setMcfRatesCsv] = useState("");
+  const [mcfCurrencySaving, setMcfCurrencySaving] = useState(false);
+  const [mcfCurrencyMessage, setMcfCurrencyMessage] = useState("");
+  const [mcfCompare, setMcfCompare] = useState<"none" | "previous_period" | "custom">("none");
+  const [mcfCompareStartDate, setMcfCompareStartDate] = useState<DateVal>(
+    toDateVal(new Date(now.getTime() - 180 * 24 * 60 * 60 * 1000))
+  );
+  const [mcfCompareEndDate, setMcfCompareEndDate] = useState<DateVal>(
+    toDateVal(new Date(now.getTime() - 91 * 24 * 60 * 60 * 1000))
+  );
   const [mcfRunning, setMcfRunning] = useState(false);
   const [mcfMessage, setMcfMessage] = useState("");
   const [mcfResult, setMcfResult] = useState<McfResult | null>(null);
   const [mcfLoadingResult, setMcfLoadingResult] = useState(false);
+  const [mcfTransitions, setMcfTransitions] = useState<McfTransition[]>([]);
   const mcfPollingRef = useRef(false);
 
+  // --- Revenue attribution state ---
+  const [revenueStartDate, setRevenueStartDate] = useState<DateVal>(
+    toDateVal(new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000))
+  );
+  const [revenueEndDate, setRevenueEndDate] = useState<DateVal>(toDateVal(now));
+  const [revenueModel, setRevenueModel] = useState("linear");
+  const [revenueHalfLifeDays, setRevenueHalfLifeDays] = useState<number>(MCF_DEFAULT_HALF_LIFE_DAYS);
+  const [revenueRunning, setRevenueRunning] = useState(false);
+  const [revenueMessage, setRevenueMessage] = useState("");
+  const [revenueResult, setRevenueResult] = useState<RevenueAttribution | null>(null);
+  const revenuePollingRef = useRef(false);
+
   // ========================================
   // On mount: load sources + check job status
   // ========================================
@@ -162,7 +475,19 @@ const SettingsPage = ({ context }: AnyObj) => {
       const data = await resp.json();
       if (data.success) {
         setAllSources(data.allSources || []);
+        setGroupSources(
+          (data.channelGroups || []).map((g: SourceOption) => ({ value: g.value, label: `Group: ${g.label}` }))
+        );
         setSelectedSources(data.selectedSources || []);
+        setContributionModes(data.contributionModes || []);
+        setContributionMode(data.contributionMode || "count");
+        setUseCutoffDate(Boolean(data.cutoffDate));
+        if (data.cutoffDate) setCutoffDate(toDateVal(new Date(data.cutoffDate)));
+        setContributionHalfLifeDays(data.halfLifeDays || CONTRIBUTION_DEFAULT_HALF_LIFE_DAYS);
+        setChannelShareProperties(Boolean(data.channelShareProperties));
+        setChannelShareSources(data.channelShareSources || []);
+        setRollupModes(data.rollupModes || []);
+        setRollupMode(data.rollupMode || "off");
       }
   } catch (e: any) {
       console.error("Failed to load sources:", e);
@@ -305,7 +630,18 @@ const SettingsPage = ({ context }: AnyObj) => {
     try {
       const resp = await hubspot.fetch(
         `${BACKEND_URL}/api/marketing-sources`,
-        { method: "POST", body: { selectedSources } }
+        {
+          method: "POST",
+          body: {
+            selectedSources,
+            contributionMode,
+            cutoffDate: contributionMode === "time_weighted" && useCutoffDate ? fromDateVal(cutoffDate).toISOString() : null,
+            halfLifeDays: contributionHalfLifeDays,
+            channelShareProperties,
+            channelShareSources,
+            rollupMode,
+          },
+        }
       );
       const data = await resp.json();
       if (data.success) {
@@ -323,6 +659,63 @@ const SettingsPage = ({ context }: AnyObj) => {
     }
   };
 
+  /** Load the portal's channel group rules. */
+  const loadChannelGroups = async () => {
+    try {
+      const resp = await hubspot.fetch(
+        `${BACKEND_URL}/api/channel-groups?portalId=${portalId}`,
+        { method: "GET" }
+      );
+      const data = await resp.json();
+      if (data.success) {
+        setChannelGroups(
+          (data.groups || []).map((g: AnyObj) => ({
+            label: g.label,
+            sources: g.sources || [],
+            data1: (g.data1 || []).join(", "),
+          }))
+        );
+        setChannelGroupFallback(data.fallbackLabel || "");
+      }
+    } catch (e: any) {
+      console.error("Failed to load channel groups:", e);
+    }
+  };
+
+  const updateChannelGroup = (idx: number, patch: Partial<ChannelGroupRule>) =>
+    setChannelGroups((rows) => rows.map((r, i) => (i === idx ? { ...r, ...patch } : r)));
+
+  /** Move a rule up or down; rules are checked in order. */
+  const moveChannelGroup = (idx: number, delta: number) =>
+    setChannelGroups((rows) => {
+      const target = idx + delta;
+      if (target < 0 || target >= rows.length) return rows;
+      const next = rows.slice();
+      [next[idx], next[target]] = [next[target], next[idx]];
+      return next;
+    });
+
+  /** Save the channel group rules, then reload the marketing source options (groups are selectable there). */
+  const saveChannelGroups = async () => {
+    setChannelGroupsSaving(true);
+    setChannelGroupsMessage("");
+    try {
+      const resp = await hubspot.fetch(
+        `${BACKEND_URL}/api/channel-groups?portalId=${portalId}`,
+        { method: "PUT", body: { groups: channelGroups, fallbackLabel: channelGroupFallback } }
+      );
+      const data = await resp.json();
+      if (!data.success) throw new Error(data.message || "Failed to save");
+      setChannelGroupsMessage(data.message);
+      loadSources();
+      checkStatus();
+    } catch (e: any) {
+      setChannelGroupsMessage(`Error: ${e?.message || "Failed to save channel groups"}`);
+    } finally {
+      setChannelGroupsSaving(false);
+    }
+  };
+
   /**
    * Format a timestamp for display.
    */
@@ -336,12 +729,13 @@ const SettingsPage = ({ context }: AnyObj) => {
   // MCF Functions
   // ========================================
 
-  /** Load cached MCF results for the current conversion type. */
-  const loadMcfResult = async (convType?: string) => {
+  /** Load cached MCF results for the current conversion type and level. */
+  const loadMcfResult = async (convType?: string, level?: "contact" | "company") => {
     setMcfLoadingResult(true);
     try {
       const ct = convType || mcfConversionType;
-      const q = new URLSearchParams({ conversionType: ct });
+      const lv = level || mcfLevel;
+      const q = new URLSearchParams({ conversionType: ct, level: lv });
       if (portalId != null) q.set("portalId", String(portalId));
       const resp = await hubspot.fetch(
         `${BACKEND_URL}/api/mcf/result?${q.toString()}`,
@@ -350,8 +744,10 @@ const SettingsPage = ({ context }: AnyObj) => {
       const data = await resp.json();
       if (data.success && (data.totalConversions !== undefined || (data.paths && data.paths.length > 0))) {
         setMcfResult(data as McfResult);
+        loadMcfTransitions(ct, lv, data.totalConversions);
       } else {
         setMcfResult(null);
+        setMcfTransitions([]);
       }
     } catch (e: any) {
       console.error("MCF: Failed to load results:", e);
@@ -360,6 +756,107 @@ const SettingsPage = ({ context }: AnyObj) => {
     }
   };
 
+  /** Download link for the cached result (XLSX workbook, or one CSV dataset). */
+  const mcfExportUrl = (format: "csv" | "xlsx", dataset?: "paths" | "eligible") => {
+    const q = new URLSearchParams({
+      conversionType: mcfResult?.conversionType || mcfConversionType,
+      level: mcfResult?.level || mcfLevel,
+      format,
+    });
+    if (portalId != null) q.set("portalId", String(portalId));
+    if (dataset) q.set("dataset", dataset);
+    return `${BACKEND_URL}/api/mcf/export?${q.toString()}`;
+  };
+
+  /** Load the top channel-to-channel transitions of the cached result. */
+  const loadMcfTransitions = async (convType: string, level: "contact" | "company", totalConversions?: number) => {
+    if (!totalConversions) {
+      setMcfTransitions([]);
+      return;
+    }
+    try {
+      const q = new URLSearchParams({ conversionType: convType, level, limit: String(MCF_TOP_TRANSITIONS) });
+      if (portalId != null) q.set("portalId", String(portalId));
+      const resp = await hubspot.fetch(
+        `${BACKEND_URL}/api/mcf/transitions?${q.toString()}`,
+        { method: "GET" }
+      );
+      const data = await resp.json();
+      setMcfTransitions(data.success ? (data.transitions as McfTransition[]) : []);
+    } catch (e: any) {
+      console.error("MCF: Failed to load transitions:", e);
+      setMcfTransitions([]);
+    }
+  };
+
+  /** Load conversion types, including this portal's custom conversion definitions. */
+  const loadMcfConversionTypes = async () => {
+    try {
+      const q = portalId != null ? `?portalId=${portalId}` : "";
+      const resp = await hubspot.fetch(
+        `${BACKEND_URL}/api/mcf/conversion-types${q}`,
+        { method: "GET" }
+      );
+      const data = await resp.json();
+      if (data.success && Array.isArray(data.conversionTypes) && data.conversionTypes.length > 0) {
+        setMcfConversionTypes(
+          data.conversionTypes.map((t: AnyObj) => ({ value: t.value, label: t.label }))
+        );
+      }
+    } catch (e: any) {
+      console.error("MCF: Failed to load conversion types:", e);
+    }
+  };
+
+  /** Exchange-rate table as CSV text ("currency,rate,effectiveDate"), as edited in the settings box. */
+  const ratesToCsv = (rates: McfExchangeRate[]) =>
+    rates.map((r) => [r.currency, r.rate, r.effectiveDate || ""].join(",").replace(/,$/, "")).join("\n");
+
+  /** Load the portal's reporting currency and exchange rates. */
+  const loadMcfCurrencySettings = async () => {
+    if (portalId == null) return;
+    try {
+      const resp = await hubspot.fetch(
+        `${BACKEND_URL}/api/mcf/currency-settings?portalId=${portalId}`,
+        { method: "GET" }
+      );
+      const data = await resp.json();
+      if (data.success) {
+        setMcfReportingCurrency(data.reportingCurrency || "");
+        setMcfRatesCsv(ratesToCsv(data.rates || []));
+      }
+    } catch (e: any) {
+      console.error("MCF: Failed to load currency settings:", e);
+    }
+  };
+
+  /** Save the reporting currency and replace the rate table with the CSV text. */
+  const saveMcfCurrencySettings = async () => {
+    if (portalId == null) return;
+    setMcfCurrencySaving(true);
+    setMcfCurrencyMessage("");
+    try {
+      const hasRates = mcfRatesCsv.trim() !== "";
+      const resp = await hubspot.fetch(
+        hasRates
+          ? `${BACKEND_URL}/api/mcf/currency-settings/import?portalId=${portalId}`
+          : `${BACKEND_URL}/api/mcf/currency-settings?portalId=${portalId}`,
+        hasRates
+          ? { method: "POST", body: { csv: mcfRatesCsv, reportingCurrency: mcfReportingCurrency, replace: true } }
+          : { method: "PUT", body: { reportingCurrency: mcfReportingCurrency, rates: [] } }
+      );
+      const data = await resp.json();
+      if (!data.success) throw new Error(data.message || "Failed to save");
+      setMcfReportingCurrency(data.reportingCurrency || "");
+      setMcfRatesCsv(ratesToCsv(data.rates || []));
+      setMcfCurrencyMessage(data.message);
+    } catch (e: any) {
+      setMcfCurrencyMessage(`Error: ${e?.message || "Failed to save currency settings"}`);
+    } finally {
+      setMcfCurrencySaving(false);
+    }
+  };
+
   /** Check MCF job status; if running, start polling. */
   const checkMcfStatus = async () => {
     try {
@@ -445,16 +942,31 @@ const SettingsPage = ({ context }: AnyObj) => {
       const maxStartDate = new Date(Date.now() - MCF_MAX_RANGE_DAYS * dayMs);
       if (startD < maxStartDate) {
         setMcfRunning(false);
-        setMcfMessage("Error: Start date cannot be more than 6 months ago.");
+        setMcfMessage("Error: Start date cannot be more than 2 years ago.");
         return;
       }
 
       const maxDays = MCF_MAX_RANGE_DAYS * dayMs;
       if (endD.getTime() - startD.getTime() > maxDays) {
         setMcfRunning(false);
-        setMcfMessage("Error: Date range cannot exceed 6 months.");
+        setMcfMessage("Error: Date range cannot exceed 2 years.");
+        return;
+      }
+
+      if (mcfCompare === "custom" && fromDateVal(mcfCompareStartDate) > fromDateVal(mcfCompareEndDate)) {
+        setMcfRunning(false);
+        setMcfMessage("Error: Comparison start date must be before its end date.");
         return;
       }
+      const compare =
+        mcfCompare === "previous_period"
+          ? "previous_period"
+          : mcfCompare === "custom"
+            ? {
+                startDate: fromDateVal(mcfCompareStartDate).toISOString(),
+                endDate: fromDateVal(mcfCompareEndDate).toISOString(),
+              }
+            : undefined;
 
       const resp = await hubspot.fetch(
         `${BACKEND_URL}/api/mcf/refresh?portalId=${portalId}`,
@@ -463,8 +975,31 @@ const SettingsPage = ({ context }: AnyObj) => {
           body: {
             portalId: String(portalId),
             conversionType: mcfConversionType,
+            level: mcfLevel,
             startDate: startD.toISOString(),
             endDate: endD.toISOString(),
+            model: mcfModel,
+            ...(mcfModel === "time_decay" ? { halfLifeDays: mcfHalfLifeDays } : {}),
+            pathOptions: {
+              lookbackDays: mcfLookbackDays ? Number(mcfLookbackDays) : null,
+              collapseRepeats: mcfCollapseRepeats,
+              maxPathLength: mcfMaxPathLength > 0 ? mcfMaxPathLength : null,
+              truncate: mcfTruncate,
+              ignoreDirect: mcfIgnoreDirect,
+              drillDown: mcfDrillDown,
+              channelGroups: mcfChannelGroups,
+            },
+            ...(compare ? { compare } : {}),
+            ...(mcfWriteBack && mcfLevel === "contact" ? { writeBack: true } : {}),
+            ...(mcfConversionRates && mcfLevel === "contact"
+              ? { conversionRates: true, sampleSize: mcfSampleSize }
+              : {}),
+            segment: {
+              lifecycleStage: mcfSegmentLifecycle,
+              ownerId: mcfSegmentOwnerId.trim(),
+              listId: mcfSegmentListId.trim(),
+              properties: mcfSegmentProperties.filter((f) => f.property.trim()),
+            },
           },
         }
       );
@@ -488,6 +1023,146 @@ const SettingsPage = ({ context }: AnyObj) => {
     }
   };
 
+  // ========================================
+  // Revenue Attribution Functions
+  // ========================================
+
+  /** Load the last revenue attribution result. */
+  const loadRevenueResult = async () => {
+    try {
+      const resp = await hubspot.fetch(
+        `${BACKEND_URL}/api/revenue-attribution/result?portalId=${portalId}`,
+        { method: "GET" }
+      );
+      const data = await resp.json();
+      setRevenueResult(data.success && data.refreshedAt ? (data as RevenueAttribution) : null);
+    } catch (e: any) {
+      console.error("Revenue: Failed to load results:", e);
+    }
+  };
+
+  /** Poll revenue attribution status every 3s while a job is running. */
+  const pollRevenueStatus = () => {
+    const poll = async () => {
+      try {
+        const resp = await hubspot.fetch(
+          `${BACKEND_URL}/api/revenue-attribution/status?portalId=${portalId}`,
+          { method: "GET" }
+        );
+        const data = await resp.json();
+
+        if (data.status === "running") {
+          setRevenueMessage(data.message || "Processing...");
+          setTimeout(poll, 3000);
+        } else {
+          revenuePollingRef.current = false;
+          setRevenueRunning(false);
+          setRevenueMessage(
+            data.status === "error"
+              ? `Error: ${data.error || "Unknown"}`
+              : data.message || "Complete!"
+          );
+          loadRevenueResult();
+        }
+      } catch (e: any) {
+        revenuePollingRef.current = false;
+        setRevenueRunning(false);
+        setRevenueMessage(`Error polling status: ${e?.message || "Unknown"}`);
+      }
+    };
+    setTimeout(poll, 3000);
+  };
+
+  /** Check revenue attribution job status; if running, start polling. */
+  const checkRevenueStatus = async () => {
+    try {
+      const resp = await hubspot.fetch(
+        `${BACKEND_URL}/api/revenue-attribution/status?portalId=${portalId}`,
+        { method: "GET" }
+      );
+      const data = await resp.json();
+      if (data.status === "running") {
+        setRevenueRunning(true);
+        setRevenueMessage(data.message || "Processing...");
+        if (!revenuePollingRef.current) {
+          revenuePollingRef.current = true;
+          pollRevenueStatus();
+        }
+      }
+    } catch (e: any) {
+      console.error("Revenue: status check error:", e);
+    }
+  };
+
+  /** Start a revenue attribution job. */
+  const startRevenueRefresh = async () => {
+    if (portalId == null) {
+      setRevenueMessage("Error: Unable to determine HubSpot account. Please refresh the page.");
+      return;
+    }
+    const startD = fromDateVal(revenueStartDate);
+    const endD = fromDateVal(revenueEndDate);
+    if (startD > endD) {
+      setRevenueMessage("Error: Start date must be before end date.");
+      return;
+    }
+
+    setRevenueRunning(true);
+    setRevenueMessage("Starting revenue attribution...");
+    try {
+      const resp = await hubspot.fetch(
+        `${BACKEND_URL}/api/revenue-attribution/refresh?portalId=${portalId}`,
+        {
+          method: "POST",
+          body: {
+            startDate: startD.toISOString(),
+            endDate: endD.toISOString(),
+            model: revenueModel,
+            ...(revenueModel === "time_decay" ? { halfLifeDays: revenueHalfLifeDays } : {}),
+          },
+        }
+      );
+      const data = await resp.json();
+
+      if (!resp.ok || !data.success) {
+        setRevenueRunning(false);
+        const msg = data?.message || `Request failed (${resp.status}). Please try again.`;
+        setRevenueMessage(msg.startsWith("Error") ? msg : `Error: ${msg}`);
+        return;
+      }
+
+      setRevenueMessage(data.message || "Revenue attribution started...");
+      if (!revenuePollingRef.current) {
+        revenuePollingRef.current = true;
+        pollRevenueStatus();
+      }
+    } catch (e: any) {
+      setRevenueRunning(false);
+      setRevenueMessage(`Error: ${e?.message || "Failed to start revenue attribution"}`);
+    }
+  };
+
+  /** Channel pill; drill-down channels ("PAID_SEARCH:google / brand") show their details after the source label. */
+  const renderChannelTag = (channel: string) => {
+    const idx = channel.indexOf(":");
+    const source = idx === -1 ? channel : channel.slice(0, idx);
+    const detail = idx === -1 ? "" : channel.slice(idx + 1);
+    const label = mcfResult?.channelLabels?.[source] || CHANNEL_LABELS[source] || source;
+    return (
+      <Tag variant={CHANNEL_TAG_VARIANT[source] || "default"}>
+        {detail ? `${label}: ${detail}` : label}
+      </Tag>
+    );
+  };
+
+  /** Transition endpoint: the ENTRY / CONVERSION nodes as plain text, channels as pills. */
+  const renderTransitionNode = (node: string) =>
+    node === "ENTRY" || node === "CONVERSION" ? (
+      <Text format={{ fontSize: "small", color: "subtle" }}>{node === "ENTRY" ? "Entry" : "Conversion"}</Text>
+    ) : (
+      renderChannelTag(node)
+    );
+
   /** Render a conversion path as UA-style pills with chevrons. */
   const renderPathPills = (path: string[]) => (
     <Flex direction="row" gap="extra-small" wrap="wrap" align="center">
@@ -496,18 +1171,204 @@ const SettingsPage = ({ context }: AnyObj) => {
           {idx > 0 && (
             <Text format={{ fontSize: "small", color: "subtle" }}>{" › "}</Text>
           )}
-          <Tag variant={CHANNEL_TAG_VARIANT[channel] || "default"}>
-            {CHANNEL_LABELS[channel] || channel}
-          </Tag>
+          {channel === MCF_TRUNCATION_MARKER ? (
+            <Text format={{ fontSize: "small", color: "subtle" }}>{channel}</Text>
+          ) : (
+            renderChannelTag(channel)
+          )}
         </React.Fragment>
       ))}
     </Flex>
   );
 
+  /** Format a conversion value; appends the currency code when there is exactly one. */
+  const formatMcfValue = (value: number, currencies: string[]) => {
+    const amount = (Math.round(value * 100) / 100).toLocaleString();
+    return currencies.length === 1 ? `${amount} ${currencies[0]}` : amount;
+  };
+
+  /** "100 EUR + 20 GBP" for a per-currency breakdown. */
+  const formatCurrencyBreakdown = (breakdown: Record<string, number>) =>
+    Object.entries(breakdown)
+      .map(([cur, v]) => `${v.toLocaleString()} ${cur}`)
+      .join(" + ");
+
+  /** Original-currency amounts under a normalized value, when any differ from the reporting currency. */
+  const renderValueBreakdown = (breakdown: Record<string, number> | undefined, reportingCurrency: string) =>
+    breakdown && Object.keys(breakdown).some((cur) => cur !== reportingCurrency) ? (
+      <Text format={{ fontSize: "xsmall", color: "subtle" }}>{formatCurrencyBreakdown(breakdown)}</Text>
+    ) : null;
+
+  /** One-line summary of the path construction options a result was built with. */
+  const pathOptionsSummary = (o: McfPathOptions) =>
+    [
+      o.lookbackDays ? `${o.lookbackDays}-day lookback` : "all history",
+      o.collapseRepeats ? "repeats collapsed" : "repeats kept",
+      o.maxPathLength
+        ? `max ${o.maxPathLength} touchpoints (${o.truncate === "tail" ? "first" : "last"} kept)`
+        : "no length limit",
+      o.ignoreDirect ? "direct ignored when other sources exist" : "direct included",
+      ...(o.drillDown ? ["source details (data 1 / data 2)"] : []),
+      ...(o.channelGroups ? ["channel groups"] : []),
+    ].join(" · ");
+
+  /** One-line summary of the segment a result was limited to. */
+  const segmentSummary = (segment: McfSegment) =>
+    [
+      segment.lifecycleStage
+        ? `lifecycle stage ${MCF_SEGMENT_LIFECYCLE_OPTIONS.find((o) => o.value === segment.lifecycleStage)?.label || segment.lifecycleStage}`
+        : "",
+      segment.ownerId ? `owner ${segment.ownerId}` : "",
+      segment.listId ? `list ${segment.listId}` : "",
+      ...(segment.properties || []).map((f) => {
+        const op = MCF_SEGMENT_OPERATORS.find((o) => o.value === f.operator)?.label || f.operator;
+        return f.value ? `${f.property} ${op} "${f.value}"` : `${f.property} ${op}`;
+      }),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+  /** Update one property filter row of the segment. */
+  const updateMcfSegmentProperty = (index: number, patch: Partial<McfSegmentPropertyFilter>) =>
+    setMcfSegmentProperties((rows) => rows.map((f, i) => (i === index ? { ...f, ...patch } : f)));
+
+  /** Human-readable label for an attribution model value. */
+  const attributionModelLabel = (attribution: McfAttribution) => {
+    const { model, options = {} } = attribution;
+    const label = MCF_ATTRIBUTION_MODELS.find((m) => m.value === model)?.label || model;
+    if (model === "time_decay" && options.halfLifeDays) return `${label}, ${options.halfLifeDays}-day half-life`;
+    return label;
+  };
+
+  /**
+   * Whether a result carries revenue: closed-won deals always do, even in single-currency
+   * portals where deal_currency_code is blank (so currencies is empty).
+   */
+  const mcfHasRevenue = (result: McfResult) =>
+    result.conversionType === "deal_won" ||
+    result.currencies.length > 0 ||
+    result.paths.some((p) => p.conversionValue > 0);
+
+  /** Conversion count, followed by its value when showValue is set. */
+  const formatMcfCount = (conversions: number, value: number, currencies: string[], showValue = false) => {
+    const count = Number.isInteger(conversions) ? String(conversions) : conversions.toFixed(2);
+    return showValue && conversions > 0 ? `${count} (${formatMcfValue(value, currencies)})` : count;
+  };
+
+  /** Signed change with its percentage ("+3 (+50.0%)"); "new" when the previous period had none. */
+  const formatMcfChange = (row: { change: number; changePct: number | null }) => {
+    const sign = row.change > 0 ? "+" : "";
+    const count = Number.isInteger(row.change) ? String(row.change) : row.change.toFixed(2);
+    if (row.changePct == null) return row.change > 0 ? `${sign}${count} (new)` : `${sign}${count}`;
+    return `${sign}${count} (${sign}${row.changePct.toFixed(1)}%)`;
+  };
+
+  /** Current vs previous period table for comparison paths or channels. */
+  const renderMcfComparisonTable = (firstHeader: string, rows: McfComparisonRow[]) => (
+    <Table bordered={true} paginated={rows.length > 10} pageCount={Math.ceil(rows.length / 10)}>
+      <TableHead>
+        <TableRow>
+          <TableHeader width="max">{firstHeader}</TableHeader>
+          <TableHeader width="min" align="right">
+            This period
+          </TableHeader>
+          <TableHeader width="min" align="right">
+            Previous period
+          </TableHeader>
+          <TableHeader width="min" align="right">
+            Change
+          </TableHeader>
+          <TableHeader width="min" align="right">
+            Share change
+          </TableHeader>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {rows.map((r) => (
+          <TableRow key={r.pathKey || r.channel}>
+            <TableCell width="max">{renderPathPills(r.path || [r.channel || ""])}</TableCell>
+            <TableCell width="min" align="right">
+              {formatMcfCount(r.current.conversions, 0, [])} ({r.current.sharePct.toFixed(1)}%)
+            </TableCell>
+            <TableCell width="min" align="right">
+              {formatMcfCount(r.previous.conversions, 0, [])} ({r.previous.sharePct.toFixed(1)}%)
+            </TableCell>
+            <TableCell width="min" align="right">
+              {formatMcfChange(r)}
+            </TableCell>
+            <TableCell width="min" align="right">
+              {(r.current.sharePct - r.previous.sharePct > 0 ? "+" : "") +
+                (r.current.sharePct - r.previous.sharePct).toFixed(1)}{" "}
+              pts
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+
+  /** Time lag / path length distribution table; empty buckets are hidden. */
+  const renderMcfBuckets = (
+    title: string,
+    bucketHeader: string,
+    buckets: McfBucket[] | undefined,
+    currencies: string[],
+    showValue: boolean
+  ) => {
+    const rows = (buckets || []).filter((b) => b.conversions > 0);
+    if (rows.length === 0) return null;
+    return (
+      <>
+        <Text format={{ fontWeight: "bold", fontSize: "small" }}>{title}</Text>
+        <Table bordered={true}>
+          <TableHead>
+            <TableRow>
+              <TableHeader width="max">{bucketHeader}</TableHeader>
+              <TableHeader width="min" align="right">
+                Conversions
+              </TableHeader>
+              {showValue && (
+                <TableHeader width="min" align="right">
+                  Value
+                </TableHeader>
+              )}
+              <TableHeader width="min" align="right">
+                Share
+              </TableHeader>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((b) => (
+              <TableRow key={b.label}>
+                <TableCell width="max">{b.label}</TableCell>
+                <TableCell width="min" align="right">
+                  {formatMcfCount(b.conversions, b.conversionValue, [])}
+                </TableCell>
+                {showValue && (
+                  <TableCell width="min" align="right">
+                    {formatMcfValue(b.conversionValue, currencies)}
+                  </TableCell>
+                )}
+                <TableCell width="min" align="right">
+                  {b.sharePct.toFixed(1)}%
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </>
+    );
+  };
+
   // Load MCF results and check status on mount (and when portalId becomes available)
   useEffect(() => {
     checkMcfStatus();
     loadMcfResult();
+    loadMcfConversionTypes();
+    loadMcfCurrencySettings();
+    loadChannelGroups();
+    checkRevenueStatus();
+    loadRevenueResult();
   }, [portalId]);
 
   // Determine button state
@@ -537,7 +1398,10 @@ const SettingsPage = ({ context }: AnyObj) => {
             <Text format={{ fontSize: "small" }}>
               &bull; Calculates the percentage of a contact&apos;s traffic source history that came from marketing channels{"\n"}
               &bull; You choose which HubSpot traffic sources count as &quot;marketing&quot; (e.g. Organic Search, Paid Social, Email Marketing){"\n"}
+              &bull; Count every source change once, weight each source by how long it stayed the contact&apos;s latest source, or let recent sources count more (with a half-life you choose){"\n"}
               &bull; A custom contact property (&quot;Marketing Contribution Percentage&quot;) is created and kept up to date{"\n"}
+              &bull; Optionally also keep one share property per source and the contact&apos;s dominant source, to see the mix behind the percentage{"\n"}
+              &bull; Companies and deals get the same property, averaged (or weighted by touchpoints) over their associated contacts after each full analysis{"\n"}
               &bull; Run a one-time bulk analysis across your entire database, then real-time webhooks keep every contact current as new source data arrives
             </Text>
 
@@ -547,9 +1411,22 @@ const SettingsPage = ({ context }: AnyObj) => {
               Conversion Paths (MCF)
             </Text>
             <Text format={{ fontSize: "small" }}>
-              &bull; Find first-ever meetings in a date range{"\n"}
-              &bull; For each eligible contact, reconstruct the traffic-source journey (hs_latest_source history) leading up to the meeting{"\n"}
-              &bull; Results show the number of eligible conversions and ranked traffic-source paths
+              &bull; Find first-ever meetings, closed-won deals, form submissions or lifecycle stage entries in a date range{"\n"}
+              &bull; For each eligible contact, reconstruct the traffic-source journey (hs_latest_source history) leading up to the conversion{"\n"}
+              &bull; Closed-won deals carry their amount, so each path also shows the revenue it led to{"\n"}
+              &bull; Results show the number of eligible conversions and ranked traffic-source paths{"\n"}
+              &bull; Choose an attribution model (first touch, last touch, linear, time decay, position-based, Shapley value) to see how much credit each channel earned{"\n"}
+              &bull; Assisted conversions compare how often each channel helps versus closes a conversion{"\n"}
+              &bull; Top channel transitions show how journeys move from one channel to the next before converting{"\n"}
+              &bull; Optionally sample non-converting contacts to see conversion rates per path and channel, not just conversion counts{"\n"}
+              &bull; Define your own channel groups (e.g. &quot;Partners&quot; for specific referring domains) and report paths by group{"\n"}
+              &bull; Download paths and eligible contacts as CSV or an Excel workbook{"\n"}
+              &bull; Optionally write each contact&apos;s journey (first/last touch, path, touchpoints, days to conversion) to contact properties for lists and workflows{"\n"}
+              &bull; See how much closed-won revenue each channel drove, per channel and per close month, in the Revenue tab{"\n"}
+              &bull; Report on companies to see account-based paths, merging every associated contact&apos;s journey{"\n"}
+              &bull; Limit the analysis to a segment (lifecycle stage, owner, list or property filters){"\n"}
+              &bull; Compare with the previous (or a custom) period to see how paths and channels changed{"\n"}
+              &bull; Time lag and path length reports show how many days and touchpoints it takes to convert
             </Text>
 
             <Divider />
@@ -595,18 +1472,92 @@ const SettingsPage = ({ context }: AnyObj) => {
                 placeholder="Select sources to count as marketing..."
                 value={selectedSources}
                 onChange={(values: string[]) => setSelectedSources(values)}
-                options={allSources}
-                description={`${selectedSources.length} of ${allSources.length} sources selected as marketing`}
+                options={[...allSources, ...groupSources]}
+                description={`${selectedSources.length} of ${allSources.length + groupSources.length} sources selected as marketing`}
               />
             )}
 
-            <Button
-              onClick={saveSources}
-              disabled={sourcesSaving || sourcesLoading}
-              variant="primary"
-            >
-              {sourcesSaving ? "Saving..." : "Save Source Settings"}
-            </Button>
+            {!sourcesLoading && contributionModes.length > 0 && (
+              <Flex direction="row" gap="medium" align="end">
+                <Select
+                  label="Contribution mode"
+                  name="contributionMode"
+                  value={contributionMode}
+                  onChange={(val: string) => setContributionMode(val)}
+                  options={contributionModes}
+                  description="How each source in a contact's history is weighted"
+                />
+                {contributionMode === "time_weighted" && (
+                  <Checkbox
+                    name="useCutoffDate"
+                    checked={useCutoffDate}
+                    onChange={(checked: boolean) => setUseCutoffDate(checked)}
+                  >
+                    Stop counting at a cutoff date (instead of today)
+                  </Checkbox>
+                )}
+                {contributionMode === "recency_decay" && (
+                  <NumberInput
+                    label="Half-life (days)"
+                    name="contributionHalfLifeDays"
+                    value={contributionHalfLifeDays}
+                    min={1}
+                    onChange={(val: number) => setContributionHalfLifeDays(val)}
+                    description="A source this many days old counts half as much as today's"
+                  />
+                )}
+                {contributionMode === "time_weighted" && useCutoffDate && (
+                  <DateInput
+                    label="Cutoff date"
+                    name="contributionCutoffDate"
+                    value={cutoffDate}
+                    onChange={(val: any) => {
+                      if (val) setCutoffDate(val);
+                    }}
+                    format="standard"
+                  />
+                )}
+              </Flex>
+            )}
+
+            {!sourcesLoading && (
+              <Checkbox
+                name="channelShareProperties"
+                checked={channelShareProperties}
+                onChange={(checked: boolean) => setChannelShareProperties(checked)}
+              >
+                Also write each source&apos;s share (mh_share_&lt;source&gt;) and the dominant source (mh_dominant_source)
+              </Checkbox>
+            )}
+            {!sourcesLoading && channelShareProperties && (
+              <MultiSelect
+                label="Share properties"
+                name="channelShareSources"
+                placeholder="Select sources to write a share property for..."
+                value={channelShareSources}
+                onChange={(values: string[]) => setChannelShareSources(values)}
+                options={allSources}
+                description="Share properties for sources you remove here are deleted on the next run. Turning this off stops updating them but keeps their values"
+              />
+            )}
+            {!sourcesLoading && rollupModes.length > 0 && (
+              <Select
+                label="Companies and deals"
+                name="rollupMode"
+                value={rollupMode}
+                onChange={(val: string) => setRollupMode(val)}
+                options={rollupModes}
+                description="After each full analysis, write a Marketing Contribution Percentage to associated companies and deals (needs the optional company/deal write scopes; reinstall the app to grant them)"
+              />
+            )}
+
+            <Button
+              onClick={saveSources}
+              disabled={sourcesSaving || sourcesLoading}
+              variant="primary"
+            >
+              {sourcesSaving ? "Saving..." : "Save Source Settings"}
+            </Button>
 
             {sourcesMessage && (
               <Text
@@ -631,8 +1582,9 @@ const SettingsPage = ({ context }: AnyObj) => {
               and return to check progress. The analysis will:{"\n"}
               &bull; Create the &quot;Marketing Contribution Percentage&quot; property if it doesn&apos;t exist{"\n"}
               &bull; Read each contact&apos;s full hs_latest_source history{"\n"}
-              &bull; Calculate the percentage based on your selected marketing sources above{"\n"}
-              &bull; Update each contact with the result
+              &bull; Calculate the percentage based on your selected marketing sources and contribution mode above{"\n"}
+              &bull; Update each contact with the result (and each source&apos;s share, if turned on above){"\n"}
+              &bull; Roll the result up to associated companies and deals, unless set to contacts only
             </Text>
 
             {!analysisAllowed && !analysisRunning && (
@@ -640,7 +1592,7 @@ const SettingsPage = ({ context }: AnyObj) => {
                 <Tag variant="default">Up to date</Tag>
                 <Text format={{ fontSize: "small" }}>
                   Analysis has been run with the current source settings.
-                  Change your marketing source configuration above and save to run again.
+                  Change your marketing source or contribution settings above and save to run again.
                 </Text>
               </Flex>
             )}
@@ -697,16 +1649,105 @@ const SettingsPage = ({ context }: AnyObj) => {
         </Tab>
 
         {/* ==================== MCF PATHS TAB ==================== */}
+        <Tab tabId="channel-groups" title="Channel Groups">
+          <Flex direction="column" gap="medium">
+            <Text format={{ fontWeight: "bold" }}>Custom Channel Groups</Text>
+            <Text format={{ fontSize: "small" }}>
+              Combine HubSpot traffic sources into your own channels. A rule matches a touchpoint when its
+              source is one of the rule&apos;s sources (any source when empty) and its source detail
+              (data 1, e.g. the referring domain) is one of the listed values (any value when empty).
+              Rules are checked from top to bottom and the first match wins.
+            </Text>
+
+            {channelGroups.length === 0 && (
+              <Text format={{ fontSize: "small", color: "subtle" }}>No channel groups defined yet.</Text>
+            )}
+            {channelGroups.map((g, idx) => (
+              <Flex key={idx} direction="row" gap="small" align="end">
+                <Input
+                  label="Group name"
+                  name={`channelGroupLabel${idx}`}
+                  value={g.label}
+                  onChange={(val: string) => updateChannelGroup(idx, { label: val })}
+                />
+                <MultiSelect
+                  label="Sources"
+                  name={`channelGroupSources${idx}`}
+                  placeholder="Any source"
+                  value={g.sources}
+                  onChange={(values: string[]) => updateChannelGroup(idx, { sources: values })}
+                  options={allSources}
+                />
+                <Input
+                  label="Data 1 values"
+                  name={`channelGroupData1${idx}`}
+                  placeholder="e.g. partner.com, affiliate.net"
+                  value={g.data1}
+                  onChange={(val: string) => updateChannelGroup(idx, { data1: val })}
+                />
+                <Button variant="secondary" size="small" disabled={idx === 0} onClick={() => moveChannelGroup(idx, -1)}>
+                  Up
+                </Button>
+                <Button
+                  variant="secondary"
+                  size="small"
+                  disabled={idx === channelGroups.length - 1}
+                  onClick={() => moveChannelGroup(idx, 1)}
+                >
+                  Down
+                </Button>
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={() => setChannelGroups((rows) => rows.filter((_, i) => i !== idx))}
+                >
+                  Remove
+                </Button>
+              </Flex>
+            ))}
+            <Button
+              variant="secondary"
+              size="small"
+              onClick={() => setChannelGroups((rows) => [...rows, { label: "", sources: [], data1: "" }])}
+            >
+              Add channel group
+            </Button>
+
+            <Input
+              label="Fallback group (optional)"
+              name="channelGroupFallback"
+              description="Touchpoints no rule matches go to this group. Leave empty to keep their HubSpot source."
+              value={channelGroupFallback}
+              onChange={(val: string) => setChannelGroupFallback(val)}
+            />
+
+            <Button onClick={saveChannelGroups} disabled={channelGroupsSaving} variant="primary">
+              {channelGroupsSaving ? "Saving..." : "Save Channel Groups"}
+            </Button>
+            {channelGroupsMessage && (
+              <Text format={{ color: channelGroupsMessage.startsWith("Error") ? "error" : "success" }}>
+                {channelGroupsMessage}
+              </Text>
+            )}
+            <Text format={{ fontSize: "small", color: "subtle" }}>
+              Saved groups can be selected as marketing sources in the Data Analysis tab, and used for
+              conversion paths with &quot;Use channel groups&quot; in the Paths (MCF) tab.
+            </Text>
+          </Flex>
+        </Tab>
+
         <Tab tabId="mcf" title="Paths (MCF)">
           <Flex direction="column" gap="large">
             <Text format={{ fontWeight: "bold" }}>
-              First-ever meeting conversion paths
+              First-ever conversion paths
             </Text>
             <Text format={{ fontSize: "small" }}>
-              Find meetings created in your chosen timeframe, keep only those
-              that are the contact&apos;s first-ever meeting, then show the
-              traffic-source journey (hs_latest_source history) for each
-              eligible contact. Maximum start date is 6 months ago.
+              Find conversions (meetings, closed-won deals, form submissions
+              or lifecycle stage entries) in your chosen timeframe, keep only
+              those that are the contact&apos;s first-ever conversion of that
+              type, then show the traffic-source journey (hs_latest_source
+              history) for each eligible contact. Maximum start date is 6
+              months ago.
             </Text>
 
             <Divider />
@@ -715,9 +1756,106 @@ const SettingsPage = ({ context }: AnyObj) => {
               label="Conversion type"
               name="mcfConversionType"
               value={mcfConversionType}
-              onChange={(val: string) => setMcfConversionType(val)}
-              options={MCF_CONVERSION_TYPES}
+              onChange={(val: string) => {
+                setMcfConversionType(val);
+                loadMcfResult(val);
+              }}
+              options={mcfConversionTypes}
+            />
+            <Select
+              label="Report on"
+              name="mcfLevel"
+              value={mcfLevel}
+              onChange={(val: "contact" | "company") => {
+                setMcfLevel(val);
+                loadMcfResult(undefined, val);
+              }}
+              options={MCF_LEVEL_OPTIONS}
             />
+            {mcfLevel === "company" && !MCF_COMPANY_CONVERSION_TYPES.includes(mcfConversionType) && (
+              <Text format={{ fontSize: "small", color: "subtle" }}>
+                Company paths are available for first-ever meetings and closed-won deals.
+              </Text>
+            )}
+
+            <Flex direction="row" gap="medium">
+              <Select
+                label="Attribution model"
+                name="mcfModel"
+                value={mcfModel}
+                onChange={(val: string) => setMcfModel(val)}
+                options={MCF_ATTRIBUTION_MODELS}
+                description="How credit for each conversion is split across the channels in its path"
+              />
+              {mcfModel === "time_decay" && (
+                <NumberInput
+                  label="Half-life (days)"
+                  name="mcfHalfLifeDays"
+                  value={mcfHalfLifeDays}
+                  min={1}
+                  onChange={(val: number) => setMcfHalfLifeDays(val)}
+                />
+              )}
+            </Flex>
+
+            <Flex direction="row" gap="medium">
+              <Select
+                label="Lookback window"
+                name="mcfLookbackDays"
+                value={mcfLookbackDays}
+                onChange={(val: string) => setMcfLookbackDays(val)}
+                options={MCF_LOOKBACK_OPTIONS}
+                description="Only count touchpoints this close to the conversion"
+              />
+              <NumberInput
+                label="Max path length"
+                name="mcfMaxPathLength"
+                value={mcfMaxPathLength}
+                min={0}
+                onChange={(val: number) => setMcfMaxPathLength(val)}
+                description="0 = unlimited"
+              />
+              {mcfMaxPathLength > 0 && (
+                <Select
+                  label="When a path is longer"
+                  name="mcfTruncate"
+                  value={mcfTruncate}
+                  onChange={(val: "head" | "tail") => setMcfTruncate(val)}
+                  options={MCF_TRUNCATE_OPTIONS}
+                />
+              )}
+            </Flex>
+
+            <Flex direction="row" gap="medium">
+              <Checkbox
+                name="mcfCollapseRepeats"
+                checked={mcfCollapseRepeats}
+                onChange={(checked: boolean) => setMcfCollapseRepeats(checked)}
+              >
+                Collapse repeated sources (A › A › B → A › B)
+              </Checkbox>
+              <Checkbox
+                name="mcfIgnoreDirect"
+                checked={mcfIgnoreDirect}
+                onChange={(checked: boolean) => setMcfIgnoreDirect(checked)}
+              >
+                Ignore Direct Traffic when other sources exist
+              </Checkbox>
+              <Checkbox
+                name="mcfDrillDown"
+                checked={mcfDrillDown}
+                onChange={(checked: boolean) => setMcfDrillDown(checked)}
+              >
+                Drill down into source details (e.g. Paid Search: google / brand_campaign)
+              </Checkbox>
+              <Checkbox
+                name="mcfChannelGroups"
+                checked={mcfChannelGroups}
+                onChange={(checked: boolean) => setMcfChannelGroups(checked)}
+              >
+                Use channel groups (defined in the Channel Groups tab)
+              </Checkbox>
+            </Flex>
 
             <Flex direction="row" gap="medium">
               <DateInput
@@ -740,6 +1878,136 @@ const SettingsPage = ({ context }: AnyObj) => {
               />
             </Flex>
 
+            <Text format={{ fontWeight: "demibold", fontSize: "small" }}>
+              Segment (optional)
+            </Text>
+            <Flex direction="row" gap="medium">
+              <Select
+                label="Lifecycle stage"
+                name="mcfSegmentLifecycle"
+                value={mcfSegmentLifecycle}
+                onChange={(val: string) => setMcfSegmentLifecycle(val)}
+                options={MCF_SEGMENT_LIFECYCLE_OPTIONS}
+              />
+              <Input
+                label="Contact owner ID"
+                name="mcfSegmentOwnerId"
+                value={mcfSegmentOwnerId}
+                onChange={(val: string) => setMcfSegmentOwnerId(val)}
+              />
+              <Input
+                label="List ID"
+                name="mcfSegmentListId"
+                value={mcfSegmentListId}
+                onChange={(val: string) => setMcfSegmentListId(val)}
+              />
+            </Flex>
+            {mcfSegmentProperties.map((f, idx) => (
+              <Flex key={idx} direction="row" gap="small" align="end">
+                <Input
+                  label="Property"
+                  name={`mcfSegmentProperty${idx}`}
+                  value={f.property}
+                  onChange={(val: string) => updateMcfSegmentProperty(idx, { property: val })}
+                />
+                <Select
+                  label="Operator"
+                  name={`mcfSegmentOperator${idx}`}
+                  value={f.operator}
+                  onChange={(val: string) => updateMcfSegmentProperty(idx, { operator: val })}
+                  options={MCF_SEGMENT_OPERATORS}
+                />
+                {f.operator !== "has_property" && f.operator !== "not_has_property" && (
+                  <Input
+                    label="Value"
+                    name={`mcfSegmentValue${idx}`}
+                    value={f.value || ""}
+                    onChange={(val: string) => updateMcfSegmentProperty(idx, { value: val })}
+                  />
+                )}
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={() => setMcfSegmentProperties((rows) => rows.filter((_, i) => i !== idx))}
+                >
+                  Remove
+                </Button>
+              </Flex>
+            ))}
+            <Flex direction="row" gap="small">
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={() => setMcfSegmentProperties((rows) => [...rows, { property: "", operator: "eq", value: "" }])}
+              >
+                Add property filter
+              </Button>
+            </Flex>
+
+            <Flex direction="row" gap="medium">
+              <Select
+                label="Compare with"
+                name="mcfCompare"
+                value={mcfCompare}
+                onChange={(val: "none" | "previous_period" | "custom") => setMcfCompare(val)}
+                options={MCF_COMPARE_OPTIONS}
+              />
+              {mcfCompare === "custom" && (
+                <>
+                  <DateInput
+                    label="Comparison start"
+                    name="mcfCompareStartDate"
+                    value={mcfCompareStartDate}
+                    onChange={(val: any) => {
+                      if (val) setMcfCompareStartDate(val);
+                    }}
+                    format="standard"
+                  />
+                  <DateInput
+                    label="Comparison end"
+                    name="mcfCompareEndDate"
+                    value={mcfCompareEndDate}
+                    onChange={(val: any) => {
+                      if (val) setMcfCompareEndDate(val);
+                    }}
+                    format="standard"
+                  />
+                </>
+              )}
+            </Flex>
+
+            {mcfLevel === "contact" && (
+              <Checkbox
+                name="mcfWriteBack"
+                checked={mcfWriteBack}
+                onChange={(checked: boolean) => setMcfWriteBack(checked)}
+              >
+                Write journey data to contact properties (first/last touch channel, path, touchpoints, days to conversion)
+              </Checkbox>
+            )}
+            {mcfLevel === "contact" && (
+              <Flex direction="row" gap="medium" align="end">
+                <Checkbox
+                  name="mcfConversionRates"
+                  checked={mcfConversionRates}
+                  onChange={(checked: boolean) => setMcfConversionRates(checked)}
+                >
+                  Include non-converting journeys (conversion rate per path and channel)
+                </Checkbox>
+                {mcfConversionRates && (
+                  <NumberInput
+                    label="Non-converting sample size"
+                    name="mcfSampleSize"
+                    value={mcfSampleSize}
+                    min={1}
+                    max={MCF_MAX_SAMPLE_SIZE}
+                    onChange={(val: number) => setMcfSampleSize(val)}
+                    description={`Contacts read from HubSpot (max ${MCF_MAX_SAMPLE_SIZE})`}
+                  />
+                )}
+              </Flex>
+            )}
+
             <Flex direction="row" gap="small">
               <Button
                 onClick={startMcfRefresh}
@@ -809,13 +2077,80 @@ const SettingsPage = ({ context }: AnyObj) => {
               <>
                 <Divider />
                 <Text format={{ fontWeight: "bold", fontSize: "small" }}>
-                  Eligible conversions: {mcfResult.totalConversions} contact(s)
+                  Eligible conversions: {mcfResult.totalConversions}{" "}
+                  {mcfResult.level === "company"
+                    ? "company(ies)"
+                    : mcfResult.conversionType === "deal_won"
+                      ? "deal(s)"
+                      : "contact(s)"}
                 </Text>
                 {mcfResult.totalConversions > 0 && (
                   <Text format={{ fontSize: "small" }}>
                     Showing {mcfResult.paths.length} traffic-source path(s).
                   </Text>
                 )}
+                {mcfResult.totalConversions > 0 && portalId != null && (
+                  <Flex direction="row" gap="small">
+                    <Button variant="secondary" size="small" href={{ url: mcfExportUrl("xlsx"), external: true }}>
+                      Download XLSX
+                    </Button>
+                    <Button variant="secondary" size="small" href={{ url: mcfExportUrl("csv", "paths"), external: true }}>
+                      Paths CSV
+                    </Button>
+                    <Button variant="secondary" size="small" href={{ url: mcfExportUrl("csv", "eligible"), external: true }}>
+                      {mcfResult.level === "company" ? "Companies CSV" : "Contacts CSV"}
+                    </Button>
+                  </Flex>
+                )}
+                {mcfResult.pathOptions && (
+                  <Text format={{ fontSize: "small", color: "subtle" }}>
+                    Paths built with: {pathOptionsSummary(mcfResult.pathOptions)}
+                  </Text>
+                )}
+                {mcfResult.segment && (
+                  <Text format={{ fontSize: "small", color: "subtle" }}>
+                    Segment: {segmentSummary(mcfResult.segment)}
+                  </Text>
+                )}
+                {mcfResult.writeBack && (
+                  <Text format={{ fontSize: "small", color: "subtle" }}>
+                    Journey data written to {mcfResult.writeBack.updated} of {mcfResult.writeBack.contacts} contact(s)
+                    {mcfResult.writeBack.failed > 0 ? ` (${mcfResult.writeBack.failed} failed)` : ""} on{" "}
+                    {new Date(mcfResult.writeBack.writtenAt).toLocaleString()}.
+                  </Text>
+                )}
+                {mcfResult.cache && (
+                  <Text format={{ fontSize: "small", color: "subtle" }}>
+                    History cache: {mcfResult.cache.contactsFromCache} contact(s) reused,{" "}
+                    {mcfResult.cache.contactsFetched} read from HubSpot;{" "}
+                    {mcfResult.cache.conversionRangesFetched.length === 0
+                      ? "all conversions served from cache."
+                      : `conversions searched for ${mcfResult.cache.conversionRangesFetched
+                          .map((r) => `${r.startDate.slice(0, 10)} – ${r.endDate.slice(0, 10)}`)
+                          .join(", ")}.`}
+                  </Text>
+                )}
+                {mcfResult.currencyNormalization && Object.keys(mcfResult.currencyNormalization.originalTotals).length > 0 && (
+                  <Text format={{ fontSize: "small", color: "subtle" }}>
+                    Revenue converted to {mcfResult.currencyNormalization.reportingCurrency} from{" "}
+                    {formatCurrencyBreakdown(mcfResult.currencyNormalization.originalTotals)}
+                    .
+                  </Text>
+                )}
+                {mcfResult.currencyNormalization && mcfResult.currencyNormalization.missingRates.length > 0 && (
+                  <Text format={{ fontSize: "small", color: "subtle" }}>
+                    No exchange rate for {mcfResult.currencyNormalization.missingRates.join(", ")}; those amounts
+                    {mcfResult.currencyNormalization.unconvertedTotals &&
+                      Object.keys(mcfResult.currencyNormalization.unconvertedTotals).length > 0 &&
+                      ` (${formatCurrencyBreakdown(mcfResult.currencyNormalization.unconvertedTotals)})`}{" "}
+                    are left out of the revenue totals.
+                  </Text>
+                )}
+                {mcfResult.mixedCurrencies && (
+                  <Text format={{ fontSize: "small", color: "subtle" }}>
+                    Revenue spans several currencies ({mcfResult.currencies.join(", ")}) and is summed as-is.
+                  </Text>
+                )}
                 {mcfResult.paths.length > 0 && (
                   <Table bordered={true} paginated={mcfResult.paths.length > 10} pageCount={Math.ceil(mcfResult.paths.length / 10)}>
                     <TableHead>
@@ -824,8 +2159,13 @@ const SettingsPage = ({ context }: AnyObj) => {
                           Traffic source path
                         </TableHeader>
                         <TableHeader width="min" align="right">
-                          Contacts
+                          Conversions
                         </TableHeader>
+                        {mcfHasRevenue(mcfResult) && (
+                          <TableHeader width="min" align="right">
+                            Revenue
+                          </TableHeader>
+                        )}
                         <TableHeader width="min" align="right">
                           Share
                         </TableHeader>
@@ -840,6 +2180,13 @@ const SettingsPage = ({ context }: AnyObj) => {
                           <TableCell width="min" align="right">
                             {p.conversions}
                           </TableCell>
+                          {mcfHasRevenue(mcfResult) && (
+                            <TableCell width="min" align="right">
+                              {formatMcfValue(p.conversionValue, p.currencies)}
+                              {mcfResult.currencyNormalization &&
+                                renderValueBreakdown(p.valueByCurrency, mcfResult.currencyNormalization.reportingCurrency)}
+                            </TableCell>
+                          )}
                           <TableCell width="min" align="right">
                             {(p.sharePct ?? (mcfResult.totalConversions > 0
                               ? (p.conversions / mcfResult.totalConversions) * 100
@@ -855,17 +2202,295 @@ const SettingsPage = ({ context }: AnyObj) => {
                         <TableHeader align="right">
                           {mcfResult.paths.reduce((s, p) => s + p.conversions, 0)}
                         </TableHeader>
+                        {mcfHasRevenue(mcfResult) && (
+                          <TableHeader align="right">
+                            {formatMcfValue(
+                              mcfResult.paths.reduce((s, p) => s + p.conversionValue, 0),
+                              mcfResult.currencies
+                            )}
+                          </TableHeader>
+                        )}
                         <TableHeader align="right">100%</TableHeader>
                       </TableRow>
                     </TableFooter>
                   </Table>
                 )}
+                {mcfResult.attribution && mcfResult.attribution.channels.length > 0 && (
+                  <>
+                    <Text format={{ fontWeight: "bold", fontSize: "small" }}>
+                      Channel credit ({attributionModelLabel(mcfResult.attribution)})
+                    </Text>
+                    <Table bordered={true}>
+                      <TableHead>
+                        <TableRow>
+                          <TableHeader width="max">Channel</TableHeader>
+                          <TableHeader width="min" align="right">
+                            Credited conversions
+                          </TableHeader>
+                          {mcfHasRevenue(mcfResult) && (
+                            <TableHeader width="min" align="right">
+                              Credited value
+                            </TableHeader>
+                          )}
+                          <TableHeader width="min" align="right">
+                            Share
+                          </TableHeader>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {mcfResult.attribution.channels.map((c) => (
+                          <TableRow key={c.channel}>
+                            <TableCell width="max">
+                              {renderPathPills([c.channel])}
+                            </TableCell>
+                            <TableCell width="min" align="right">
+                              {c.conversions.toFixed(2)}
+                            </TableCell>
+                            {mcfHasRevenue(mcfResult) && (
+                              <TableCell width="min" align="right">
+                                {formatMcfValue(c.conversionValue, mcfResult.currencies)}
+                                {mcfResult.currencyNormalization &&
+                                  renderValueBreakdown(c.valueByCurrency, mcfResult.currencyNormalization.reportingCurrency)}
+                              </TableCell>
+                            )}
+                            <TableCell width="min" align="right">
+                              {c.sharePct.toFixed(1)}%
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </>
+                )}
+                {mcfResult.assisted && mcfResult.assisted.length > 0 && (
+                  <>
+                    <Text format={{ fontWeight: "bold", fontSize: "small" }}>
+                      Assisted conversions
+                    </Text>
+                    <Text format={{ fontSize: "small", color: "subtle" }}>
+                      A channel assists when it appears earlier in the path than the last interaction.
+                      A ratio above 1 means the channel mostly assists; below 1, it mostly closes.
+                    </Text>
+                    <Table bordered={true}>
+                      <TableHead>
+                        <TableRow>
+                          <TableHeader width="max">Channel</TableHeader>
+                          <TableHeader width="min" align="right">
+                            Assisted
+                          </TableHeader>
+                          <TableHeader width="min" align="right">
+                            Last interaction
+                          </TableHeader>
+                          <TableHeader width="min" align="right">
+                            First interaction
+                          </TableHeader>
+                          <TableHeader width="min" align="right">
+                            Assisted / last
+                          </TableHeader>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {mcfResult.assisted.map((a) => (
+                          <TableRow key={a.channel}>
+                            <TableCell width="max">
+                              {renderPathPills([a.channel])}
+                            </TableCell>
+                            <TableCell width="min" align="right">
+                              {formatMcfCount(a.assistedConversions, a.assistedValue, mcfResult.currencies, mcfHasRevenue(mcfResult))}
+                            </TableCell>
+                            <TableCell width="min" align="right">
+                              {formatMcfCount(a.lastConversions, a.lastValue, mcfResult.currencies, mcfHasRevenue(mcfResult))}
+                            </TableCell>
+                            <TableCell width="min" align="right">
+                              {formatMcfCount(a.firstConversions, a.firstValue, mcfResult.currencies, mcfHasRevenue(mcfResult))}
+                            </TableCell>
+                            <TableCell width="min" align="right">
+                              {a.assistedLastRatio == null ? "—" : a.assistedLastRatio.toFixed(2)}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </>
+                )}
+                {mcfTransitions.length > 0 && (
+                  <>
+                    <Text format={{ fontWeight: "bold", fontSize: "small" }}>
+                      Top channel transitions
+                    </Text>
+                    <Text format={{ fontSize: "small", color: "subtle" }}>
+                      How converting journeys move from one touchpoint to the next, from entry to conversion.
+                    </Text>
+                    <Table bordered={true}>
+                      <TableHead>
+                        <TableRow>
+                          <TableHeader width="max">From</TableHeader>
+                          <TableHeader width="max">To</TableHeader>
+                          <TableHeader width="min" align="right">
+                            Conversions
+                          </TableHeader>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {mcfTransitions.map((tr) => (
+                          <TableRow key={`${tr.from}>${tr.to}`}>
+                            <TableCell width="max">{renderTransitionNode(tr.from)}</TableCell>
+                            <TableCell width="max">{renderTransitionNode(tr.to)}</TableCell>
+                            <TableCell width="min" align="right">
+                              {formatMcfCount(tr.conversions, tr.value, mcfResult.currencies, mcfHasRevenue(mcfResult))}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </>
+                )}
+                {mcfResult.conversionRates && (
+                  <>
+                    <Text format={{ fontWeight: "bold", fontSize: "small" }}>
+                      Path conversion rates
+                    </Text>
+                    <Text format={{ fontSize: "small", color: "subtle" }}>
+                      Converting journeys plus {mcfResult.conversionRates.sampledNonConverting} sampled non-converting
+                      journeys ({mcfResult.conversionRates.sampledContacts} contacts sampled, scaled to an estimated{" "}
+                      {mcfResult.conversionRates.nonConvertingContacts.toLocaleString()} non-converting contacts active in the period).
+                    </Text>
+                    <Table bordered={true}>
+                      <TableHead>
+                        <TableRow>
+                          <TableHeader width="max">Traffic source path</TableHeader>
+                          <TableHeader width="min" align="right">Journeys</TableHeader>
+                          <TableHeader width="min" align="right">Conversions</TableHeader>
+                          <TableHeader width="min" align="right">Conversion rate</TableHeader>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {mcfResult.conversionRates.paths.slice(0, MCF_TOP_CONVERSION_RATE_PATHS).map((r) => (
+                          <TableRow key={r.pathKey}>
+                            <TableCell width="max">{renderPathPills(r.path)}</TableCell>
+                            <TableCell width="min" align="right">{Math.round(r.journeys).toLocaleString()}</TableCell>
+                            <TableCell width="min" align="right">{formatMcfCount(r.conversions, 0, [])}</TableCell>
+                            <TableCell width="min" align="right">{r.conversionRatePct}%</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                    <Table bordered={true}>
+                      <TableHead>
+                        <TableRow>
+                          <TableHeader width="max">Channel (any touch)</TableHeader>
+                          <TableHeader width="min" align="right">Journeys</TableHeader>
+                          <TableHeader width="min" align="right">Conversions</TableHeader>
+                          <TableHeader width="min" align="right">Conversion rate</TableHeader>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {mcfResult.conversionRates.channels.map((c) => (
+                          <TableRow key={c.channel}>
+                            <TableCell width="max">{renderChannelTag(c.channel)}</TableCell>
+                            <TableCell width="min" align="right">{Math.round(c.journeys).toLocaleString()}</TableCell>
+                            <TableCell width="min" align="right">{formatMcfCount(c.conversions, 0, [])}</TableCell>
+                            <TableCell width="min" align="right">{c.conversionRatePct}%</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </>
+                )}
+                {mcfResult.comparison && (
+                  <>
+                    <Text format={{ fontWeight: "bold", fontSize: "small" }}>
+                      Compared with {new Date(mcfResult.comparison.startDate).toLocaleDateString()} –{" "}
+                      {new Date(mcfResult.comparison.endDate).toLocaleDateString()}
+                    </Text>
+                    <Text format={{ fontSize: "small" }}>
+                      Eligible conversions: {mcfResult.totalConversions} vs {mcfResult.comparison.totalConversions}{" "}
+                      ({formatMcfChange(mcfResult.comparison)})
+                    </Text>
+                    {mcfResult.comparison.paths.length > 0 &&
+                      renderMcfComparisonTable("Traffic source path", mcfResult.comparison.paths)}
+                    {mcfResult.comparison.channels.length > 0 && (
+                      <>
+                        <Text format={{ fontSize: "small", color: "subtle" }}>
+                          Channel credit by period ({mcfResult.attribution ? attributionModelLabel(mcfResult.attribution) : "last touch"})
+                        </Text>
+                        {renderMcfComparisonTable("Channel", mcfResult.comparison.channels)}
+                      </>
+                    )}
+                  </>
+                )}
+                {renderMcfBuckets(
+                  "Time lag (days from first touchpoint to conversion)",
+                  "Time lag",
+                  mcfResult.timeLag,
+                  mcfResult.currencies,
+                  mcfHasRevenue(mcfResult)
+                )}
+                {renderMcfBuckets(
+                  "Path length (touchpoints before conversion)",
+                  "Touchpoints",
+                  mcfResult.pathLength,
+                  mcfResult.currencies,
+                  mcfHasRevenue(mcfResult)
+                )}
                 {mcfResult.paths.length === 0 && mcfResult.totalConversions === 0 && (
                   <Text format={{ fontSize: "small", color: "subtle" }}>
-                    No eligible first-ever meetings found in this timeframe.
+                    No eligible first-ever conversions found in this timeframe.
                   </Text>
                 )}
 
+                {mcfResult.eligibleCompanies && mcfResult.eligibleCompanies.length > 0 && (
+                  <>
+                    <Divider />
+                    <Text format={{ fontWeight: "bold", fontSize: "small" }}>
+                      Eligible companies ({mcfResult.eligibleCompanies.length})
+                    </Text>
+                    <Table bordered={true} paginated={mcfResult.eligibleCompanies.length > 10} pageCount={Math.ceil(mcfResult.eligibleCompanies.length / 10)}>
+                      <TableHead>
+                        <TableRow>
+                          <TableHeader width="max">Company</TableHeader>
+                          <TableHeader width="max">Traffic source path</TableHeader>
+                          <TableHeader width="min" align="right">Contacts</TableHeader>
+                          <TableHeader width="min">Open</TableHeader>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {mcfResult.eligibleCompanies.map((c, idx) => {
+                          const path = mcfResult.paths.find((p) => p.pathKey === c.pathKey);
+                          const companyUrl = portalId
+                            ? `https://app.hubspot.com/contacts/${portalId}/company/${c.companyId}`
+                            : "#";
+                          return (
+                            <TableRow key={`${c.companyId}-${idx}`}>
+                              <TableCell width="max">
+                                <Text format={{ fontSize: "small" }}>{c.name || `Company ${c.companyId}`}</Text>
+                                {c.domain && (
+                                  <Text format={{ fontSize: "xsmall", color: "subtle" }}>{c.domain}</Text>
+                                )}
+                              </TableCell>
+                              <TableCell width="max">
+                                {path ? renderPathPills(path.path) : <Text format={{ fontSize: "small", color: "subtle" }}>{c.pathKey}</Text>}
+                              </TableCell>
+                              <TableCell width="min" align="right">
+                                {c.contactCount}
+                              </TableCell>
+                              <TableCell width="min">
+                                {portalId && (
+                                  <Link
+                                    href={{ url: companyUrl, external: true }}
+                                  >
+                                    View in HubSpot
+                                  </Link>
+                                )}
+                              </TableCell>
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </>
+                )}
+
                 {mcfResult.eligibleContacts && mcfResult.eligibleContacts.length > 0 && (
                   <>
                     <Divider />
@@ -916,6 +2541,220 @@ const SettingsPage = ({ context }: AnyObj) => {
                 )}
               </>
             )}
+
+            <Divider />
+
+            {/* ---- Currency conversion settings ---- */}
+            <Text format={{ fontWeight: "bold" }}>Currency conversion</Text>
+            <Text format={{ fontSize: "small" }}>
+              Convert deal revenue into one reporting currency. Enter one rate per line as
+              currency,rate[,effective date] — e.g. EUR,1.08 or GBP,1.27,2026-01-01 (units of the
+              reporting currency per 1 unit). Dated rates apply from their date; paste a CSV export to import.
+            </Text>
+            <Flex direction="row" gap="medium">
+              <Input
+                label="Reporting currency"
+                name="mcfReportingCurrency"
+                placeholder="USD"
+                value={mcfReportingCurrency}
+                onChange={(val: string) => setMcfReportingCurrency(val.toUpperCase())}
+              />
+            </Flex>
+            <TextArea
+              label="Exchange rates"
+              name="mcfRatesCsv"
+              rows={6}
+              value={mcfRatesCsv}
+              onChange={(val: string) => setMcfRatesCsv(val)}
+            />
+            <Flex direction="row" gap="small">
+              <Button
+                onClick={saveMcfCurrencySettings}
+                disabled={mcfCurrencySaving || portalId == null}
+                variant="secondary"
+              >
+                {mcfCurrencySaving ? "Saving..." : "Save currency settings"}
+              </Button>
+            </Flex>
+            {mcfCurrencyMessage && (
+              <Text format={{ color: mcfCurrencyMessage.startsWith("Error") ? "error" : "success" }}>
+                {mcfCurrencyMessage}
+              </Text>
+            )}
+          </Flex>
+        </Tab>
+
+        <Tab tabId="revenue" title="Revenue">
+          <Flex direction="column" gap="medium">
+            <Text format={{ fontWeight: "bold" }}>Revenue by Channel</Text>
+            <Text format={{ fontSize: "small" }}>
+              Splits each closed-won deal&apos;s amount across the traffic sources in its contacts&apos;
+              hs_latest_source history up to the close date. A deal is shared equally between its
+              contacts, and each contact&apos;s share is split across their touchpoints by the attribution
+              model. Amounts use your reporting currency when currency settings are configured.
+            </Text>
+
+            <Flex direction="row" gap="medium">
+              <DateInput
+                label="Closed from"
+                name="revenueStartDate"
+                value={revenueStartDate}
+                onChange={(val: any) => {
+                  if (val) setRevenueStartDate(val);
+                }}
+                format="standard"
+              />
+              <DateInput
+                label="Closed to"
+                name="revenueEndDate"
+                value={revenueEndDate}
+                onChange={(val: any) => {
+                  if (val) setRevenueEndDate(val);
+                }}
+                format="standard"
+              />
+            </Flex>
+            <Flex direction="row" gap="medium">
+              <Select
+                label="Attribution model"
+                name="revenueModel"
+                value={revenueModel}
+                onChange={(val: string) => setRevenueModel(val)}
+                options={REVENUE_ATTRIBUTION_MODELS}
+                description="How each contact's share of the deal is split across their touchpoints"
+              />
+              {revenueModel === "time_decay" && (
+                <NumberInput
+                  label="Half-life (days)"
+                  name="revenueHalfLifeDays"
+                  value={revenueHalfLifeDays}
+                  min={1}
+                  onChange={(val: number) => setRevenueHalfLifeDays(val)}
+                />
+              )}
+            </Flex>
+
+            <Button onClick={startRevenueRefresh} disabled={revenueRunning || portalId == null} variant="primary">
+              {revenueRunning ? "Running..." : "Run"}
+            </Button>
+            {revenueMessage && (
+              <Text format={{ color: revenueMessage.startsWith("Error") ? "error" : revenueRunning ? "default" : "success" }}>
+                {revenueMessage}
+              </Text>
+            )}
+
+            {revenueResult && (
+              <>
+                <Divider />
+                <Text format={{ fontSize: "small", color: "subtle" }}>
+                  {new Date(revenueResult.startDate).toLocaleDateString()} –{" "}
+                  {new Date(revenueResult.endDate).toLocaleDateString()} &middot;{" "}
+                  {attributionModelLabel(revenueResult.attribution)} &middot; refreshed{" "}
+                  {new Date(revenueResult.refreshedAt).toLocaleString()}
+                </Text>
+                <Text>
+                  {revenueResult.totalDeals} closed-won deal(s) &middot;{" "}
+                  {formatMcfValue(revenueResult.totalRevenue, revenueResult.currencies)} total &middot;{" "}
+                  {formatMcfValue(revenueResult.marketingRevenue, revenueResult.currencies)} (
+                  {revenueResult.marketingSharePct}%) from marketing sources
+                </Text>
+                {revenueResult.mixedCurrencies && (
+                  <Text format={{ fontSize: "small", color: "subtle" }}>
+                    Deals use several currencies ({revenueResult.currencies.join(", ")}); set a reporting currency
+                    in the Paths (MCF) tab to add them up in one currency.
+                  </Text>
+                )}
+                {revenueResult.missingRates.length > 0 && (
+                  <Text format={{ fontSize: "small", color: "error" }}>
+                    No exchange rate for: {revenueResult.missingRates.join(", ")}. Those deals
+                    {revenueResult.unconvertedTotals &&
+                      Object.keys(revenueResult.unconvertedTotals).length > 0 &&
+                      ` (${formatCurrencyBreakdown(revenueResult.unconvertedTotals)})`}{" "}
+                    are left out of the revenue totals.
+                  </Text>
+                )}
+                {revenueResult.channels.length > 0 && (
+                  <Table bordered={true}>
+                    <TableHead>
+                      <TableRow>
+                        <TableHeader width="max">Channel</TableHeader>
+                        <TableHeader width="min" align="right">Deals credited</TableHeader>
+                        <TableHeader width="min" align="right">Revenue</TableHeader>
+                        <TableHeader width="min" align="right">Share</TableHeader>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {revenueResult.channels.map((c) => (
+                        <TableRow key={c.channel}>
+                          <TableCell width="max">
+                            <Flex direction="row" gap="extra-small" align="center">
+                              {renderChannelTag(c.channel)}
+                              {c.marketing && (
+                                <Text format={{ fontSize: "small", color: "subtle" }}>marketing</Text>
+                              )}
+                            </Flex>
+                          </TableCell>
+                          <TableCell width="min" align="right">
+                            {Number.isInteger(c.deals) ? c.deals : c.deals.toFixed(2)}
+                          </TableCell>
+                          <TableCell width="min" align="right">
+                            {formatMcfValue(c.revenue, revenueResult.currencies)}
+                          </TableCell>
+                          <TableCell width="min" align="right">{c.sharePct}%</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+                {revenueResult.months.length > 0 && (
+                  <>
+                    <Text format={{ fontWeight: "bold", fontSize: "small" }}>Revenue by close month</Text>
+                    <Table bordered={true}>
+                      <TableHead>
+                        <TableRow>
+                          <TableHeader width="min">Month</TableHeader>
+                          <TableHeader width="min" align="right">Deals</TableHeader>
+                          <TableHeader width="min" align="right">Revenue</TableHeader>
+                          {revenueResult.channels.slice(0, REVENUE_MONTH_CHANNELS).map((c) => (
+                            <TableHeader key={c.channel} width="min" align="right">
+                              {CHANNEL_LABELS[c.channel] || c.channel}
+                            </TableHeader>
+                          ))}
+                          {revenueResult.channels.length > REVENUE_MONTH_CHANNELS && (
+                            <TableHeader width="min" align="right">Other</TableHeader>
+                          )}
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {revenueResult.months.map((m) => {
+                          const top = revenueResult.channels.slice(0, REVENUE_MONTH_CHANNELS).map((c) => c.channel);
+                          const other = Object.keys(m.channels)
+                            .filter((channel) => !top.includes(channel))
+                            .reduce((sum, channel) => sum + m.channels[channel], 0);
+                          return (
+                            <TableRow key={m.month}>
+                              <TableCell width="min">{m.month}</TableCell>
+                              <TableCell width="min" align="right">{m.deals}</TableCell>
+                              <TableCell width="min" align="right">
+                                {formatMcfValue(m.revenue, revenueResult.currencies)}
+                              </TableCell>
+                              {top.map((channel) => (
+                                <TableCell key={channel} width="min" align="right">
+                                  {formatMcfValue(m.channels[channel] || 0, [])}
+                                </TableCell>
+                              ))}
+                              {revenueResult.channels.length > REVENUE_MONTH_CHANNELS && (
+                                <TableCell width="min" align="right">{formatMcfValue(other, [])}</TableCell>
+                              )}
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </>
+                )}
+              </>
+            )}
           </Flex>
         </Tab>
 
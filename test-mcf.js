@@ -8,37 +8,60 @@
  *  2. Conversion path time-bound filtering (all entries before conversion)
  *  3. pathToKey stability
  *  4. Aggregation determinism
+ *  5. Deal-level event counting
+ *  6. Rule-based attribution weights
+ *  7. Markov removal-effect attribution
+ *  8. Shapley value attribution (closed form)
+ *  9. Path construction options (lookback, collapse, truncation, direct)
+ * 10. Time lag + path length buckets
+ * 11. Assisted vs last-interaction conversions
+ * 12. Source drill-down (data_1 / data_2 paired by timestamp)
+ * 13. Period-over-period comparison
+ * 14. Segment filters (validation + contact matching)
+ * 15. Currency normalization (rates, CSV import, conversion)
+ * 16. History cache (stale contacts, conversion window planning, edit re-checks + merge)
+ * 17. Channel transitions (Sankey nodes/links + channel pairs)
+ * 18. Export helpers (CSV cells, CRC-32, zip container, XLSX parts)
+ * 19. Journey write-back (contact property values)
+ * 20. Channel groupings (validation, classification, grouped history)
+ * 21. Path conversion rates (converting + scaled non-converting journeys, id strata, hash order)
+ * 22. Revenue attribution (deal amounts split per channel and close month)
+ * 23. Time-weighted marketing contribution (duration each source was held)
+ * 24. Recency-decayed marketing contribution (per-portal half-life)
+ * 25. Channel share properties (per-source shares + dominant source)
+ * 26. Company and deal rollup (average + touchpoint-weighted, scope checks)
+ * 27. Custom conversion definitions (validation, search filters, first-ever matching)
+ * 28. Company first-ever events (contacts' meetings / deals merged per company)
  */
 
-// ---- Copy of the pure functions from server.js ----
+// ---- Functions under test (shared with server.js) ----
 
-function buildConversionPath(sourceHistory, conversionTimestamp) {
-  const entries = (sourceHistory || [])
-    .filter((e) => {
-      const ts = Number(e.timestamp || 0);
-      return ts > 0 && ts <= conversionTimestamp;
-    })
-    .sort((a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0));
-
-  if (entries.length === 0) return ["UNKNOWN"];
-
-  const rawPath = entries
-    .map((e) => String(e.value || "").trim().toUpperCase())
-    .filter(Boolean);
-
-  const collapsed = [];
-  for (const step of rawPath) {
-    if (collapsed.length === 0 || collapsed[collapsed.length - 1] !== step) {
-      collapsed.push(step);
-    }
-  }
-
-  return collapsed.length > 0 ? collapsed : ["UNKNOWN"];
-}
-
-function pathToKey(pathArray) {
-  return pathArray.join(">");
-}
+const zlib = require("zlib");
+const { crc32, buildZip, buildXlsx } = require("./xlsx-export");
+const {
+  ALL_SOURCES, validateContributionSettings, isChannelShareProperty, shareDeletionsAfterChange,
+  validateChannelShareSettings, channelSharePropertyDefinitions, CHANNEL_GROUP_FALLBACK_KEY,
+  validateChannelGrouping, matchesData1, classifyChannel, groupingUsesData1, channelGroupLabels,
+  groupedSourceHistory, computeMarketingContribution, computeTimeWeightedContribution,
+  computeDecayedContribution, computeContribution, computeChannelShares,
+  channelSharePropertyValues, DEFAULT_PATH_OPTIONS, PATH_TRUNCATION_MARKER, channelSource,
+  channelLabel, normalizeChannel, buildDrillDownHistory, sourceHistoryForPath,
+  buildConversionTouchpoints, truncateTouchpoints, touchpointsToPath, buildConversionPath,
+  pathToKey, TIME_LAG_BUCKETS, PATH_LENGTH_BUCKETS, createBucketReport, addToBucketReport,
+  finalizeBucketReport, timeLagDays, buildChannelTransitions, csvCell, csvLine,
+  computeAttributionWeights, addChannelCredit, rankChannelCredits, addAssistedConversions,
+  rankAssistedConversions, computeMarkovAttribution, buildMarkovPathStats,
+  shapleyCurrencyBreakdown, buildShapleyCoalitions, computeShapleyAttribution,
+  CUSTOM_DEFINITION_CANDIDATE_MAX, customDefinitionSearches, customDefinitionTimestamp,
+  companyEventsViaContacts, firstCompanyEvents, contactsNeedingFetch, conversionCacheKey,
+  cachedConversionRanges, mergeRanges, planConversionFetch, recheckRanges, withSyncedRange,
+  mergeCachedConversions, parseSegmentFilter, matchesSegmentProperty, contactMatchesSegment,
+  seededRandom, sampleIdStrata, hashOrder, computePathConversionRates, nonConvertingSampleScale,
+  ROLLUP_SCOPES, missingScopes, rollupContribution, rollupSummaryMessage, propertyNeedsUpdate,
+  buildJourneyPropertyUpdates, validateConversionDefinition, validateCurrencySettings,
+  parseExchangeRateCsv, findExchangeRate, normalizeConversionCurrencies, addCurrencyBreakdown,
+  unconvertedCurrencyTotals, buildMcfComparison, monthKey, attributeDealRevenue,
+} = require("./mcf-helpers");
 
 // ---- Test helpers ----
 
@@ -78,9 +101,9 @@ console.log("\n=== 1. Path Collapse ===\n");
 {
   // A→A→B should collapse to A→B
   const history = [
-    { timestamp: "100", value: "ORGANIC_SEARCH" },
-    { timestamp: "200", value: "ORGANIC_SEARCH" },
-    { timestamp: "300", value: "DIRECT_TRAFFIC" },
+    { timestamp: 100, value: "ORGANIC_SEARCH" },
+    { timestamp: 200, value: "ORGANIC_SEARCH" },
+    { timestamp: 300, value: "DIRECT_TRAFFIC" },
   ];
   const path = buildConversionPath(history, 400);
   assertDeepEqual(
@@ -93,9 +116,9 @@ console.log("\n=== 1. Path Collapse ===\n");
 {
   // A→B→A should NOT collapse (non-consecutive)
   const history = [
-    { timestamp: "100", value: "ORGANIC_SEARCH" },
-    { timestamp: "200", value: "DIRECT_TRAFFIC" },
-    { timestamp: "300", value: "ORGANIC_SEARCH" },
+    { timestamp: 100, value: "ORGANIC_SEARCH" },
+    { timestamp: 200, value: "DIRECT_TRAFFIC" },
+    { timestamp: 300, value: "ORGANIC_SEARCH" },
   ];
   const path = buildConversionPath(history, 400);
   assertDeepEqual(
@@ -108,12 +131,12 @@ console.log("\n=== 1. Path Collapse ===\n");
 {
   // A→A→A→B→B→C should collapse to A→B→C
   const history = [
-    { timestamp: "100", value: "PAID_SEARCH" },
-    { timestamp: "200", value: "PAID_SEARCH" },
-    { timestamp: "300", value: "PAID_SEARCH" },
-    { timestamp: "400", value: "EMAIL_MARKETING" },
-    { timestamp: "500", value: "EMAIL_MARKETING" },
-    { timestamp: "600", value: "REFERRALS" },
+    { timestamp: 100, value: "PAID_SEARCH" },
+    { timestamp: 200, value: "PAID_SEARCH" },
+    { timestamp: 300, value: "PAID_SEARCH" },
+    { timestamp: 400, value: "EMAIL_MARKETING" },
+    { timestamp: 500, value: "EMAIL_MARKETING" },
+    { timestamp: 600, value: "REFERRALS" },
   ];
   const path = buildConversionPath(history, 700);
   assertDeepEqual(
@@ -125,7 +148,7 @@ console.log("\n=== 1. Path Collapse ===\n");
 
 {
   // Single entry
-  const history = [{ timestamp: "100", value: "DIRECT_TRAFFIC" }];
+  const history = [{ timestamp: 100, value: "DIRECT_TRAFFIC" }];
   const path = buildConversionPath(history, 200);
   assertDeepEqual(path, ["DIRECT_TRAFFIC"], "Single entry stays as-is");
 }
@@ -139,8 +162,8 @@ console.log("\n=== 1. Path Collapse ===\n");
 {
   // Case normalization
   const history = [
-    { timestamp: "100", value: "organic_search" },
-    { timestamp: "200", value: "Organic_Search" },
+    { timestamp: 100, value: "organic_search" },
+    { timestamp: 200, value: "Organic_Search" },
   ];
   const path = buildConversionPath(history, 300);
   assertDeepEqual(
@@ -159,8 +182,8 @@ console.log("\n=== 2. No Lookback Limit (all entries before conversion) ===\n");
   const recent = convTs - 1000;
 
   const history = [
-    { timestamp: String(veryOld), value: "PAID_SEARCH" },
-    { timestamp: String(recent), value: "ORGANIC_SEARCH" },
+    { timestamp: veryOld, value: "PAID_SEARCH" },
+    { timestamp: recent, value: "ORGANIC_SEARCH" },
   ];
   const path = buildConversionPath(history, convTs);
   assertDeepEqual(
@@ -173,8 +196,8 @@ console.log("\n=== 2. No Lookback Limit (all entries before conversion) ===\n");
 {
   // Entries with timestamp 0 or negative are excluded
   const history = [
-    { timestamp: "0", value: "PAID_SEARCH" },
-    { timestamp: "100", value: "ORGANIC_SEARCH" },
+    { timestamp: 0, value: "PAID_SEARCH" },
+    { timestamp: 100, value: "ORGANIC_SEARCH" },
   ];
   const path = buildConversionPath(history, 200);
   assertDeepEqual(
@@ -187,9 +210,9 @@ console.log("\n=== 2. No Lookback Limit (all entries before conversion) ===\n");
 {
   // Entries after conversion time are excluded
   const history = [
-    { timestamp: "100", value: "ORGANIC_SEARCH" },
-    { timestamp: "300", value: "PAID_SEARCH" },
-    { timestamp: "500", value: "DIRECT_TRAFFIC" }, // after conv time
+    { timestamp: 100, value: "ORGANIC_SEARCH" },
+    { timestamp: 300, value: "PAID_SEARCH" },
+    { timestamp: 500, value: "DIRECT_TRAFFIC" }, // after conv time
   ];
   const path = buildConversionPath(history, 400);
   assertDeepEqual(
@@ -217,15 +240,15 @@ console.log("\n=== 4. Aggregation Determinism ===\n");
   // Same input produces same output regardless of insertion order
   const histories = [
     [
-      { timestamp: "100", value: "ORGANIC_SEARCH" },
-      { timestamp: "200", value: "DIRECT_TRAFFIC" },
+      { timestamp: 100, value: "ORGANIC_SEARCH" },
+      { timestamp: 200, value: "DIRECT_TRAFFIC" },
     ],
     [
-      { timestamp: "150", value: "ORGANIC_SEARCH" },
-      { timestamp: "250", value: "DIRECT_TRAFFIC" },
+      { timestamp: 150, value: "ORGANIC_SEARCH" },
+      { timestamp: 250, value: "DIRECT_TRAFFIC" },
     ],
     [
-      { timestamp: "100", value: "PAID_SEARCH" },
+      { timestamp: 100, value: "PAID_SEARCH" },
     ],
   ];
 
@@ -309,6 +332,1044 @@ console.log("\n=== 5. Deal-Created Event Counting (No Contact Duplication) ===\n
   );
 }
 
+console.log("\n=== 6. Rule-Based Attribution Weights ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const convTs = 100 * DAY;
+  const tps = [
+    { channel: "PAID_SEARCH", timestamp: convTs - 14 * DAY },
+    { channel: "EMAIL_MARKETING", timestamp: convTs - 7 * DAY },
+    { channel: "ORGANIC_SEARCH", timestamp: convTs - 7 * DAY },
+    { channel: "DIRECT_TRAFFIC", timestamp: convTs },
+  ];
+  const near = (a, b) => a.length === b.length && a.every((v, i) => Math.abs(v - b[i]) < 1e-9);
+
+  assert(near(computeAttributionWeights(tps, convTs, "first_touch"), [1, 0, 0, 0]), "First touch credits the first channel");
+  assert(near(computeAttributionWeights(tps, convTs, "last_touch"), [0, 0, 0, 1]), "Last touch credits the last channel");
+  assert(near(computeAttributionWeights(tps, convTs, "linear"), [0.25, 0.25, 0.25, 0.25]), "Linear splits evenly");
+  assert(near(computeAttributionWeights(tps, convTs, "position_based"), [0.4, 0.1, 0.1, 0.4]), "Position-based is 40/20/40");
+  assert(near(computeAttributionWeights(tps.slice(0, 2), convTs, "position_based"), [0.5, 0.5]), "Position-based with two touches is 50/50");
+
+  // 7-day half-life: raw weights 0.25, 0.5, 0.5, 1 → normalised by 2.25
+  assert(
+    near(computeAttributionWeights(tps, convTs, "time_decay", { halfLifeDays: 7 }), [0.25 / 2.25, 0.5 / 2.25, 0.5 / 2.25, 1 / 2.25]),
+    "Time decay halves credit every half-life"
+  );
+  assert(near(computeAttributionWeights([tps[0]], convTs, "time_decay"), [1]), "Single touchpoint gets full credit");
+  assert(computeAttributionWeights([], convTs, "linear").length === 0, "No touchpoints → no weights");
+}
+
+console.log("\n=== 7. Markov Removal Effect ===\n");
+
+{
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+  // A>B converts once, A alone drops out once
+  const simple = computeMarkovAttribution([
+    { path: ["A", "B"], conversions: 1, nulls: 0 },
+    { path: ["A"], conversions: 0, nulls: 1 },
+  ]);
+  assert(near(simple.conversionProbability, 0.5), "Base conversion probability is 0.5");
+  assert(near(simple.transitions.probabilities.A.NULL, 0.5), "A → NULL transition probability is 0.5");
+  assert(near(simple.removalEffects.A, 1) && near(simple.removalEffects.B, 1), "Removing A or B kills every conversion");
+  assert(near(simple.shares.A, 0.5) && near(simple.shares.B, 0.5), "Equal removal effects → equal shares");
+
+  // Adding a standalone C path: each channel's removal halves the conversion probability
+  const three = computeMarkovAttribution([
+    { path: ["A", "B"], conversions: 1, nulls: 0 },
+    { path: ["A"], conversions: 0, nulls: 1 },
+    { path: ["C"], conversions: 1, nulls: 0 },
+  ]);
+  assert(near(three.conversionProbability, 2 / 3), "Base conversion probability is 2/3");
+  assert(near(three.shares.A, 1 / 3) && near(three.shares.C, 1 / 3), "Shares normalise to 1/3 each");
+
+  // Revisited channels (loops) still converge
+  const loop = computeMarkovAttribution([{ path: ["A", "B", "A"], conversions: 1, nulls: 0 }]);
+  assert(near(loop.conversionProbability, 1), "A>B>A loop converges to probability 1");
+
+  // Sampled NULL journeys are weighted up to the population, so the sample size doesn't matter
+  const paths = [{ path: ["A", "B"], conversions: 10 }, { path: ["C"], conversions: 5 }];
+  const small = [{ path: ["A"] }, { path: ["C"] }];
+  const large = [...small, ...small, ...small, ...small];
+  const smallStats = buildMarkovPathStats(paths, small, nonConvertingSampleScale(1000, 15, 2).scale);
+  const largeStats = buildMarkovPathStats(paths, large, nonConvertingSampleScale(1000, 15, 8).scale);
+  const fromSmall = computeMarkovAttribution(smallStats);
+  const fromLarge = computeMarkovAttribution(largeStats);
+  assert(near(fromSmall.conversionProbability, fromLarge.conversionProbability), "Conversion probability independent of sample size");
+  assert(near(fromSmall.removalEffects.A, fromLarge.removalEffects.A) && near(fromSmall.removalEffects.C, fromLarge.removalEffects.C),
+    "Removal effects independent of sample size");
+  assert(near(fromSmall.conversionProbability, 15 / 1000), "NULL mass matches the non-converting population");
+  assert(smallStats.find((p) => pathToKey(p.path) === "A").nulls === 492.5, "Each sampled journey stands for population ÷ sample");
+  assert(buildMarkovPathStats([{ path: ["A", "B", PATH_TRUNCATION_MARKER], conversions: 1 }], [], 1)[0].path.length === 2,
+    "Truncation markers left out of the chain");
+  assertDeepEqual(nonConvertingSampleScale(10, 8, 5), { nonConvertingContacts: 5, scale: 1 }, "Population never below the sample");
+  assert(nonConvertingSampleScale(100, 0, 0).scale === 0, "Empty sample → scale 0");
+}
+
+console.log("\n=== 8. Shapley Value ===\n");
+
+{
+  const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+  const pathCounts = {
+    "A": { path: ["A"], conversions: 1, totalValue: 100 },
+    "A>B>A": { path: ["A", "B", "A"], conversions: 1, totalValue: 50 },
+  };
+  const coalitions = buildShapleyCoalitions(pathCounts);
+  assert(coalitions.length === 2, "Paths grouped into distinct channel-set coalitions");
+
+  const exact = computeShapleyAttribution(coalitions);
+  assert(near(exact.channels.A.conversions, 1.5) && near(exact.channels.B.conversions, 0.5), "A earns 1.5, B earns 0.5");
+  assert(near(exact.channels.A.value, 125) && near(exact.channels.B.value, 25), "Value split the same way");
+  assert(
+    near(exact.channels.A.conversions + exact.channels.B.conversions, 2),
+    "Shapley credit sums to total conversions (efficiency)"
+  );
+
+  // Closed form matches v(S) over all subsets: {A}:1, {A,B}:1, {B,C}:3 → A 1.5, B 2, C 1.5
+  const three = computeShapleyAttribution([
+    { channels: ["A"], conversions: 1, value: 0 },
+    { channels: ["A", "B"], conversions: 1, value: 0 },
+    { channels: ["B", "C"], conversions: 3, value: 0 },
+  ]).channels;
+  assert(near(three.A.conversions, 1.5) && near(three.B.conversions, 2) && near(three.C.conversions, 1.5), "Each coalition split equally between its channels");
+
+  // Many channels: still exact, no sampling
+  const many = Array.from({ length: 20 }, (_, i) => ({ channels: [`C${i}`, `C${(i + 1) % 20}`], conversions: 1, value: 10 }));
+  const manyCredit = computeShapleyAttribution(many).channels;
+  assert(Object.keys(manyCredit).length === 20 && Object.values(manyCredit).every((c) => near(c.conversions, 1) && near(c.value, 10)),
+    "20 channels → exact credit per channel");
+  assertDeepEqual(computeShapleyAttribution([]), { channels: {} }, "No coalitions");
+
+  // Drill-down channels (source:data1) are separate players; truncation markers are not players
+  const drillDown = buildShapleyCoalitions({
+    "a": { path: [PATH_TRUNCATION_MARKER, "PAID_SEARCH:google", "ORGANIC_SEARCH"], conversions: 2, totalValue: 200 },
+    "b": { path: ["PAID_SEARCH:bing", "ORGANIC_SEARCH"], conversions: 1, totalValue: 0 },
+  });
+  assertDeepEqual(
+    drillDown.map((c) => c.channels),
+    [["ORGANIC_SEARCH", "PAID_SEARCH:google"], ["ORGANIC_SEARCH", "PAID_SEARCH:bing"]],
+    "Drill-down coalitions keep source details and drop the truncation marker"
+  );
+  const drillDownCredit = computeShapleyAttribution(drillDown);
+  assert(!(PATH_TRUNCATION_MARKER in drillDownCredit.channels), "Truncation marker earns no credit");
+  assert(near(drillDownCredit.channels["PAID_SEARCH:google"].conversions, 1) && near(drillDownCredit.channels["PAID_SEARCH:bing"].conversions, 0.5),
+    "Credit split per drill-down channel");
+}
+
+console.log("\n=== 9. Path Construction Options ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const convTs = 200 * DAY;
+  const history = [
+    { timestamp: convTs - 100 * DAY, value: "PAID_SEARCH" },
+    { timestamp: convTs - 40 * DAY, value: "ORGANIC_SEARCH" },
+    { timestamp: convTs - 20 * DAY, value: "ORGANIC_SEARCH" },
+    { timestamp: convTs - 10 * DAY, value: "DIRECT_TRAFFIC" },
+    { timestamp: convTs - 5 * DAY, value: "EMAIL_MARKETING" },
+  ];
+  const build = (opts) => {
+    const options = { ...DEFAULT_PATH_OPTIONS, ...opts };
+    const { touchpoints, truncated } = truncateTouchpoints(buildConversionTouchpoints(history, convTs, options), options);
+    return touchpointsToPath(touchpoints, truncated);
+  };
+
+  assertDeepEqual(
+    build({}),
+    ["PAID_SEARCH", "ORGANIC_SEARCH", "DIRECT_TRAFFIC", "EMAIL_MARKETING"],
+    "Defaults: full history, repeats collapsed"
+  );
+  assertDeepEqual(
+    build({ lookbackDays: 30 }),
+    ["ORGANIC_SEARCH", "DIRECT_TRAFFIC", "EMAIL_MARKETING"],
+    "30-day lookback drops older touchpoints"
+  );
+  assertDeepEqual(
+    build({ collapseRepeats: false }),
+    ["PAID_SEARCH", "ORGANIC_SEARCH", "ORGANIC_SEARCH", "DIRECT_TRAFFIC", "EMAIL_MARKETING"],
+    "collapseRepeats=false keeps consecutive duplicates"
+  );
+  assertDeepEqual(
+    build({ maxPathLength: 2 }),
+    ["…", "DIRECT_TRAFFIC", "EMAIL_MARKETING"],
+    "Head truncation keeps the last touchpoints"
+  );
+  assertDeepEqual(
+    build({ maxPathLength: 2, truncate: "tail" }),
+    ["PAID_SEARCH", "ORGANIC_SEARCH", "…"],
+    "Tail truncation keeps the first touchpoints"
+  );
+  assertDeepEqual(
+    build({ ignoreDirect: true }),
+    ["PAID_SEARCH", "ORGANIC_SEARCH", "EMAIL_MARKETING"],
+    "ignoreDirect drops DIRECT_TRAFFIC when other sources exist"
+  );
+
+  const directOnly = [{ timestamp: convTs - DAY, value: "DIRECT_TRAFFIC" }];
+  const directTouchpoints = buildConversionTouchpoints(directOnly, convTs, { ...DEFAULT_PATH_OPTIONS, ignoreDirect: true });
+  assertDeepEqual(
+    directTouchpoints.map((t) => t.channel),
+    ["DIRECT_TRAFFIC"],
+    "ignoreDirect keeps DIRECT_TRAFFIC when it is the only source"
+  );
+
+  const collapsed = buildConversionTouchpoints(history, convTs);
+  assert(collapsed[1].timestamp === convTs - 20 * DAY, "Collapsed touchpoint keeps its most recent timestamp");
+}
+
+console.log("\n=== 10. Time Lag + Path Length Buckets ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const convTs = 200 * DAY;
+  const history = [
+    { timestamp: convTs - 45 * DAY, value: "ORGANIC_SEARCH" },
+    { timestamp: convTs - 44 * DAY, value: "ORGANIC_SEARCH" },
+    { timestamp: convTs - 3 * DAY, value: "EMAIL_MARKETING" },
+  ];
+
+  assert(timeLagDays(history, convTs) === 45, "Time lag counts from the earliest touch, not the collapsed one");
+  assert(timeLagDays(history, convTs, { ...DEFAULT_PATH_OPTIONS, lookbackDays: 30 }) === 3, "Time lag respects the lookback window");
+  assert(timeLagDays([], convTs) === null, "No touchpoints → unknown time lag");
+  assert(timeLagDays(history, convTs + DAY - 1) === 45, "Partial days round down");
+
+  const lag = createBucketReport(TIME_LAG_BUCKETS);
+  addToBucketReport(lag, TIME_LAG_BUCKETS, 0, 1, 100);
+  addToBucketReport(lag, TIME_LAG_BUCKETS, 11, 0.5, 50);
+  addToBucketReport(lag, TIME_LAG_BUCKETS, 12, 0.5, 50);
+  addToBucketReport(lag, TIME_LAG_BUCKETS, 45, 1, 0);
+  addToBucketReport(lag, TIME_LAG_BUCKETS, 400, 1, 0);
+  addToBucketReport(lag, TIME_LAG_BUCKETS, null, 1, 0);
+  const lagOut = finalizeBucketReport(lag, 5);
+  const byLabel = Object.fromEntries(lagOut.map((b) => [b.label, b]));
+  assert(byLabel["0 days"].conversions === 1 && byLabel["0 days"].conversionValue === 100, "Same-day conversion in 0 days");
+  assert(byLabel["11 days"].conversions === 0.5, "Day 11 has its own bucket");
+  assert(byLabel["12–30 days"].conversions === 0.5, "Day 12 starts the 12–30 range");
+  assert(byLabel["31–60 days"].conversions === 1, "45 days → 31–60");
+  assert(byLabel["91+ days"].conversions === 1, "400 days → 91+");
+  assert(byLabel["Unknown"].sharePct === 20, "Unknown share computed against all conversions");
+  assert(lagOut.length === TIME_LAG_BUCKETS.length, "All buckets returned (including empty ones)");
+
+  const len = createBucketReport(PATH_LENGTH_BUCKETS);
+  addToBucketReport(len, PATH_LENGTH_BUCKETS, 1, 1, 0);
+  addToBucketReport(len, PATH_LENGTH_BUCKETS, 15, 1, 0);
+  const lenOut = finalizeBucketReport(len, 2);
+  assert(lenOut[0].label === "1" && lenOut[0].sharePct === 50, "Single-touch paths in bucket 1");
+  assert(lenOut.find((b) => b.label === "12+").conversions === 1, "Long paths grouped in 12+");
+}
+
+console.log("\n=== 11. Assisted Conversions ===\n");
+
+{
+  const tp = (...channels) => channels.map((channel) => ({ channel }));
+  const assisted = {};
+  addAssistedConversions(assisted, tp("ORGANIC_SEARCH", "EMAIL_MARKETING", "ORGANIC_SEARCH"), 1, 100);
+  addAssistedConversions(assisted, tp("PAID_SEARCH", "ORGANIC_SEARCH"), 0.5, 50);
+  addAssistedConversions(assisted, tp("EMAIL_MARKETING"), 1, 0);
+  addAssistedConversions(assisted, [], 1, 0);
+
+  const rows = Object.fromEntries(rankAssistedConversions(assisted).map((r) => [r.channel, r]));
+  assert(rows.ORGANIC_SEARCH.lastConversions === 1.5, "Last interaction sums event weights");
+  assert(rows.ORGANIC_SEARCH.assistedConversions === 1, "Channel assisting and closing the same conversion counts as both");
+  assert(rows.ORGANIC_SEARCH.firstConversions === 1 && rows.ORGANIC_SEARCH.firstValue === 100, "First interaction with value");
+  assert(rows.EMAIL_MARKETING.assistedConversions === 1 && rows.EMAIL_MARKETING.assistedValue === 100, "Mid-path channel assists");
+  assert(rows.EMAIL_MARKETING.assistedLastRatio === 1, "Assisted/last ratio");
+  assert(rows.PAID_SEARCH.assistedLastRatio === null, "Never-last channel has no ratio");
+  assert(rows.PAID_SEARCH.assistedConversions === 0.5, "Single-step paths never assist");
+  assert(rows.UNKNOWN.lastConversions === 1 && rows.UNKNOWN.assistedConversions === 0, "No touchpoints → UNKNOWN last interaction");
+
+  const repeated = {};
+  addAssistedConversions(repeated, tp("A", "B", "A", "B", "C"), 1, 0);
+  assert(repeated.A.assistedConversions === 1, "Repeated assists count once per conversion");
+}
+
+console.log("\n=== 12. Source Drill-Down ===\n");
+
+{
+  const MIN = 60 * 1000;
+  const source = [
+    { timestamp: 10 * MIN, value: "PAID_SEARCH" },
+    { timestamp: 50 * MIN, value: "ORGANIC_SEARCH" },
+    { timestamp: 90 * MIN, value: "DIRECT_TRAFFIC" },
+  ];
+  const data1 = [
+    { timestamp: 10 * MIN + 5, value: "google" },
+    { timestamp: 30 * MIN, value: "google" },
+    { timestamp: 50 * MIN + 10, value: "bing" },
+  ];
+  const data2 = [
+    { timestamp: 10 * MIN + 7, value: "brand_campaign" },
+    { timestamp: 30 * MIN + 2, value: "generic_campaign" },
+  ];
+
+  const merged = buildDrillDownHistory(source, data1, data2);
+  assertDeepEqual(
+    merged.map((e) => e.value),
+    ["PAID_SEARCH:google / brand_campaign", "PAID_SEARCH:google / generic_campaign", "ORGANIC_SEARCH:bing", "DIRECT_TRAFFIC"],
+    "Details paired with sources by timestamp; details-only update is its own entry; new source clears details"
+  );
+  assert(merged[0].timestamp === 10 * MIN + 7, "Merged entry uses the latest timestamp in its update");
+
+  const touchpoints = buildConversionTouchpoints(merged, 100 * MIN, { ...DEFAULT_PATH_OPTIONS, ignoreDirect: true });
+  assertDeepEqual(
+    touchpoints.map((t) => t.channel),
+    ["PAID_SEARCH:google / brand_campaign", "PAID_SEARCH:google / generic_campaign", "ORGANIC_SEARCH:bing"],
+    "Drill-down channels keep details as entered; ignoreDirect matches the top-level source"
+  );
+
+  assert(normalizeChannel(" paid_search:Google ") === "PAID_SEARCH:Google", "Only the source part is upper-cased");
+  assert(channelSource("PAID_SEARCH:google / x") === "PAID_SEARCH", "channelSource strips details");
+  assertDeepEqual(buildDrillDownHistory([], data1, data2), [], "Details without any source produce no entries");
+}
+
+console.log("\n=== 13. Period-Over-Period Comparison ===\n");
+
+{
+  const current = {
+    totalConversions: 6,
+    startDate: "2026-04-01", endDate: "2026-06-30",
+    paths: [
+      { path: ["A", "B"], pathKey: "A>B", conversions: 4, sharePct: 66.67 },
+      { path: ["C"], pathKey: "C", conversions: 2, sharePct: 33.33 },
+    ],
+    attribution: { channels: [{ channel: "B", conversions: 4, sharePct: 66.67 }, { channel: "C", conversions: 2, sharePct: 33.33 }] },
+  };
+  const previous = {
+    totalConversions: 4,
+    startDate: "2026-01-01", endDate: "2026-03-31",
+    paths: [
+      { path: ["A", "B"], pathKey: "A>B", conversions: 2, sharePct: 50 },
+      { path: ["D"], pathKey: "D", conversions: 2, sharePct: 50 },
+    ],
+    attribution: { channels: [{ channel: "B", conversions: 2, sharePct: 50 }, { channel: "D", conversions: 2, sharePct: 50 }] },
+  };
+
+  const cmp = buildMcfComparison(current, previous);
+  assert(cmp.startDate === "2026-01-01" && cmp.totalConversions === 4, "Comparison records the previous window");
+  assert(cmp.change === 2 && cmp.changePct === 50, "Total conversions change (+2, +50%)");
+  assertDeepEqual(cmp.paths.map((p) => p.pathKey), ["A>B", "C", "D"], "Paths cover both periods, current first");
+  const ab = cmp.paths[0];
+  assert(ab.current.conversions === 4 && ab.previous.sharePct === 50 && ab.change === 2 && ab.changePct === 100, "Path change");
+  assert(cmp.paths[1].changePct === null && cmp.paths[1].previous.conversions === 0, "New path has no percent change");
+  assert(cmp.paths[2].change === -2 && cmp.paths[2].changePct === -100, "Disappeared path drops by 100%");
+  assert(cmp.channels.find((c) => c.channel === "B").changePct === 100, "Channel credit compared too");
+
+  const empty = buildMcfComparison(current, { ...previous, totalConversions: 0, paths: [], attribution: { channels: [] } });
+  assert(empty.changePct === null && empty.paths.every((p) => p.previous.conversions === 0), "Empty previous period");
+}
+
+console.log("\n=== 14. Segment Filters ===\n");
+
+{
+  assert(parseSegmentFilter(undefined).segment === null, "No segment → null");
+  assert(parseSegmentFilter({ lifecycleStage: "", ownerId: " ", properties: [] }).segment === null, "Blank conditions → null");
+  assert(parseSegmentFilter({ listId: "abc" }).error, "Non-numeric listId rejected");
+  assert(parseSegmentFilter({ properties: [{ property: "bad name", value: "x" }] }).error, "Invalid property name rejected");
+  assert(parseSegmentFilter({ properties: [{ property: "city", operator: "like", value: "x" }] }).error, "Unknown operator rejected");
+  assert(parseSegmentFilter({ properties: [{ property: "city", operator: "eq" }] }).error, "Missing value rejected");
+  assert(parseSegmentFilter({ properties: [{ property: "score", operator: "gt", value: "high" }] }).error, "Non-numeric gt rejected");
+
+  const { segment } = parseSegmentFilter({
+    lifecycleStage: "customer",
+    ownerId: 9,
+    listId: "77",
+    properties: [
+      { property: "city", operator: "eq", value: "London" },
+      { property: "hs_analytics_num_visits", operator: "gt", value: "3" },
+      { property: "jobtitle", operator: "has_property", value: "ignored" },
+    ],
+  });
+  assertDeepEqual(
+    segment,
+    {
+      lifecycleStage: "customer",
+      ownerId: "9",
+      listId: "77",
+      properties: [
+        { property: "city", operator: "eq", value: "London" },
+        { property: "hs_analytics_num_visits", operator: "gt", value: "3" },
+        { property: "jobtitle", operator: "has_property" },
+      ],
+    },
+    "Segment normalized (strings, value dropped for has_property)"
+  );
+
+  const contact = { lifecyclestage: "customer", hubspot_owner_id: "9", city: "london", hs_analytics_num_visits: "5", jobtitle: "CMO" };
+  assert(contactMatchesSegment(contact, segment), "Matching contact (case-insensitive values)");
+  assert(!contactMatchesSegment({ ...contact, lifecyclestage: "lead" }, segment), "Wrong lifecycle stage excluded");
+  assert(!contactMatchesSegment({ ...contact, hubspot_owner_id: "10" }, segment), "Wrong owner excluded");
+  assert(!contactMatchesSegment({ ...contact, hs_analytics_num_visits: "2" }, segment), "gt filter excludes");
+  assert(!contactMatchesSegment({ ...contact, jobtitle: "" }, segment), "has_property excludes empty");
+  assert(matchesSegmentProperty(undefined, { operator: "not_has_property" }), "not_has_property matches missing");
+  assert(!matchesSegmentProperty("", { operator: "lt", value: "3" }), "Empty value never passes lt");
+  assert(matchesSegmentProperty("Head of Growth", { operator: "contains", value: "growth" }), "contains is case-insensitive");
+}
+
+console.log("\n=== 15. Currency Normalization ===\n");
+
+{
+  assert(validateCurrencySettings({ reportingCurrency: "usd" }).settings.reportingCurrency === "USD", "Reporting currency upper-cased");
+  assert(validateCurrencySettings({ reportingCurrency: "dollars" }).error, "Invalid reporting currency rejected");
+  assert(validateCurrencySettings({ rates: [{ currency: "EUR", rate: 0 }] }).error, "Non-positive rate rejected");
+  assert(validateCurrencySettings({ rates: [{ currency: "EUR", rate: 1, effectiveDate: "soon" }] }).error, "Invalid date rejected");
+  const deduped = validateCurrencySettings({ rates: [{ currency: "eur", rate: 1.1 }, { currency: "EUR", rate: 1.2 }] }).settings;
+  assert(deduped.rates.length === 1 && deduped.rates[0].rate === 1.2, "Same currency + date keeps the last rate");
+
+  const csv = parseExchangeRateCsv("currency,rate,effectiveDate\nEUR,1.10\n\nEUR;1.20;2026-03-01\r\nGBP\t1.27\t2026-01-01");
+  assertDeepEqual(
+    csv.rates,
+    [
+      { currency: "EUR", rate: 1.1, effectiveDate: null },
+      { currency: "EUR", rate: 1.2, effectiveDate: "2026-03-01" },
+      { currency: "GBP", rate: 1.27, effectiveDate: "2026-01-01" },
+    ],
+    "CSV parsed (header skipped; comma, semicolon or tab separated)"
+  );
+  assert(/Line 2/.test(parseExchangeRateCsv("currency,rate\nEURO,1").error), "CSV errors name the line");
+  assert(parseExchangeRateCsv("\n").error, "Empty CSV rejected");
+
+  const settings = { reportingCurrency: "USD", rates: csv.rates };
+  const ts = (d) => new Date(d).getTime();
+  assert(findExchangeRate(settings, "USD", ts("2026-02-01")) === 1, "Reporting currency has rate 1");
+  assert(findExchangeRate(settings, null, ts("2026-02-01")) === 1, "Missing currency treated as reporting currency");
+  assert(findExchangeRate(settings, "EUR", ts("2026-02-01")) === 1.1, "Undated rate before any dated one applies");
+  assert(findExchangeRate(settings, "EUR", ts("2026-03-01")) === 1.2, "Dated rate applies from its date");
+  assert(findExchangeRate(settings, "GBP", ts("2025-12-31")) === null, "No rate before the only dated rate");
+  assert(findExchangeRate(settings, "JPY", ts("2026-02-01")) === null, "Unknown currency has no rate");
+
+  const conversions = [
+    { conversionValue: 100, currency: "EUR", conversionTimestamp: ts("2026-03-15") },
+    { conversionValue: 50, currency: "USD", conversionTimestamp: ts("2026-03-15") },
+    { conversionValue: 10, currency: "JPY", conversionTimestamp: ts("2026-03-15") },
+  ];
+  const out = normalizeConversionCurrencies(conversions, settings);
+  assert(out.conversions[0].conversionValue === 120 && out.conversions[0].currency === "USD", "EUR converted to USD");
+  assert(out.conversions[0].originalValue === 100 && out.conversions[0].originalCurrency === "EUR", "Original value kept");
+  assert(out.conversions[2].unconverted && out.conversions[2].conversionValue === 0, "Missing rate counts 0 in the reporting currency");
+  assert(out.conversions[2].originalValue === 10 && out.conversions[2].originalCurrency === "JPY", "Unconverted original kept");
+  assertDeepEqual(unconvertedCurrencyTotals(out.conversions), { JPY: 10 }, "Unconverted amounts reported in their own currency");
+  assertDeepEqual(out.missingRates, ["JPY"], "Missing rates listed");
+  assert(normalizeConversionCurrencies(conversions, { reportingCurrency: null, rates: [] }).conversions === conversions, "No reporting currency → unchanged");
+
+  const breakdown = {};
+  out.conversions.forEach((c) => addCurrencyBreakdown(breakdown, c, 0.5));
+  assertDeepEqual(breakdown, { EUR: 50, USD: 25, JPY: 5 }, "Breakdown uses original currencies and weights");
+
+  const credits = {};
+  addChannelCredit(credits, [{ channel: "ORGANIC_SEARCH" }, { channel: "PAID_SEARCH" }], [0.25, 0.75], 1, 120, out.conversions[0]);
+  addChannelCredit(credits, [{ channel: "PAID_SEARCH" }], [1], 1, 0, out.conversions[2]);
+  const ranked = rankChannelCredits(credits, 2);
+  const paid = ranked.find((c) => c.channel === "PAID_SEARCH");
+  assert(paid.conversionValue === 90, "Unconverted value stays out of the channel total");
+  assertDeepEqual(paid.valueByCurrency, { EUR: 75, JPY: 10 }, "Channel breakdown follows the credit weights");
+  assertDeepEqual(ranked.find((c) => c.channel === "ORGANIC_SEARCH").valueByCurrency, { EUR: 25 }, "Breakdown per channel");
+
+  const shapleyBreakdown = shapleyCurrencyBreakdown({
+    a: { path: ["ORGANIC_SEARCH", "PAID_SEARCH", "ORGANIC_SEARCH"], valueByCurrency: { EUR: 100 } },
+    b: { path: ["PAID_SEARCH"], valueByCurrency: { GBP: 30 } },
+  });
+  assertDeepEqual(
+    shapleyBreakdown,
+    { ORGANIC_SEARCH: { EUR: 50 }, PAID_SEARCH: { EUR: 50, GBP: 30 } },
+    "Shapley breakdown splits each path equally between its distinct channels"
+  );
+}
+
+console.log("\n=== 16. History Cache ===\n");
+
+{
+  const cached = {
+    "1": { lastmodifieddate: "2026-01-01", properties: { email: "a@x.com" }, propertiesWithHistory: { hs_latest_source: [] } },
+    "2": { lastmodifieddate: "2026-01-01", properties: { email: "b@x.com" }, propertiesWithHistory: { hs_latest_source: [] } },
+    "3": { lastmodifieddate: "2026-01-01", properties: { email: null }, propertiesWithHistory: { hs_latest_source: [] } },
+  };
+  const modified = { "1": "2026-01-01", "2": "2026-02-01", "3": "2026-01-01" };
+  assertDeepEqual(
+    contactsNeedingFetch(cached, ["1", "2", "3", "4"], modified, ["email"], ["hs_latest_source"]),
+    ["2", "4"],
+    "Changed and uncached contacts re-read; null values count as cached"
+  );
+  assertDeepEqual(
+    contactsNeedingFetch(cached, ["1"], {}, ["email"], ["hs_latest_source"]),
+    ["1"],
+    "Unknown lastmodifieddate → re-read"
+  );
+  assertDeepEqual(
+    contactsNeedingFetch(cached, ["1"], modified, ["email"], ["hs_latest_source", "hs_latest_source_data_1"]),
+    ["1"],
+    "Missing history property (drill-down) → re-read"
+  );
+
+  const DAY = 86400000;
+  const signature = "";
+  assertDeepEqual(planConversionFetch(undefined, 0, 10 * DAY, signature), { ranges: [{ start: 0, end: 10 * DAY }], replace: true }, "Empty cache fetches the whole window");
+  const entry = { signature, ranges: [{ start: 100 * DAY, end: 200 * DAY, syncedAt: "2026-01-01" }], conversions: [] };
+  assertDeepEqual(planConversionFetch(entry, 120 * DAY, 180 * DAY, signature).ranges, [], "Covered window needs no search");
+  assertDeepEqual(
+    planConversionFetch(entry, 50 * DAY, 210 * DAY, signature).ranges,
+    [{ start: 50 * DAY, end: 100 * DAY }, { start: 200 * DAY, end: 210 * DAY }],
+    "Head and tail gaps only"
+  );
+  assertDeepEqual(planConversionFetch(entry, 198 * DAY, 210 * DAY, signature).ranges, [{ start: 200 * DAY, end: 210 * DAY }], "Tail gap starts at the cached end");
+  const disjoint = planConversionFetch(entry, 465 * DAY, 565 * DAY, signature);
+  assert(!disjoint.replace && disjoint.ranges.length === 1 && disjoint.ranges[0].start === 465 * DAY, "Disjoint window searched in full, cached range kept");
+  assert(planConversionFetch(entry, 120 * DAY, 180 * DAY, "{\"kind\":\"date_set\"}").replace, "Changed signature replaces the entry");
+  assertDeepEqual(
+    cachedConversionRanges({ start: 1, end: 2, syncedAt: "2026-01-01" }),
+    [{ start: 1, end: 2, syncedAt: "2026-01-01" }],
+    "Entry from before ranges were kept → one range"
+  );
+
+  // Current window and a year-ago comparison window cached side by side
+  const yearAgo = { start: 100 * DAY, end: 130 * DAY, syncedAt: "2026-01-01" };
+  const current = { start: 465 * DAY, end: 495 * DAY, syncedAt: "2026-01-02" };
+  const bothRanges = withSyncedRange([yearAgo], current);
+  assertDeepEqual(bothRanges, [yearAgo, current], "Two non-overlapping windows kept as two ranges");
+  const both = { signature, ranges: bothRanges, conversions: [] };
+  assertDeepEqual(planConversionFetch(both, 100 * DAY, 130 * DAY, signature).ranges, [], "Year-ago window served from cache");
+  assertDeepEqual(planConversionFetch(both, 465 * DAY, 495 * DAY, signature).ranges, [], "Current window served from cache");
+  assertDeepEqual(
+    planConversionFetch(both, 120 * DAY, 470 * DAY, signature).ranges,
+    [{ start: 130 * DAY, end: 465 * DAY }],
+    "Only the gap between the cached ranges is searched"
+  );
+  const resynced = withSyncedRange(bothRanges, { start: 120 * DAY, end: 470 * DAY, syncedAt: "2026-01-03" });
+  assertDeepEqual(
+    resynced.map((r) => [Math.round(r.start / DAY), Math.round(r.end / DAY), r.syncedAt]),
+    [[100, 120, "2026-01-01"], [120, 470, "2026-01-03"], [470, 495, "2026-01-02"]],
+    "Re-synced window splits older ranges, each part keeps its sync time"
+  );
+  assertDeepEqual(mergeRanges([{ start: 5, end: 9 }, { start: 0, end: 4 }, { start: 20, end: 30 }]), [{ start: 0, end: 9 }, { start: 20, end: 30 }], "Adjacent ranges merged");
+
+  const recheck = recheckRanges([110 * DAY + 5000, 110 * DAY + 9000, 99 * DAY, NaN, 130 * DAY + 1], { start: 100 * DAY, end: 130 * DAY });
+  assertDeepEqual(
+    recheck,
+    [{ start: 110 * DAY, end: 111 * DAY - 1 }, { start: 130 * DAY, end: 130 * DAY }],
+    "Edited conversions re-searched by whole day, clipped to the range"
+  );
+
+  assert(conversionCacheKey({ companyId: "c1", objectId: "d1" }) === "company:c1", "Company conversions keyed by company");
+  assert(conversionCacheKey({ objectId: "d1", associatedContactIds: ["1"] }) === "object:d1", "Deal conversions keyed by deal");
+  assert(conversionCacheKey({ contactId: "1" }) === "contact:1", "Contact conversions keyed by contact");
+
+  const merged = mergeCachedConversions(
+    [
+      { contactId: "1", conversionTimestamp: 150 * DAY },
+      { contactId: "2", conversionTimestamp: 195 * DAY },
+      { objectId: "d1", conversionTimestamp: 196 * DAY, conversionValue: 100 },
+    ],
+    [
+      { objectId: "d1", conversionTimestamp: 196 * DAY, conversionValue: 250 },
+      { contactId: "3", conversionTimestamp: 205 * DAY },
+    ],
+    [{ start: 193 * DAY, end: 210 * DAY }]
+  );
+  assertDeepEqual(merged.map(conversionCacheKey), ["contact:1", "object:d1", "contact:3"], "Re-searched range replaced, order by timestamp");
+  assert(merged[1].conversionValue === 250, "Fresh conversion wins");
+}
+
+console.log("\n=== 17. Channel Transitions ===\n");
+
+{
+  const flow = buildChannelTransitions([
+    { path: ["ORGANIC_SEARCH", "PAID_SEARCH", "ORGANIC_SEARCH"], conversions: 2, conversionValue: 300 },
+    { path: ["…", "ORGANIC_SEARCH", "PAID_SEARCH"], conversions: 0.5, conversionValue: 50 },
+    { path: ["DIRECT_TRAFFIC"], conversions: 1, conversionValue: 0 },
+    { path: ["EMAIL_MARKETING"], conversions: 0, conversionValue: 0 },
+  ]);
+  assertDeepEqual(
+    flow.nodes.map((n) => n.id),
+    ["ENTRY", "1:DIRECT_TRAFFIC", "1:ORGANIC_SEARCH", "2:PAID_SEARCH", "3:ORGANIC_SEARCH", "CONVERSION"],
+    "Per-step nodes between entry and conversion (truncation marker and empty paths skipped)"
+  );
+  assert(flow.nodes[flow.nodes.length - 1].step === 4, "Conversion node after the longest path");
+  const link = (s, tgt) => flow.links.find((l) => l.source === s && l.target === tgt);
+  assert(link("ENTRY", "1:ORGANIC_SEARCH").conversions === 2.5, "Entry links summed across paths");
+  assert(link("2:PAID_SEARCH", "CONVERSION").conversions === 0.5, "Last step links to conversion");
+  assert(link("3:ORGANIC_SEARCH", "CONVERSION").value === 300, "Link carries conversion value");
+  const pair = (from, to) => flow.transitions.find((tr) => tr.from === from && tr.to === to);
+  assert(pair("ORGANIC_SEARCH", "PAID_SEARCH").conversions === 2.5, "Channel pair sums every step");
+  assert(pair("PAID_SEARCH", "ORGANIC_SEARCH").conversions === 2, "Revisits kept as their own pair");
+  assert(flow.transitions[0].conversions >= flow.transitions[flow.transitions.length - 1].conversions, "Transitions ranked by conversions");
+  assertDeepEqual(buildChannelTransitions([]), { nodes: [], links: [], transitions: [] }, "No paths → empty flow");
+}
+
+console.log("\n=== 18. Export Helpers ===\n");
+
+{
+  assert(csvLine(["a", 1, null, "x,y"]) === 'a,1,,"x,y"\r\n', "Commas quoted, null empty, numbers as-is");
+  assert(csvCell('say "hi"') === '"say ""hi"""', "Quotes doubled");
+  assert(csvCell("=SUM(A1)") === "'=SUM(A1)", "Formula-like text neutralised");
+  assert(csvCell(-5) === "-5", "Negative numbers untouched");
+  assert(crc32(Buffer.from("123456789")) === 0xcbf43926, "CRC-32 check value");
+
+  const zip = buildZip([{ name: "a.txt", data: "hello" }, { name: "dir/b.xml", data: "<x/>" }]);
+  assert(zip.readUInt32LE(0) === 0x04034b50, "Starts with a local file header");
+  const nameLen = zip.readUInt16LE(26);
+  const compSize = zip.readUInt32LE(18);
+  assert(zlib.inflateRawSync(zip.subarray(30 + nameLen, 30 + nameLen + compSize)).toString() === "hello", "Entry inflates back");
+  const endRecord = zip.subarray(zip.length - 22);
+  assert(endRecord.readUInt32LE(0) === 0x06054b50 && endRecord.readUInt16LE(10) === 2, "End record lists both entries");
+  assert(zip.readUInt32LE(endRecord.readUInt32LE(16)) === 0x02014b50, "Central directory offset points at its first entry");
+
+  // Entries of a zip built above, by name → inflated text
+  const unzip = (buf) => {
+    const files = {};
+    for (let at = 0; buf.readUInt32LE(at) === 0x04034b50;) {
+      const size = buf.readUInt32LE(at + 18);
+      const nameEnd = at + 30 + buf.readUInt16LE(at + 26);
+      files[buf.subarray(at + 30, nameEnd).toString()] = zlib.inflateRawSync(buf.subarray(nameEnd, nameEnd + size)).toString();
+      at = nameEnd + size;
+    }
+    return files;
+  };
+  const xlsx = unzip(buildXlsx([
+    { name: "Paths", columns: ["Path", "Conversions"], rows: [["Paid Search > <Direct>", 2.5]] },
+    { name: "a/b:c", columns: ["Email"], rows: [[null]] },
+  ]));
+  assert(["[Content_Types].xml", "xl/workbook.xml", "xl/worksheets/sheet1.xml", "xl/worksheets/sheet2.xml"].every((n) => n in xlsx), "Workbook parts present");
+  assert(/<sheet name="a b c" sheetId="2"/.test(xlsx["xl/workbook.xml"]), "Sheet names stripped of characters Excel rejects");
+  assert(xlsx["xl/worksheets/sheet1.xml"].includes("Paid Search &gt; &lt;Direct&gt;") && xlsx["xl/worksheets/sheet1.xml"].includes("<v>2.5</v>"),
+    "Text escaped inline, numbers as values");
+}
+
+console.log("\n=== 19. Journey Write-back ===\n");
+
+{
+  const inputs = buildJourneyPropertyUpdates([
+    { contactId: "1", pathKey: "…>PAID_SEARCH:google>DIRECT_TRAFFIC", firstTouch: "EMAIL_MARKETING", lastTouch: "DIRECT_TRAFFIC", touchpoints: 4, daysToConversion: 12 },
+    { contactId: "1", pathKey: "REFERRALS", firstTouch: "REFERRALS", lastTouch: "REFERRALS", touchpoints: 1, daysToConversion: 0 },
+    { contactId: "2", pathKey: "UNKNOWN", firstTouch: null, lastTouch: null, touchpoints: 0, daysToConversion: null },
+  ], "First-ever meeting");
+  assert(inputs.length === 2, "One update per contact");
+  assertDeepEqual(inputs[0].properties, {
+    mcf_first_touch_channel: "Email Marketing",
+    mcf_last_touch_channel: "Direct Traffic",
+    mcf_conversion_path: "… > Paid Search: google > Direct Traffic",
+    mcf_touchpoint_count: 4,
+    mcf_days_to_conversion: 12,
+    mcf_journey_conversion: "First-ever meeting",
+  }, "Readable labels; first touch from the whole journey");
+  assertDeepEqual(inputs[1], {
+    id: "2",
+    properties: {
+      mcf_first_touch_channel: "",
+      mcf_last_touch_channel: "",
+      mcf_conversion_path: "",
+      mcf_touchpoint_count: 0,
+      mcf_days_to_conversion: "",
+      mcf_journey_conversion: "First-ever meeting",
+    },
+  }, "No journey clears the channel and path values");
+}
+
+console.log("\n=== 20. Channel Groupings ===\n");
+
+{
+  const invalid = [
+    [{ groups: [{ label: "", sources: ["PAID_SEARCH"] }] }, "a name is required"],
+    [{ groups: [{ label: "Paid", sources: ["PAID_SEARCH"] }, { label: "paid!", sources: ["PAID_SOCIAL"] }] }, "used by another group"],
+    [{ groups: [{ label: "Other", sources: ["OFFLINE"] }] }, "reserved for the fallback group"],
+    [{ groups: [{ label: "Paid", sources: ["TV"] }] }, "invalid sources: TV"],
+    [{ groups: [{ label: "Paid" }] }, "at least one source or data 1 value"],
+  ];
+  for (const [input, message] of invalid) {
+    const r = validateChannelGrouping(input);
+    assert(r.error && r.error.includes(message), `Rejected: ${message}`);
+  }
+
+  const { grouping } = validateChannelGrouping({
+    groups: [
+      { label: "Partners", sources: ["REFERRALS"], data1: " Partner.com, affiliate.net ,partner.com" },
+      { label: "Paid Media", sources: ["PAID_SEARCH", "PAID_SOCIAL", "PAID_SEARCH"] },
+    ],
+    fallbackLabel: "  ",
+  });
+  assertDeepEqual(grouping, {
+    groups: [
+      { key: "PARTNERS", label: "Partners", sources: ["REFERRALS"], data1: ["partner.com", "affiliate.net"] },
+      { key: "PAID_MEDIA", label: "Paid Media", sources: ["PAID_SEARCH", "PAID_SOCIAL"], data1: [] },
+    ],
+    fallbackLabel: null,
+  }, "Keys derived from labels; data 1 split, trimmed, lowercased and de-duplicated");
+
+  assert(matchesData1("https://www.partner.com/page?x=1", "partner.com"), "URL host subdomain matches the domain");
+  assert(matchesData1("partner.com:8080", "partner.com"), "Port ignored");
+  assert(!matchesData1("notpartner.com", "partner.com"), "Suffix without a dot does not match");
+  assert(matchesData1("Brand Campaign", "brand campaign"), "Exact text matches case-insensitively");
+
+  assert(classifyChannel("REFERRALS", "blog.partner.com", grouping) === "PARTNERS", "Referral from a partner → Partners");
+  assert(classifyChannel("REFERRALS", "news.com", grouping) === "REFERRALS", "Other referrals keep their source");
+  assert(classifyChannel("paid_social", "", grouping) === "PAID_MEDIA", "Source-only rule, source normalised");
+  const withFallback = { ...grouping, fallbackLabel: "Everything else" };
+  assert(classifyChannel("DIRECT_TRAFFIC", "", withFallback) === CHANNEL_GROUP_FALLBACK_KEY, "Unmatched → fallback group");
+  assert(channelGroupLabels(withFallback).OTHER === "Everything else" && channelGroupLabels(withFallback).PAID_MEDIA === "Paid Media", "Group labels added");
+  assert(channelLabel("PARTNERS:partner.com", channelGroupLabels(grouping)) === "Partners: partner.com", "Grouped drill-down label");
+
+  // Data 1 changes split a touchpoint only when they move it into another group
+  const source = [
+    { value: "REFERRALS", timestamp: 1000 },
+    { value: "PAID_SEARCH", timestamp: 900000 },
+  ];
+  const data1 = [
+    { value: "news.com", timestamp: 1000 },
+    { value: "other.com", timestamp: 300000 },
+    { value: "partner.com", timestamp: 600000 },
+  ];
+  assertDeepEqual(groupedSourceHistory(source, data1, grouping).map((e) => [e.value, e.group]), [
+    ["REFERRALS", "REFERRALS"],
+    ["REFERRALS", "PARTNERS"],
+    ["PAID_SEARCH", "PAID_MEDIA"],
+  ], "Referral → partner referral → paid");
+  assertDeepEqual(
+    sourceHistoryForPath({ hs_latest_source: source, hs_latest_source_data_1: data1 }, { channelGroups: true, grouping })
+      .map((e) => e.value),
+    ["REFERRALS", "PARTNERS", "PAID_MEDIA"],
+    "Paths use group keys"
+  );
+  const sourceOnly = { groups: [grouping.groups[1]], fallbackLabel: null };
+  assert(!groupingUsesData1(sourceOnly) && groupingUsesData1(grouping), "data 1 history read only when a rule uses it");
+  assertDeepEqual(groupedSourceHistory(source, undefined, sourceOnly).map((e) => e.group), ["REFERRALS", "PAID_MEDIA"], "Source-only grouping needs no data 1");
+
+  const contribution = computeMarketingContribution(groupedSourceHistory(source, data1, grouping), new Set(["PARTNERS"]));
+  assert(contribution.totalChanges === 3 && contribution.marketingChanges === 1, "A selected group counts toward marketing contribution");
+}
+
+console.log("\n=== 21. Path Conversion Rates ===\n");
+
+{
+  const paths = [
+    { path: ["PAID_SEARCH", "DIRECT_TRAFFIC"], conversions: 3 },
+    { path: ["ORGANIC_SEARCH"], conversions: 1 },
+    { path: ["UNKNOWN"], conversions: 2 },
+  ];
+  const journeys = [
+    { contactId: "a", path: ["ORGANIC_SEARCH"] },
+    { contactId: "b", path: ["ORGANIC_SEARCH"] },
+    { contactId: "c", path: ["PAID_SEARCH", "DIRECT_TRAFFIC"] },
+    { contactId: "d", path: [PATH_TRUNCATION_MARKER, "PAID_SEARCH"] },
+  ];
+  const rates = computePathConversionRates(paths, journeys, 2.5);
+  assertDeepEqual(rates.paths.map((r) => [r.pathKey, r.journeys, r.conversions, r.sampledNonConverting, r.conversionRatePct]), [
+    ["ORGANIC_SEARCH", 6, 1, 2, 16.67],
+    ["PAID_SEARCH>DIRECT_TRAFFIC", 5.5, 3, 1, 54.55],
+    ["…>PAID_SEARCH", 2.5, 0, 1, 0],
+  ], "Non-converting journeys scaled; ranked by journeys; UNKNOWN left out");
+  const channel = Object.fromEntries(rates.channels.map((c) => [c.channel, c]));
+  assert(channel.PAID_SEARCH.journeys === 8 && channel.PAID_SEARCH.conversions === 3, "Channel counts every journey that touched it");
+  assert(channel.PAID_SEARCH.conversionRatePct === 37.5, "Channel conversion rate");
+  assert(!(PATH_TRUNCATION_MARKER in channel) && !("UNKNOWN" in channel), "Truncation marker and UNKNOWN are not channels");
+  assert(rates.channels[0].channel === "PAID_SEARCH", "Channels ranked by journeys");
+
+  const repeated = computePathConversionRates([{ path: ["EMAIL_MARKETING", "PAID_SEARCH", "EMAIL_MARKETING"], conversions: 1 }], [], 1);
+  assert(repeated.channels.find((c) => c.channel === "EMAIL_MARKETING").journeys === 1, "A channel is counted once per journey");
+  assertDeepEqual(computePathConversionRates([], [], 0), { paths: [], channels: [] }, "Nothing to rate");
+
+  const strata = sampleIdStrata(101, 1000, 3, seededRandom(7));
+  assertDeepEqual(strata.map((s) => [s.start, s.end]), [[101, 400], [401, 700], [701, 1000]], "Equal id strata cover the whole range");
+  assert(strata.every((s) => s.from >= s.start && s.from <= s.end), "Each stratum starts reading at an id inside it");
+  assertDeepEqual(sampleIdStrata(5, 6, 4, () => 0.99).map((s) => [s.start, s.end, s.from]), [[5, 5, 5], [6, 6, 6]], "Empty strata dropped when there are fewer ids than strata");
+  assertDeepEqual(sampleIdStrata(42, 42, 1, Math.random), [{ start: 42, end: 42, from: 42 }], "Single id");
+
+  const ids = Array.from({ length: 50 }, (_, i) => String(i + 1));
+  const shuffled = hashOrder(ids, "123:0:1");
+  assertDeepEqual(shuffled, hashOrder(ids.slice().reverse(), "123:0:1"), "Hash order does not depend on input order");
+  assertDeepEqual(shuffled.slice().sort((a, b) => a - b), ids, "Hash order keeps every id");
+  assert(shuffled.join() !== ids.join() && shuffled.join() !== hashOrder(ids, "123:0:2").join(), "Hash order shuffles, differently per seed");
+}
+
+console.log("\n=== 22. Revenue Attribution ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const close1 = Date.UTC(2026, 2, 20);
+  const close2 = Date.UTC(2026, 3, 2);
+  const history = {
+    a: [{ value: "PAID_SEARCH", timestamp: close1 - 30 * DAY }, { value: "ORGANIC_SEARCH", timestamp: close1 - 10 * DAY }],
+    b: [{ value: "EMAIL_MARKETING", timestamp: close1 - 5 * DAY }, { value: "DIRECT_TRAFFIC", timestamp: close1 + DAY }],
+  };
+  const deals = [
+    { dealId: "1", conversionTimestamp: close1, conversionValue: 1000, contactIds: ["a", "b", "b"] },
+    { dealId: "2", conversionTimestamp: close2, conversionValue: 300, contactIds: [] },
+  ];
+  const marketing = new Set(["PAID_SEARCH", "ORGANIC_SEARCH", "EMAIL_MARKETING"]);
+
+  const linear = attributeDealRevenue(deals, history, "linear", {}, marketing);
+  const byChannel = Object.fromEntries(linear.channels.map((c) => [c.channel, c]));
+  assert(linear.totalDeals === 2 && linear.totalRevenue === 1300, "Totals over all deals");
+  assert(byChannel.EMAIL_MARKETING.revenue === 500, "Deal shared equally between distinct contacts");
+  assert(byChannel.PAID_SEARCH.revenue === 250 && byChannel.ORGANIC_SEARCH.revenue === 250, "Linear splits a contact's share across touchpoints");
+  assert(!byChannel.DIRECT_TRAFFIC, "Touchpoints after the close date are ignored");
+  assert(byChannel.UNKNOWN.revenue === 300 && byChannel.UNKNOWN.deals === 1, "Deal without contacts → UNKNOWN");
+  assert(byChannel.PAID_SEARCH.marketing && !byChannel.UNKNOWN.marketing, "Channels flagged as marketing");
+  assert(linear.marketingRevenue === 1000 && linear.marketingSharePct === 76.92, "Marketing revenue share");
+  assertDeepEqual(linear.months.map((m) => [m.month, m.deals, m.revenue]), [["2026-03", 1, 1000], ["2026-04", 1, 300]], "Totals per close month");
+  assertDeepEqual(linear.months[0].channels, { PAID_SEARCH: 250, ORGANIC_SEARCH: 250, EMAIL_MARKETING: 500 }, "Month split per channel");
+
+  const firstTouch = attributeDealRevenue(deals, history, "first_touch", {}, marketing);
+  assert(firstTouch.channels.find((c) => c.channel === "PAID_SEARCH").revenue === 500, "First touch credits the contact's first channel");
+  assert(monthKey(Date.UTC(2026, 11, 31, 23, 59)) === "2026-12", "Months are UTC");
+  assertDeepEqual(attributeDealRevenue([], {}, "linear", {}, marketing).channels, [], "No deals");
+}
+
+console.log("\n=== 23. Time-weighted Contribution ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.UTC(2026, 5, 1);
+  const marketing = new Set(["PAID_SEARCH", "PARTNERS"]);
+  const history = [
+    { value: "DIRECT_TRAFFIC", timestamp: new Date(now - 100 * DAY).toISOString() },
+    { value: "PAID_SEARCH", timestamp: new Date(now - 10 * DAY).toISOString() },
+    { value: "DIRECT_TRAFFIC", timestamp: new Date(now - 10 * DAY + 3600 * 1000).toISOString() },
+  ];
+
+  const counted = computeContribution(history, marketing, { mode: "count" }, now);
+  assert(Math.abs(counted.percent - 1 / 3) < 1e-9, "Count mode: one of three entries");
+  const timed = computeContribution(history, marketing, { mode: "time_weighted", cutoffDate: null }, now);
+  assert(Math.abs(timed.percent - 1 / (100 * 24)) < 1e-9, "Time-weighted: one hour out of 100 days");
+  assert(timed.totalChanges === 3 && timed.marketingChanges === 1, "Entries still counted");
+
+  const cutoff = computeContribution(history, marketing, { mode: "time_weighted", cutoffDate: new Date(now - 20 * DAY).toISOString() }, now);
+  assert(cutoff.totalChanges === 1 && cutoff.percent === 0, "Entries after the cutoff date are ignored");
+  const future = computeContribution(history, marketing, { mode: "time_weighted", cutoffDate: new Date(now + 50 * DAY).toISOString() }, now);
+  assert(future.totalMs === 100 * DAY, "A cutoff in the future stops at now");
+
+  const grouped = computeTimeWeightedContribution(
+    [{ value: "REFERRALS", group: "PARTNERS", timestamp: now - 4 * DAY }, { value: "DIRECT_TRAFFIC", timestamp: now - DAY }],
+    marketing, now
+  );
+  assert(grouped.percent === 0.75, "Selected channel groups count, numeric timestamps accepted");
+  assert(computeTimeWeightedContribution([{ value: "PAID_SEARCH", timestamp: now }], marketing, now).percent === 1,
+    "No elapsed time → entries counted instead");
+  assert(computeTimeWeightedContribution([], marketing, now).totalChanges === 0, "No history");
+
+  assert(validateContributionSettings({ contributionMode: "sometimes" }).error, "Unknown mode rejected");
+  assert(validateContributionSettings({ contributionMode: "time_weighted", cutoffDate: "not a date" }).error, "Invalid cutoff rejected");
+  assertDeepEqual(validateContributionSettings({}).settings, { mode: "count", cutoffDate: null, halfLifeDays: 90 }, "Defaults to count mode");
+}
+
+console.log("\n=== 24. Recency-decayed Contribution ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.UTC(2026, 5, 1);
+  const marketing = new Set(["PAID_SEARCH"]);
+  const history = [
+    { value: "PAID_SEARCH", timestamp: new Date(now - 60 * DAY).toISOString() },
+    { value: "DIRECT_TRAFFIC", timestamp: new Date(now - 30 * DAY).toISOString() },
+    { value: "PAID_SEARCH", timestamp: new Date(now).toISOString() },
+  ];
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+  const decayed = computeContribution(history, marketing, { mode: "recency_decay", halfLifeDays: 30 }, now);
+  assert(near(decayed.percent, (0.25 + 1) / (0.25 + 0.5 + 1)), "Weights halve every half-life");
+  assert(decayed.totalChanges === 3 && decayed.marketingChanges === 2, "Entries counted");
+  const longHalfLife = computeContribution(history, marketing, { mode: "recency_decay", halfLifeDays: 1e9 }, now);
+  assert(near(longHalfLife.percent, 2 / 3), "A very long half-life approaches count mode");
+  const defaulted = computeContribution(history, marketing, { mode: "recency_decay" }, now);
+  assert(near(defaulted.percent, computeDecayedContribution(history, marketing, 90, now).percent), "Missing half-life uses the default");
+
+  const recentDirect = computeDecayedContribution(
+    [{ value: "PAID_SEARCH", timestamp: now - 365 * DAY }, { value: "DIRECT_TRAFFIC", timestamp: now - DAY }],
+    marketing, 30, now
+  );
+  assert(recentDirect.percent < 0.001, "An old marketing touch barely counts against a recent one");
+  assert(computeDecayedContribution([{ value: "PAID_SEARCH", timestamp: now + DAY }], marketing, 30, now).totalChanges === 0,
+    "Future entries ignored");
+
+  assert(validateContributionSettings({ contributionMode: "recency_decay", halfLifeDays: 0 }).error, "Half-life must be positive");
+  assert(validateContributionSettings({ contributionMode: "recency_decay", halfLifeDays: "45" }).settings.halfLifeDays === 45, "Half-life parsed");
+}
+
+console.log("\n=== 25. Channel Share Properties ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.UTC(2026, 5, 1);
+  const history = [
+    { value: "PAID_SEARCH", timestamp: new Date(now - 40 * DAY).toISOString() },
+    { value: "ORGANIC_SEARCH", timestamp: new Date(now - 30 * DAY).toISOString() },
+    { value: "PAID_SEARCH", timestamp: new Date(now - 20 * DAY).toISOString(), group: "ORGANIC_SEARCH" },
+    { value: "DIRECT_TRAFFIC", timestamp: new Date(now - 10 * DAY).toISOString() },
+  ];
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+  const counted = computeChannelShares(history, { mode: "count" }, now);
+  assert(counted.shares.PAID_SEARCH === 0.5 && counted.shares.ORGANIC_SEARCH === 0.25, "Count shares per source");
+  assert(counted.shares.OFFLINE === 0, "Sources without history get 0");
+  assert(counted.dominantSource === "PAID_SEARCH", "Dominant source has the largest share");
+  const total = Object.values(counted.shares).reduce((a, b) => a + b, 0);
+  assert(near(total, 1), "Shares of native sources add up to 1");
+
+  const timed = computeChannelShares(history, { mode: "time_weighted" }, now);
+  assert(near(timed.shares.PAID_SEARCH, 0.5) && near(timed.shares.DIRECT_TRAFFIC, 0.25), "Time-weighted shares follow the contribution mode");
+  const tied = computeChannelShares([
+    { value: "REFERRALS", timestamp: new Date(now - 2 * DAY).toISOString() },
+    { value: "ORGANIC_SEARCH", timestamp: new Date(now - DAY).toISOString() },
+  ], { mode: "count" }, now);
+  assert(tied.dominantSource === "ORGANIC_SEARCH", "Ties go to the first source in ALL_SOURCES");
+  assert(computeChannelShares([], { mode: "count" }, now).dominantSource === null, "No history → no dominant source");
+
+  const values = channelSharePropertyValues(history, ["PAID_SEARCH", "OFFLINE"], { mode: "count" }, now);
+  assertDeepEqual(values, { mh_share_paid_search: 0.5, mh_share_offline: 0, mh_dominant_source: "PAID_SEARCH" },
+    "Property values for the configured sources plus the dominant source");
+  assert(channelSharePropertyValues([], ["PAID_SEARCH"], { mode: "count" }, now).mh_dominant_source === "", "Empty dominant source clears the property");
+
+  const defs = channelSharePropertyDefinitions(["PAID_SEARCH"]);
+  assert(defs.length === 2 && defs[0].name === "mh_share_paid_search" && defs[0].numberDisplayHint === "percentage", "Share property definition");
+  assert(defs[1].type === "enumeration" && defs[1].options.length === ALL_SOURCES.length, "Dominant source enumerates every source");
+  assert(isChannelShareProperty("mh_share_offline") && isChannelShareProperty("mh_dominant_source"), "Managed properties recognised");
+  assert(!isChannelShareProperty("marketing_contribution_percentage"), "Other properties left alone");
+
+  const percent = { type: "number", fieldType: "number", numberDisplayHint: "percentage" };
+  assert(!propertyNeedsUpdate({ ...percent, label: "Old label" }, defs[0]), "Matching property left alone");
+  assert(propertyNeedsUpdate({ type: "number", fieldType: "number" }, defs[0]), "Missing display hint (formatted number) fixed");
+  assert(propertyNeedsUpdate({ ...percent, numberDisplayHint: "formatted_number" }, defs[0]), "Formatted number fixed");
+  assert(propertyNeedsUpdate({ type: "string", fieldType: "text" }, { name: "x", type: "number", fieldType: "number" }), "Type change fixed");
+  assert(!propertyNeedsUpdate({ type: "enumeration", fieldType: "select", options: defs[1].options }, defs[1]), "Same options left alone");
+  assert(propertyNeedsUpdate({ type: "enumeration", fieldType: "select", options: defs[1].options.slice(1) }, defs[1]), "Changed options fixed");
+
+  assertDeepEqual(validateChannelShareSettings({ channelShareProperties: true, channelShareSources: ["PAID_SOCIAL", "PAID_SEARCH"] }).settings,
+    { enabled: true, sources: ["PAID_SEARCH", "PAID_SOCIAL"] }, "Sources kept in ALL_SOURCES order");
+  assert(validateChannelShareSettings({ channelShareProperties: true, channelShareSources: ["NOPE"] }).error, "Unknown source rejected");
+  assert(validateChannelShareSettings({ channelShareProperties: true, channelShareSources: [] }).error, "At least one source when on");
+  assert(validateChannelShareSettings({}).settings.enabled === false, "Off by default");
+
+  const on = (sources) => ({ enabled: true, sources });
+  assertDeepEqual(shareDeletionsAfterChange(on(["PAID_SEARCH", "OFFLINE"]), on(["PAID_SEARCH"])), ["mh_share_offline"], "Source removed while on → its property is deleted");
+  assertDeepEqual(shareDeletionsAfterChange(on(["PAID_SEARCH", "OFFLINE"]), { enabled: false, sources: ["PAID_SEARCH"] }), [], "Turning the mode off deletes nothing");
+  assertDeepEqual(shareDeletionsAfterChange(on(["PAID_SEARCH"]), on(["PAID_SEARCH", "OFFLINE"]), ["mh_share_offline", "mh_share_direct_traffic"]),
+    ["mh_share_direct_traffic"], "Re-added source no longer pending; other pending deletions kept");
+}
+
+console.log("\n=== 26. Company and Deal Rollup ===\n");
+
+{
+  const contactResults = {
+    "1": { percent: 1, totalChanges: 3 },
+    "2": { percent: 0.5, totalChanges: 1 },
+    "3": { percent: 0, totalChanges: 0 },
+  };
+  const associations = { "1": ["c1", "c1"], "2": ["c1", "c2"], "3": ["c3"], "9": ["c4"] };
+
+  const average = rollupContribution(contactResults, associations, "average");
+  assert(average.c1.percent === 0.75 && average.c1.contacts === 2, "Average of associated contacts");
+  assert(average.c1.touchpoints === 4, "Duplicate associations counted once");
+  assert(average.c2.percent === 0.5, "Single contact");
+  assert(average.c3.percent === null && average.c3.contacts === 0, "Contacts without history left out");
+  assert(!average.c4, "Unprocessed contacts ignored");
+
+  const weighted = rollupContribution(contactResults, associations, "touchpoint_weighted");
+  assert(weighted.c1.percent === (1 * 3 + 0.5 * 1) / 4, "Weighted by touchpoints");
+  assert(weighted.c3.percent === null, "No history → null when weighted");
+  assertDeepEqual(rollupContribution({}, {}, "average"), {}, "Empty input");
+
+  const granted = ["crm.objects.contacts.write", "crm.objects.companies.write", "crm.schemas.companies.write"];
+  assertDeepEqual(missingScopes(granted, ROLLUP_SCOPES.companies), [], "Company scopes granted");
+  assertDeepEqual(missingScopes(granted, ROLLUP_SCOPES.deals), ROLLUP_SCOPES.deals, "Deal scopes missing");
+  assertDeepEqual(missingScopes(undefined, ["a"]), ["a"], "No granted scopes");
+
+  const both = { mode: "average", missingScopes: [], companies: { updated: 2 }, deals: { updated: 3 } };
+  assert(rollupSummaryMessage(both) === " Rolled up to 2 companies and 3 deals.", "Summary for both object types");
+  const dealsSkipped = { mode: "average", missingScopes: ROLLUP_SCOPES.deals, companies: { updated: 2 } };
+  assert(rollupSummaryMessage(dealsSkipped) === " Rolled up to 2 companies. Skipped deals: reinstall the app to grant crm.objects.deals.write, crm.schemas.deals.write.", "Summary names the skipped type and its scopes");
+  assert(rollupSummaryMessage({ mode: "average", missingScopes: [...ROLLUP_SCOPES.companies, ...ROLLUP_SCOPES.deals] }).startsWith(" Skipped companies and deals:"), "Summary when every type is skipped");
+  assert(rollupSummaryMessage(null) === "", "No rollup");
+}
+
+console.log("\n=== 27. Custom Conversion Definitions ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const start = new Date(Date.UTC(2026, 0, 1));
+  const end = new Date(Date.UTC(2026, 0, 31));
+  const iso = (ms) => new Date(ms).toISOString();
+
+  assertDeepEqual(
+    validateConversionDefinition({ label: " Trial ", kind: "property_value", property: "plan", value: " trial " }).definition,
+    { label: "Trial", kind: "property_value", property: "plan", value: "trial" },
+    "property_value definition trimmed"
+  );
+  assert(!("value" in validateConversionDefinition({ label: "Demo", kind: "date_set", property: "demo_date", value: "x" }).definition),
+    "date_set drops the value");
+  assert(validateConversionDefinition({ kind: "date_set", property: "demo_date" }).error, "Label required");
+  assert(validateConversionDefinition({ label: "X", kind: "sometimes", property: "p" }).error, "Unknown kind rejected");
+  assert(validateConversionDefinition({ label: "X", kind: "date_set", property: "bad name" }).error, "Property must be an internal name");
+  assert(validateConversionDefinition({ label: "X", kind: "property_value", property: "plan" }).error, "Value required for property_value");
+
+  const [current, movedOn] = customDefinitionSearches({ kind: "property_value", property: "plan", value: "trial" }, start, end);
+  const valueFilters = current.filterGroups[0].filters;
+  assert(valueFilters.some((f) => f.propertyName === "plan" && f.operator === "EQ" && f.value === "trial"), "property_value filters on the value");
+  assert(!valueFilters.some((f) => f.operator === "HAS_PROPERTY") && !current.maxResults, "No HAS_PROPERTY scan; contacts at the value not capped");
+  const movedOnFilters = movedOn.filterGroups[0].filters;
+  assert(movedOnFilters.some((f) => f.propertyName === "plan" && f.operator === "NEQ" && f.value === "trial"), "Contacts at another value are searched too");
+  assert(movedOnFilters.some((f) => f.propertyName === "lastmodifieddate" && f.operator === "GTE" && f.value === String(start.getTime())), "…if modified since period start");
+  assert(movedOn.maxResults === CUSTOM_DEFINITION_CANDIDATE_MAX, "…up to a bounded number");
+  const dateSearches = customDefinitionSearches({ kind: "date_set", property: "demo_date" }, start, end);
+  assert(dateSearches.length === 1, "date_set is a single search");
+  const dateFilters = dateSearches[0].filterGroups[0].filters;
+  assertDeepEqual(dateFilters, [{ propertyName: "demo_date", operator: "GTE", value: String(start.getTime()) }], "date_set filters on the date itself");
+
+  const valueDef = { kind: "property_value", property: "plan", value: "Trial" };
+  const planHistory = [
+    { value: "free", timestamp: iso(start.getTime() - 10 * DAY) },
+    { value: "trial", timestamp: iso(start.getTime() + 5 * DAY) },
+    { value: "trial", timestamp: iso(start.getTime() + 9 * DAY) },
+  ];
+  assert(customDefinitionTimestamp(valueDef, planHistory) === start.getTime() + 5 * DAY, "First time the value was reached (case-insensitive)");
+  assert(customDefinitionTimestamp(valueDef, [{ value: "free", timestamp: iso(start.getTime()) }]) === null, "Never reached → null");
+  const movedOnHistory = [...planHistory, { value: "paid", timestamp: iso(start.getTime() + 12 * DAY) }];
+  assert(customDefinitionTimestamp(valueDef, movedOnHistory) === start.getTime() + 5 * DAY, "Reached the value in the period and moved on → still converts");
+
+  const dateDef = { kind: "date_set", property: "demo_date" };
+  const demoHistory = [
+    { value: iso(start.getTime() + 20 * DAY), timestamp: iso(start.getTime() + 21 * DAY) },
+    { value: "2026-01-04", timestamp: iso(start.getTime() + 4 * DAY) },
+    { value: "", timestamp: iso(start.getTime() - DAY) },
+  ];
+  const demoTs = customDefinitionTimestamp(dateDef, demoHistory);
+  assert(demoTs === start.getTime() + 3 * DAY, "date_set uses the earliest date set, empty values ignored");
+  assert(demoTs >= start.getTime() && demoTs <= end.getTime(), "Falls inside the period");
+}
+
+console.log("\n=== 28. Company First-Ever Events ===\n");
+
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const start = new Date(Date.UTC(2026, 0, 1));
+  const end = new Date(Date.UTC(2026, 0, 31));
+  const iso = (ms) => new Date(ms).toISOString();
+  const meeting = (id, ms) => ({ id, properties: { hs_meeting_start_time: iso(ms) } });
+
+  const companyContacts = { co1: ["1", "2"], co2: ["3"], co3: ["4", "5"], co4: [] };
+  const contactEvents = { 1: ["m1"], 2: ["m2"], 3: ["m3"], 4: ["m4", "m5"], 5: ["m5"] };
+  const meetings = [
+    meeting("m1", start.getTime() + 10 * DAY),
+    meeting("m2", start.getTime() + 2 * DAY),
+    meeting("m3", start.getTime() - 5 * DAY),
+    meeting("m4", start.getTime() + 7 * DAY),
+    meeting("m5", start.getTime() + 7 * DAY),
+  ];
+  const companyMeetings = companyEventsViaContacts(["co1", "co2", "co3", "co4"], companyContacts, contactEvents);
+  assertDeepEqual(companyMeetings.co3, ["m4", "m5"], "A meeting shared by two contacts counted once");
+  const first = firstCompanyEvents(companyMeetings, meetings, false, start, end);
+  assertDeepEqual(Object.keys(first).sort(), ["co1", "co3"], "Only companies whose earliest meeting is in the period");
+  assert(first.co1.event.id === "m2" && first.co1.ts === start.getTime() + 2 * DAY, "Earliest across all of the company's contacts");
+  assert(first.co3.event.id === "m4", "Same timestamp → lower object id");
+
+  const deals = [
+    { id: "d1", properties: { hs_is_closed_won: "false", closedate: iso(start.getTime() - DAY) } },
+    { id: "d2", properties: { hs_is_closed_won: "true", closedate: iso(start.getTime() + 3 * DAY) } },
+    { id: "d3", properties: { hs_is_closed_won: "true", closedate: "not a date" } },
+  ];
+  // Deals come from the company's own associations (no contact needed)
+  const firstDeals = firstCompanyEvents({ co1: ["d1", "d2", "d3"], co2: [] }, deals, true, start, end);
+  assert(firstDeals.co1?.event.id === "d2", "Deals count only when closed-won with a valid close date");
+  assert(!firstDeals.co2, "Company without deals of its own");
+}
+
 // ---- Summary ----
 console.log(`\n=============================`);
 console.log(`Results: ${passed} passed, ${failed} failed`);
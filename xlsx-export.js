@@ -0,0 +1,137 @@
+// xlsx-export.js
+// XLSX workbooks for the MCF export endpoint. Written by hand (a zip of SpreadsheetML
+// parts with inline strings), so exports need no extra dependency.
+
+const zlib = require("zlib");
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** CRC-32 (IEEE) of a buffer, as stored in zip headers. */
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC32_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Zip archive (deflate) of [{ name, data }]. */
+function buildZip(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf8");
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(0, 10); // time
+    header.writeUInt16LE(0x21, 12); // date: 1980-01-01
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, name, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4); // version made by
+    header.copy(entry, 6, 4, 30); // version needed … name length, extra length
+    entry.writeUInt16LE(0, 32); // comment length
+    entry.writeUInt16LE(0, 34); // disk
+    entry.writeUInt16LE(0, 36); // internal attributes
+    entry.writeUInt32LE(0, 38); // external attributes
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+
+    offset += header.length + name.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((s, b) => s + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, ...central, end]);
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "") // not allowed in XML
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function xlsxSheetXml(sheet) {
+  const cell = (value) => (typeof value === "number" && Number.isFinite(value)
+    ? `<c><v>${value}</v></c>`
+    : `<c t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value ?? "")}</t></is></c>`);
+  const rows = [sheet.columns, ...sheet.rows].map((row) => `<row>${row.map(cell).join("")}</row>`);
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rows.join("")}</sheetData></worksheet>`;
+}
+
+/** XLSX workbook with one worksheet per sheet ([{ name, columns, rows }]). */
+function buildXlsx(sheets) {
+  const ns = "http://schemas.openxmlformats.org";
+  const sheetName = (name) => xmlEscape(String(name).replace(/[\[\]:*?/\\]/g, " ").slice(0, 31));
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<Types xmlns="${ns}/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets.map((_, i) =>
+          `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join("") +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<Relationships xmlns="${ns}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>` +
+        sheets.map((s, i) => `<sheet name="${sheetName(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+        "</sheets></workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<Relationships xmlns="${ns}/package/2006/relationships">` +
+        sheets.map((_, i) =>
+          `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join("") +
+        "</Relationships>",
+    },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xlsxSheetXml(s) })),
+  ];
+  return buildZip(files);
+}
+
+module.exports = { crc32, buildZip, buildXlsx };